@@ -1,30 +1,77 @@
 // api/index.js - Vercel Serverless Function Entry Point
-import { logger, parseBody, setCORS, ValidationError } from '../lib/utils.js';
-import {
-  addComment, getComments, updateComment, deleteComment,
-  computeCommentTreeTotalLikes, updateCommentAncestorsTotalLikes
-} from '../lib/comments.js';
-import {
-  addArticleLike, removeArticleLike, getArticleLikesCount, hasUserLikedArticle,
-  addCommentLike, removeCommentLike, getCommentDirectLikesCount, getCommentTotalLikesCount, hasUserLikedComment
-} from '../lib/likes.js';
-import {
-  registerUser, loginUser, logoutUser, getUserProfile, updateUser, deleteUser
-} from '../lib/users.js';
+import { logger, parseBody, setCORS, handlePreflight, sendJson, toErrorResponse, withRequestContext, CONFIG } from '../lib/utils.js';
+import { resolveLocale, translate } from '../lib/i18n.js';
+import { executeAction, httpCachePolicy } from '../lib/actions.js';
+import { handleRestRequest, matchRoute } from '../lib/rest.js';
+import { handleJsonRpcRequest, RPC_PATH } from '../lib/jsonrpc.js';
+import { sendCacheable } from '../lib/httpcache.js';
+import { counter, histogram, handleMetricsRequest, METRICS_PATH } from '../lib/metrics.js';
+import { authenticate } from '../lib/auth.js';
 
 logger.info('🚀 Vercel API /api/index.js 加载成功');
 
-export default async function handler(req, response) {
+const HTTP_METHODS = new Set(['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']);
+const httpRequests = counter('http_requests_total', 'HTTP requests by method and response status.', ['method', 'status']);
+const httpRequestDuration = histogram('http_request_duration_seconds', 'Time from receiving the request to finishing the response.', ['method']);
+
+// 每个请求在独立的日志上下文中处理：日志带有 requestId，响应头 X-Request-Id 返回同一个值
+export default function handler(req, response) {
+  return withRequestContext(req, response, () => {
+    const method = HTTP_METHODS.has(req.method) ? req.method : 'OTHER';
+    const endTimer = httpRequestDuration.startTimer({ method });
+    // 'close' 在响应完成或客户端断开时都会触发
+    response.once('close', () => {
+      httpRequests.inc({ method, status: response.statusCode });
+      endTimer();
+    });
+    return handleRequest(req, response);
+  });
+}
+
+// 信封格式 (以及没有匹配到其他处理函数的路径) 接受的方法
+const ENVELOPE_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'];
+
+// 路径支持的方法，用于 CORS 预检和 OPTIONS 的 Allow 头
+function allowedMethodsFor(pathname) {
+  if (pathname === RPC_PATH || pathname === `${RPC_PATH}/`) return ['POST'];
+  if (pathname === METRICS_PATH) return ['GET', 'HEAD'];
+  const { allowedMethods } = matchRoute('OPTIONS', pathname);
+  return allowedMethods.length > 0 ? allowedMethods : ENVELOPE_METHODS;
+}
+
+async function handleRequest(req, response) {
   let res;
-  res = setCORS(response); // 设置 CORS 头部，允许跨域请求
+  res = setCORS(req, response); // 按 CONFIG.CORS 设置跨域响应头
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
 
   // 处理 OPTIONS 方法，用于 CORS 预检请求
   if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
+    handlePreflight(req, res, allowedMethodsFor(pathname));
+    return;
+  }
+
+  // Prometheus 指标 (/api/metrics)
+  if (handleMetricsRequest(req, res, pathname, { token: CONFIG.METRICS.TOKEN })) return;
+
+  // 当前用户由 Authorization: Bearer <访问令牌> 确定 (lib/auth.js)，没有令牌时为匿名请求 (user 为 null)；
+  // 携带了无效、过期或所属会话已失效的令牌时直接返回 401，不降级为匿名请求。/api/metrics 使用自己的令牌，因此在此之前处理
+  let user;
+  try {
+    user = await authenticate(req);
+  } catch (error) {
+    logger.warn('[API Index] 身份认证失败', { code: error.code });
+    const { status, payload, headers } = toErrorResponse(error, resolveLocale(req));
+    sendJson(res, status, payload, headers);
     return;
   }
 
+  // JSON-RPC 2.0 (/api/rpc)
+  if (await handleJsonRpcRequest(req, res, pathname, { user })) return;
+
+  // RESTful 资源路由 (/api/posts/:postId/comments 等)，其他路径继续按 { type, action } 信封格式处理
+  if (await handleRestRequest(req, res, { user })) return;
+
   let requestData; // parseBody 的原始返回结果
   let processedData; // 经过处理后，包含 type, action, data 的最终对象
   try {
@@ -45,109 +92,32 @@ export default async function handler(req, response) {
   } catch (error) {
     logger.error('[API Handler] Error parsing request body/params:', error);
     res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: false, message: 'Invalid request format or body.' }));
+    res.end(JSON.stringify({ success: false, code: 'INVALID_BODY', message: translate('INVALID_BODY', {}, resolveLocale(req)) }));
     return;
   }
 
-  const { type, action, ...params } = processedData;
+  // 信封格式缺少 data 字段 (或请求体不是对象) 时按缺少 type/action 处理
+  const { type, action, ...params } = processedData && typeof processedData === 'object' ? processedData : {};
+  // 响应语言：信封中的 locale 参数 > 查询参数 locale > Accept-Language
+  const locale = resolveLocale(req, params.locale);
 
   // 基础验证：确保 type 和 action 参数存在
   if (!type || !action) {
     logger.warn(`[API Handler] Missing required parameters: type or action. Received data:`, requestData);
     res.writeHead(400, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: false, message: 'Missing required parameters: type and action' }));
+    res.end(JSON.stringify({ success: false, code: 'MISSING_ACTION', message: translate('MISSING_ACTION', {}, locale) }));
     return;
   }
 
   try {
-    let result;
-    switch (type) {
-      case 'comment':
-        switch (action) {
-          case 'add':
-            result = await addComment(params);
-            break;
-          case 'get':
-            result = await getComments(params);
-            break;
-          case 'update':
-            result = await updateComment(params);
-            break;
-          case 'delete':
-            result = await deleteComment(params);
-            break;
-          case 'computeTotalLikes':
-            result = await computeCommentTreeTotalLikes(params);
-            break;
-          case 'updateAncestorsLikes':
-            result = await updateCommentAncestorsTotalLikes(params);
-            break;
-          default:
-            throw new ValidationError(`Unsupported comment action: ${action}`);
-        }
-        break;
-
-      case 'like':
-        switch (action) {
-          case 'addArticleLike':
-            result = await addArticleLike(params);
-            break;
-          case 'removeArticleLike':
-            result = await removeArticleLike(params);
-            break;
-          case 'getArticleLikesCount':
-            result = await getArticleLikesCount(params);
-            break;
-          case 'hasUserLikedArticle':
-            result = await hasUserLikedArticle(params);
-            break;
-          case 'addCommentLike':
-            result = await addCommentLike(params);
-            break;
-          case 'removeCommentLike':
-            result = await removeCommentLike(params);
-            break;
-          case 'getCommentDirectLikesCount':
-            result = await getCommentDirectLikesCount(params);
-            break;
-          case 'getCommentTotalLikesCount':
-            result = await getCommentTotalLikesCount(params);
-            break;
-          case 'hasUserLikedComment':
-            result = await hasUserLikedComment(params);
-            break;
-          default:
-            throw new ValidationError(`Unsupported like action: ${action}`);
-        }
-        break;
-
-      case 'user':
-        switch (action) {
-          case 'register':
-            result = await registerUser(params);
-            break;
-          case 'login':
-            result = await loginUser(params);
-            break;
-          case 'logout':
-            result = await logoutUser(params);
-            break;
-          case 'profile':
-            result = await getUserProfile(params);
-            break;
-          case 'update':
-            result = await updateUser(params);
-            break;
-          case 'delete':
-            result = await deleteUser(params);
-            break;
-          default:
-            throw new ValidationError(`Unsupported user action: ${action}`);
-        }
-        break;
-
-      default:
-        throw new ValidationError(`Unsupported API type: ${type}`);
+    // 参数校验、转换和业务函数调用由 action 注册表统一完成 (lib/actions.js)
+    const result = await executeAction(`${type}.${action}`, params, { user });
+
+    // 声明了 httpCache 的只读 action 在 GET 请求时支持 ETag/Last-Modified 条件请求
+    const cache = req.method === 'GET' ? httpCachePolicy(`${type}.${action}`, params, result) : null;
+    if (cache) {
+      sendCacheable(req, res, { data: result, ...cache });
+      return;
     }
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -156,14 +126,12 @@ export default async function handler(req, response) {
   } catch (error) {
     // --- Error Handling ---
     // Log the error details
-    logger.error('[API Index] API 处理失败', { error: error.message, stack: error.stack, body, method: req.method, type, action });
+    logger.error('[API Index] API 处理失败', error, { params, method: req.method, type, action });
 
-    // Determine status code: use error.status if available, otherwise default to 500
-    const statusCode = error.status || 500;
-    // Extract error message, providing a default for unexpected errors
-    const errorMessage = error.message || 'An unexpected server error occurred.';
+    // 按错误类型 (lib/errors.js) 确定状态码和错误码，其他异常统一为 500 INTERNAL_ERROR
+    const { status, payload, headers } = toErrorResponse(error, locale);
 
-    // Return an error response
-    return  res.status(statusCode).json({ success: false, message: errorMessage });
+    // Return an error response (不依赖 Vercel 的 res.status().json()，独立运行时同样可用)
+    sendJson(res, status, payload, headers);
   }
 }
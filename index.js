@@ -1,6 +0,0 @@
-module.exports = async function handler(req, res) {
-  res.status(200).json({
-    message: "Custom Comment System API running",
-    routes: ["/", "/index"]
-  });
-};
@@ -0,0 +1,589 @@
+// lib/actions.js - 声明式 action 注册表
+// 每个 action ('comment.add'、'like.addCommentLike'、'user.login' ...) 声明：
+//   handler    lib/ 中的业务函数，接收校验并转换后的参数对象，以及 { user } (访问令牌对应的当前用户，匿名请求为 null)
+//   params     参数 schema：{ 参数名: { type, required, default, rule, min, max, pattern, trim, fields } }
+//                type    'string' (默认) | 'boolean' | 'integer' | 'object'
+//                rule    CONFIG.COMMENT_VALIDATION 中的规则名，提供 min/max/regex
+//                fields  (type 为 'object' 时) 允许的字段及其 schema，按同样的规则逐个校验；出现未声明的字段时报错 (FIELD_UNKNOWN)
+//   auth       'none' | 'user' (需要访问令牌)；需要登录时 username 参数由令牌确定 (请求中的 username 只能是当前用户本人)
+//   permission (可选) 当前用户的角色必须拥有的权限 (lib/permissions.js 的 PERMISSIONS)
+//   onBehalfOf (可选) 拥有该权限的用户可以在 username 参数中指定其他用户 (例如管理员修改其他用户的资料)
+//   rateLimit  限流类别：'read' | 'write' | 'auth'，各类别的额度见 CONFIG.RATE_LIMIT (lib/ratelimit.js)
+//   errors     除参数错误 (400) 外可能返回的业务错误状态码，用于生成接口文档
+//   httpCache  (可选) GET 请求的 HTTP 缓存策略 (lib/httpcache.js)：
+//                scope         'public' | 'private'，或根据原始参数返回其中之一的函数
+//                lastModified  根据返回值计算最后修改时间 (毫秒) 的函数
+// 入口 (api/index.js 的信封格式和 lib/rest.js 的资源路由) 统一通过 executeAction 调用，
+// 参数校验集中在这里完成，业务函数不再重复检查参数格式；未在 schema 中声明的参数会被丢弃。
+import { logger, ApiError, ValidationError, UnauthorizedError, ForbiddenError, CONFIG } from './utils.js';
+import { translate, SOURCE_LOCALE } from './i18n.js';
+import { counter, histogram } from './metrics.js';
+import {
+  addComment, getComments, updateComment, deleteComment, pinComment, listPendingComments, approveComment,
+  computeCommentTreeTotalLikes, updateCommentAncestorsTotalLikes
+} from './comments.js';
+import {
+  addArticleLike, removeArticleLike, getArticleLikesCount, hasUserLikedArticle,
+  addCommentLike, removeCommentLike, getCommentDirectLikesCount, getCommentTotalLikesCount, hasUserLikedComment
+} from './likes.js';
+import {
+  registerUser, loginUser, refreshSession, logoutUser, getUserProfile, updateUser, deleteUser,
+  setUserRole, banUser, unbanUser
+} from './users.js';
+import { listSessions, revokeSession, revokeAllSessions } from './sessions.js';
+import { requestPasswordReset, resetPassword } from './passwordreset.js';
+import { verifyEmail, resendVerificationEmail } from './emailverification.js';
+import { enforceRateLimit } from './ratelimit.js';
+import { can, requirePermission } from './permissions.js';
+
+logger.info('✅ lib/actions.js 加载成功');
+
+// ====================================================================
+// 常用参数
+// ====================================================================
+
+const postId = { rule: 'id', required: true };
+const commentId = { rule: 'id', required: true };
+const username = { rule: 'username', required: true };
+// 邮件语言，例如 en、zh-CN；REST 接口未指定时使用请求的 Accept-Language
+const locale = { max: 35, pattern: /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/ };
+
+// ====================================================================
+// Action 定义
+// ====================================================================
+
+export const ACTIONS = {
+  'comment.add': {
+    handler: addComment,
+    description: '发表评论或回复 (邮箱未验证的登录用户按 UNVERIFIED_COMMENTS 配置进入审核或被拒绝)',
+    auth: 'none',
+    rateLimit: 'write',
+    errors: [403, 404, 409],
+    params: {
+      postId,
+      name: { rule: 'name', required: true },
+      email: { rule: 'email', required: true },
+      content: { rule: 'comment', required: true },
+      parentId: { rule: 'id', default: '0' },
+      isGuest: { type: 'boolean', default: true }
+    }
+  },
+  'comment.get': {
+    handler: getComments,
+    description: '获取文章的评论树',
+    auth: 'none',
+    rateLimit: 'read',
+    // 指定 userId 时响应包含该用户的点赞状态，不能被 CDN 共享；
+    // 不声明 lastModified：删除评论和点赞不会留下更新的时间戳，If-Modified-Since 会得到过期的 304，只使用 ETag
+    httpCache: { scope: input => (input.userId ? 'private' : 'public') },
+    params: {
+      postId,
+      userId: { rule: 'username' },
+      isGuest: { type: 'boolean' }
+    }
+  },
+  'comment.update': {
+    handler: updateComment,
+    description: '编辑评论 (作者，或拥有 comment.editAny 权限的版主/管理员)',
+    auth: 'user',
+    rateLimit: 'write',
+    errors: [403, 404],
+    params: {
+      postId,
+      commentId,
+      content: { rule: 'comment', required: true, trim: true },
+      username
+    }
+  },
+  'comment.delete': {
+    handler: deleteComment,
+    description: '删除评论及其所有回复 (作者，或拥有 comment.deleteAny 权限的版主/管理员)',
+    auth: 'user',
+    rateLimit: 'write',
+    errors: [403, 404],
+    params: { postId, commentId, username }
+  },
+  'comment.pin': {
+    handler: pinComment,
+    description: '置顶或取消置顶评论',
+    auth: 'user',
+    permission: 'comment.pin',
+    rateLimit: 'write',
+    errors: [404],
+    params: { postId, commentId, pinned: { type: 'boolean', default: true } }
+  },
+  'comment.pending': {
+    handler: listPendingComments,
+    description: '列出文章中待审核的评论',
+    auth: 'user',
+    permission: 'comment.approve',
+    rateLimit: 'read',
+    params: { postId }
+  },
+  'comment.approve': {
+    handler: approveComment,
+    description: '批准待审核的评论',
+    auth: 'user',
+    permission: 'comment.approve',
+    rateLimit: 'write',
+    errors: [404],
+    params: { postId, commentId }
+  },
+  'comment.computeTotalLikes': {
+    handler: computeCommentTreeTotalLikes,
+    description: '重新计算评论的总赞数 (修复数据用，点赞时总赞数已经在事务中更新)',
+    auth: 'user',
+    permission: 'comment.recomputeLikes',
+    rateLimit: 'write',
+    params: { postId, commentId }
+  },
+  'comment.updateAncestorsLikes': {
+    handler: updateCommentAncestorsTotalLikes,
+    description: '重新计算评论所有祖先的总赞数 (修复数据用)',
+    auth: 'user',
+    permission: 'comment.recomputeLikes',
+    rateLimit: 'write',
+    params: { postId, initialCommentId: { rule: 'id', required: true } }
+  },
+
+  'like.addArticleLike': {
+    handler: addArticleLike,
+    description: '点赞文章',
+    auth: 'user',
+    permission: 'like.write',
+    rateLimit: 'write',
+    errors: [404],
+    params: { username, postId }
+  },
+  'like.removeArticleLike': {
+    handler: removeArticleLike,
+    description: '取消文章点赞',
+    auth: 'user',
+    permission: 'like.write',
+    rateLimit: 'write',
+    params: { username, postId }
+  },
+  'like.getArticleLikesCount': {
+    handler: getArticleLikesCount,
+    description: '获取文章点赞数',
+    auth: 'none',
+    rateLimit: 'read',
+    httpCache: { scope: 'public' },
+    params: { postId }
+  },
+  'like.hasUserLikedArticle': {
+    handler: hasUserLikedArticle,
+    description: '检查用户是否已点赞文章',
+    auth: 'none',
+    rateLimit: 'read',
+    errors: [403],
+    params: { username, postId }
+  },
+  'like.addCommentLike': {
+    handler: addCommentLike,
+    description: '点赞评论',
+    auth: 'user',
+    permission: 'like.write',
+    rateLimit: 'write',
+    errors: [404],
+    params: { username, postId, commentId }
+  },
+  'like.removeCommentLike': {
+    handler: removeCommentLike,
+    description: '取消评论点赞',
+    auth: 'user',
+    permission: 'like.write',
+    rateLimit: 'write',
+    params: { username, postId, commentId }
+  },
+  'like.getCommentDirectLikesCount': {
+    handler: getCommentDirectLikesCount,
+    description: '获取评论本楼层的点赞数',
+    auth: 'none',
+    rateLimit: 'read',
+    params: { postId, commentId }
+  },
+  'like.getCommentTotalLikesCount': {
+    handler: getCommentTotalLikesCount,
+    description: '获取评论及其所有回复的总赞数',
+    auth: 'none',
+    rateLimit: 'read',
+    params: { postId, commentId }
+  },
+  'like.hasUserLikedComment': {
+    handler: hasUserLikedComment,
+    description: '检查用户是否已点赞评论',
+    auth: 'none',
+    rateLimit: 'read',
+    errors: [403],
+    params: { username, postId, commentId }
+  },
+
+  'user.register': {
+    handler: registerUser,
+    description: '注册用户',
+    auth: 'none',
+    rateLimit: 'auth',
+    errors: [409],
+    params: {
+      // 用户名只能包含字母、数字、_ 和 - (3-32 个字符)；不对密码做格式检查，只要求非空
+      username: { rule: 'newUsername', required: true },
+      email: { rule: 'email', required: true },
+      password: { required: true },
+      locale // 验证邮件的语言
+    }
+  },
+  'user.login': {
+    handler: loginUser,
+    description: '用户登录',
+    auth: 'none',
+    rateLimit: 'auth',
+    errors: [401],
+    params: {
+      username: { required: true },
+      password: { required: true }
+    }
+  },
+  'user.refresh': {
+    handler: refreshSession,
+    description: '用刷新令牌换取新的访问令牌和刷新令牌',
+    auth: 'none',
+    rateLimit: 'auth',
+    errors: [401],
+    params: {
+      refreshToken: { required: true }
+    }
+  },
+  'user.requestPasswordReset': {
+    handler: requestPasswordReset,
+    description: '申请重置密码：向使用该邮箱的账号发送一次性的重置链接 (无论邮箱是否注册，响应都相同)',
+    auth: 'none',
+    rateLimit: 'auth',
+    params: {
+      email: { rule: 'email', required: true, trim: true },
+      locale
+    }
+  },
+  'user.resetPassword': {
+    handler: resetPassword,
+    description: '用重置邮件中的令牌设置新密码 (令牌只能使用一次，成功后吊销该用户的所有会话)',
+    auth: 'none',
+    rateLimit: 'auth',
+    params: {
+      token: { required: true, max: 200 },
+      password: { required: true }
+    }
+  },
+  'user.verifyEmail': {
+    handler: verifyEmail,
+    description: '用验证邮件中的令牌验证邮箱',
+    auth: 'none',
+    rateLimit: 'auth',
+    params: {
+      token: { required: true, max: 2000 }
+    }
+  },
+  'user.resendVerification': {
+    handler: resendVerificationEmail,
+    description: '重新发送验证邮件 (两次发送之间至少间隔 EMAIL_VERIFICATION_INTERVAL)',
+    auth: 'user',
+    onBehalfOf: 'user.manage',
+    rateLimit: 'auth',
+    errors: [404, 409],
+    params: { username, locale }
+  },
+  'user.logout': {
+    handler: logoutUser,
+    description: '用户登出 (吊销当前会话)',
+    auth: 'user',
+    rateLimit: 'write',
+    params: { username }
+  },
+  'user.sessions': {
+    handler: listSessions,
+    description: '列出当前用户的有效会话 (设备和最近活动时间)',
+    auth: 'user',
+    onBehalfOf: 'user.manage',
+    rateLimit: 'read',
+    params: { username }
+  },
+  'user.revokeSession': {
+    handler: revokeSession,
+    description: '吊销当前用户的一个会话',
+    auth: 'user',
+    onBehalfOf: 'user.manage',
+    rateLimit: 'write',
+    errors: [404],
+    params: {
+      username,
+      sessionId: { rule: 'id', required: true }
+    }
+  },
+  'user.revokeAllSessions': {
+    handler: revokeAllSessions,
+    description: '吊销当前用户的所有会话 (退出所有设备)',
+    auth: 'user',
+    onBehalfOf: 'user.manage',
+    rateLimit: 'write',
+    params: { username }
+  },
+  'user.profile': {
+    handler: getUserProfile,
+    description: '获取用户资料 (本人和 moderator 以上得到完整资料，其他人只得到 username、createdAt)',
+    auth: 'none',
+    rateLimit: 'read',
+    httpCache: { scope: 'private' }, // 内容取决于访问令牌，本人的资料包含邮箱，不允许 CDN 缓存
+    errors: [404],
+    params: { username }
+  },
+  'user.update': {
+    handler: updateUser,
+    description: '更新用户资料 (email、password)；修改邮箱后需要重新验证',
+    auth: 'user',
+    onBehalfOf: 'user.manage',
+    rateLimit: 'write',
+    errors: [404],
+    params: {
+      username,
+      updates: {
+        type: 'object',
+        required: true,
+        fields: {
+          email: { rule: 'email', trim: true },
+          password: { max: 100 } // 不做格式检查，只要求是字符串
+        }
+      },
+      locale // 验证邮件的语言
+    }
+  },
+  'user.delete': {
+    handler: deleteUser,
+    description: '删除用户',
+    auth: 'user',
+    onBehalfOf: 'user.manage',
+    rateLimit: 'write',
+    errors: [404],
+    params: { username }
+  },
+  'user.setRole': {
+    handler: setUserRole,
+    description: '授予或撤销用户角色 (guest、user、trusted、moderator、admin)',
+    auth: 'user',
+    permission: 'user.manage',
+    rateLimit: 'write',
+    errors: [403, 404],
+    params: {
+      target: { rule: 'username', required: true },
+      role: { required: true }
+    }
+  },
+  'user.ban': {
+    handler: banUser,
+    description: '封禁用户：禁止登录并吊销其所有会话 (只能封禁角色低于自己的用户)',
+    auth: 'user',
+    permission: 'user.ban',
+    rateLimit: 'write',
+    errors: [403, 404],
+    params: {
+      target: { rule: 'username', required: true },
+      reason: { max: 200, trim: true }
+    }
+  },
+  'user.unban': {
+    handler: unbanUser,
+    description: '解除封禁',
+    auth: 'user',
+    permission: 'user.ban',
+    rateLimit: 'write',
+    errors: [403, 404],
+    params: {
+      target: { rule: 'username', required: true }
+    }
+  }
+};
+
+// ====================================================================
+// 参数校验
+// ====================================================================
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// GET 请求的参数都是字符串，按 schema 的类型转换；无法转换时原样返回，由类型检查报错
+function coerce(value, type) {
+  if (type === 'boolean' && typeof value === 'string') {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+  }
+  if (type === 'integer' && typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  return value;
+}
+
+// 校验失败时返回 { error: 字段错误码, params }，错误码对应 lib/i18n.js 中的 FIELD_* 消息
+function checkField(schema, rawValue) {
+  const type = schema.type || 'string';
+  let value = coerce(rawValue, type);
+
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? { value } : { error: 'FIELD_NOT_BOOLEAN' };
+  }
+  if (type === 'integer') {
+    if (!Number.isInteger(value)) return { error: 'FIELD_NOT_INTEGER' };
+    if (schema.min !== undefined && value < schema.min) return { error: 'FIELD_TOO_SMALL', params: { min: schema.min } };
+    if (schema.max !== undefined && value > schema.max) return { error: 'FIELD_TOO_LARGE', params: { max: schema.max } };
+    return { value };
+  }
+  if (type === 'object') {
+    return isPlainObject(value) ? { value } : { error: 'FIELD_NOT_OBJECT' };
+  }
+
+  if (typeof value !== 'string') return { error: 'FIELD_NOT_STRING' };
+  if (schema.trim) value = value.trim();
+  if (value.length === 0 && schema.required) return { error: 'FIELD_REQUIRED' };
+
+  const rule = { ...(schema.rule ? CONFIG.COMMENT_VALIDATION[schema.rule] : {}), ...schema };
+  if ((rule.min && value.length < rule.min) || (rule.max && value.length > rule.max)) {
+    return { error: 'FIELD_LENGTH', params: { min: rule.min || 0, max: rule.max } };
+  }
+  const pattern = rule.pattern || rule.regex;
+  if (pattern && !pattern.test(value)) return { error: 'FIELD_FORMAT' };
+  return { value };
+}
+
+// 字段错误：code 和 params 用于按请求语言生成消息，message 为基准语言的消息 (用于日志)
+const fieldError = (field, code, params = {}) => ({ field, code, params, message: translate(code, { field, ...params }, SOURCE_LOCALE) });
+
+/**
+* 按 schema 校验并转换参数。
+* @param {object} schema - action 的参数 schema
+* @param {object} input - 原始参数
+* @param {string} [prefix] - 字段名前缀，校验嵌套对象 (fields) 时为 '父字段.'
+* @returns {{ values: object, errors: Array<{ field: string, code: string, params: object, message: string }> }}
+*/
+export function validateParams(schema, input = {}, prefix = '') {
+  const values = {};
+  const errors = [];
+  for (const [field, fieldSchema] of Object.entries(schema)) {
+    const rawValue = input[field];
+    if (rawValue === undefined || rawValue === null || rawValue === '') {
+      if (fieldSchema.required) {
+        errors.push(fieldError(`${prefix}${field}`, 'FIELD_REQUIRED'));
+      } else if (fieldSchema.default !== undefined) {
+        values[field] = fieldSchema.default;
+      }
+      continue;
+    }
+    const { value, error, params } = checkField(fieldSchema, rawValue);
+    if (error) {
+      errors.push(fieldError(`${prefix}${field}`, error, params));
+    } else if (fieldSchema.fields) {
+      // 嵌套对象只接受声明过的字段：未知字段报错而不是丢弃，避免调用方误以为已经生效
+      const nested = validateParams(fieldSchema.fields, value, `${prefix}${field}.`);
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(fieldSchema.fields, key)) nested.errors.push(fieldError(`${prefix}${field}.${key}`, 'FIELD_UNKNOWN'));
+      }
+      errors.push(...nested.errors);
+      values[field] = nested.values;
+    } else {
+      values[field] = value;
+    }
+  }
+  return { values, errors };
+}
+
+// ====================================================================
+// 执行
+// ====================================================================
+
+/**
+* 按 'type.action' 名称查找 action。
+* @param {string} type - 资源类型 ('comment' | 'like' | 'user')
+* @param {string} action - 动作名称
+* @returns {object} - action 定义 (带 name 字段)
+* @throws {ValidationError} 如果 type 或 action 不存在 (UNKNOWN_ACTION)
+*/
+export function resolveAction(type, action) {
+  const name = `${type}.${action}`;
+  if (Object.prototype.hasOwnProperty.call(ACTIONS, name)) return { name, ...ACTIONS[name] };
+  throw new ValidationError('UNKNOWN_ACTION', { name });
+}
+
+// 'user' 要求请求携带有效的访问令牌 (user 为 lib/auth.js 的 authenticate 解析出的当前用户)，
+// 声明了 permission 时还要求当前用户的角色拥有该权限 (lib/permissions.js)
+function checkAuth(definition, user) {
+  if (definition.auth === 'none') return;
+  if (!user) throw new UnauthorizedError('AUTH_REQUIRED');
+  if (definition.permission) requirePermission(user, definition.permission);
+}
+
+// 需要登录的 action 的 username 参数就是当前用户：请求中没有指定时由令牌确定；
+// 指定了其他用户时，只有拥有 onBehalfOf 权限 (例如管理员的 user.manage) 才允许，否则拒绝
+function bindActingUser(definition, input, user) {
+  if (definition.auth === 'none' || !Object.hasOwn(definition.params, 'username')) return input;
+  const requested = input.username;
+  if (requested === undefined || requested === null || requested === '' || requested === user.username) {
+    return { ...input, username: user.username };
+  }
+  if (definition.onBehalfOf && can(user, definition.onBehalfOf)) return input;
+  throw new ForbiddenError('USER_MISMATCH');
+}
+
+/**
+* 按 action 的 httpCache 声明计算响应的缓存策略。
+* @param {string} name - action 名称
+* @param {object} input - 原始参数
+* @param {any} result - action 的返回值
+* @returns {{ scope: string, lastModified: number|null }|null} - action 没有声明 httpCache 时为 null
+*/
+export function httpCachePolicy(name, input, result) {
+  const httpCache = Object.hasOwn(ACTIONS, name) ? ACTIONS[name].httpCache : undefined;
+  if (!httpCache) return null;
+  return {
+    scope: typeof httpCache.scope === 'function' ? httpCache.scope(isPlainObject(input) ? input : {}) : httpCache.scope,
+    lastModified: httpCache.lastModified ? httpCache.lastModified(result) : null
+  };
+}
+
+// 所有入口 (信封、REST、JSON-RPC、批量) 的 action 调用都经过 executeAction，在这里按 type/action/status 统计；
+// 不存在的 action 不计入 (名称来自请求，会让标签无限增长)
+const actionRequests = counter('api_requests_total', 'Action calls by type, action and resulting HTTP status.', ['type', 'action', 'status']);
+const actionDuration = histogram('api_handler_duration_seconds', 'Duration of action calls (validation and handler).', ['type', 'action']);
+
+/**
+* 校验参数并执行 action。
+* @param {string} name - action 名称，例如 'comment.add'
+* @param {object} input - 原始参数
+* @param {object} [options]
+* @param {{ username: string }|null} [options.user] - 访问令牌对应的当前用户，匿名请求为 null
+* @returns {Promise<any>} - 业务函数的返回值
+* @throws {ValidationError} 如果 action 不存在或参数无效 (INVALID_PARAMS，error.fields 为字段级错误列表)
+* @throws {UnauthorizedError|ForbiddenError} 如果不满足 action 的 auth 要求，或 username 参数不是当前用户 (USER_MISMATCH)
+* @throws {RateLimitedError} 如果超过 action 限流类别的额度
+*/
+export async function executeAction(name, input, { user = null } = {}) {
+  const [type, ...rest] = String(name).split('.');
+  const definition = resolveAction(type, rest.join('.'));
+  const labels = { type, action: rest.join('.') };
+  const endTimer = actionDuration.startTimer(labels);
+
+  try {
+    checkAuth(definition, user);
+    const params = bindActingUser(definition, isPlainObject(input) ? input : {}, user);
+    const { values, errors } = validateParams(definition.params, params);
+    if (errors.length > 0) {
+      logger.warn(`[Actions] 参数校验失败 (action: ${definition.name})`, { errors });
+      throw new ValidationError('INVALID_PARAMS', {}, errors);
+    }
+
+    await enforceRateLimit(definition, values);
+    const result = await definition.handler(values, { user });
+    actionRequests.inc({ ...labels, status: 200 });
+    return result;
+  } catch (error) {
+    actionRequests.inc({ ...labels, status: error instanceof ApiError ? error.status : 500 });
+    throw error;
+  } finally {
+    endTimer();
+  }
+}
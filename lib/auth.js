@@ -0,0 +1,131 @@
+// lib/auth.js - 访问令牌 (JWT, HS256)
+// user.login 成功后签发访问令牌，客户端之后在请求头中携带 Authorization: Bearer <token>。
+// api/index.js 用 authenticate 校验令牌并得到当前用户 { username, sessionId, role }，需要登录的 action 的 username 参数由它确定，
+// 不再信任请求参数中的 username (见 lib/actions.js 的 executeAction)。
+// 令牌用 AUTH_SECRET 签名，多个实例必须使用相同的密钥。访问令牌的有效期较短，并且绑定到登录会话 (sid)，
+// 会话被登出或吊销后立即失效；过期后用刷新令牌换取新的访问令牌 (lib/sessions.js)。
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { logger, UnauthorizedError, UnavailableError, CONFIG } from './utils.js';
+import { touchSession } from './sessions.js';
+import { getUserAccess } from './permissions.js';
+
+logger.info('✅ lib/auth.js 加载成功');
+
+const ALGORITHM = 'HS256';
+const ACCESS_TOKEN_TYPE = 'access';
+
+// 没有配置 AUTH_SECRET 时使用进程内的随机密钥：本地开发可以直接运行，但重启后所有令牌失效，
+// 多个 Serverless 实例之间的令牌也互不承认。生产环境 (NODE_ENV=production) 不使用临时密钥，
+// 签发和校验令牌都返回 503 AUTH_NOT_CONFIGURED，就绪检查同时失败 (lib/health.js)
+let secret = CONFIG.AUTH.SECRET;
+if (!secret && CONFIG.AUTH.REQUIRE_SECRET) {
+  logger.error('[Auth] 生产环境未设置 AUTH_SECRET：拒绝签发和校验令牌，请设置后重新部署');
+} else if (!secret) {
+  secret = randomBytes(32).toString('hex');
+  logger.warn('[Auth] 未设置 AUTH_SECRET，使用临时随机密钥：重启后令牌失效，多实例部署时令牌无法通用');
+} else if (secret.length < 32) {
+  logger.warn('[Auth] AUTH_SECRET 长度不足 32 个字符，建议使用更长的随机字符串');
+}
+
+const encodeSegment = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+/**
+* 确认可以签发和校验令牌。
+* @throws {UnavailableError} 如果生产环境没有设置 AUTH_SECRET (AUTH_NOT_CONFIGURED)
+*/
+export function assertAuthConfigured() {
+  if (!secret) throw new UnavailableError('AUTH_NOT_CONFIGURED');
+}
+
+function sign(input) {
+  assertAuthConfigured();
+  return createHmac('sha256', secret).update(input).digest();
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+* 签发 JWT。
+* @param {object} claims - 载荷 (sub、typ 等)，iat/exp/iss/jti 自动补充
+* @param {number} ttlSeconds - 有效期 (秒)
+* @returns {{ token: string, expiresAt: number }} - expiresAt 为过期时间 (秒级时间戳)
+* @throws {UnavailableError} 如果生产环境没有设置 AUTH_SECRET (AUTH_NOT_CONFIGURED)
+*/
+export function signToken(claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { iss: CONFIG.AUTH.ISSUER, jti: randomUUID(), ...claims, iat: now, exp: now + ttlSeconds };
+  const unsigned = `${encodeSegment({ alg: ALGORITHM, typ: 'JWT' })}.${encodeSegment(payload)}`;
+  return { token: `${unsigned}.${sign(unsigned).toString('base64url')}`, expiresAt: payload.exp };
+}
+
+/**
+* 校验 JWT 的签名、签发者、类型和有效期。
+* @param {string} token - JWT
+* @param {string} type - 期望的令牌类型 (typ 声明)
+* @returns {object} - 载荷
+* @throws {UnauthorizedError} 如果令牌无效 (INVALID_TOKEN) 或已过期 (TOKEN_EXPIRED)
+* @throws {UnavailableError} 如果生产环境没有设置 AUTH_SECRET (AUTH_NOT_CONFIGURED)
+*/
+export function verifyToken(token, type) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3) throw new UnauthorizedError('INVALID_TOKEN');
+  const [headerSegment, payloadSegment, signatureSegment] = segments;
+
+  // 只接受 HS256，拒绝 alg: none 等其他算法
+  const header = decodeSegment(headerSegment);
+  if (!header || header.alg !== ALGORITHM) throw new UnauthorizedError('INVALID_TOKEN');
+
+  const expected = sign(`${headerSegment}.${payloadSegment}`);
+  const actual = Buffer.from(signatureSegment, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new UnauthorizedError('INVALID_TOKEN');
+  }
+
+  const payload = decodeSegment(payloadSegment);
+  if (!payload || payload.iss !== CONFIG.AUTH.ISSUER || payload.typ !== type || typeof payload.sub !== 'string' || !payload.sub) {
+    throw new UnauthorizedError('INVALID_TOKEN');
+  }
+  if (!Number.isFinite(payload.exp) || payload.exp <= Math.floor(Date.now() / 1000)) {
+    throw new UnauthorizedError('TOKEN_EXPIRED');
+  }
+  return payload;
+}
+
+/**
+* 为会话签发访问令牌。
+* @param {object} session
+* @param {string} session.username - 用户名
+* @param {string} session.sessionId - 会话 ID (lib/sessions.js 的 createSession)
+* @returns {{ accessToken: string, tokenType: 'Bearer', expiresIn: number, expiresAt: string }}
+*/
+export function issueAccessToken({ username, sessionId }) {
+  const ttl = CONFIG.AUTH.ACCESS_TOKEN_TTL;
+  const { token, expiresAt } = signToken({ sub: username, sid: sessionId, typ: ACCESS_TOKEN_TYPE }, ttl);
+  return { accessToken: token, tokenType: 'Bearer', expiresIn: ttl, expiresAt: new Date(expiresAt * 1000).toISOString() };
+}
+
+/**
+* 从请求头 Authorization: Bearer <token> 解析当前用户，确认令牌所属的会话仍然有效，并读取用户当前的角色和邮箱验证状态 (lib/permissions.js)。
+* @param {object} req - Node.js/Vercel 请求对象
+* @returns {Promise<{ username: string, sessionId: string, role: string, emailVerified: boolean }|null>} - 没有携带令牌时为 null (匿名请求)
+* @throws {UnauthorizedError} 如果携带了令牌但令牌无效 (INVALID_TOKEN)、已过期 (TOKEN_EXPIRED)，
+*   或会话已失效、用户已被删除或封禁 (SESSION_REVOKED)
+* @throws {Error} 如果读取会话失败
+*/
+export async function authenticate(req) {
+  const header = req.headers?.authorization;
+  if (!header) return null;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  if (!match) throw new UnauthorizedError('INVALID_TOKEN');
+  const payload = verifyToken(match[1], ACCESS_TOKEN_TYPE);
+  if (typeof payload.sid !== 'string' || !payload.sid) throw new UnauthorizedError('INVALID_TOKEN');
+  if (!(await touchSession(payload.sub, payload.sid))) throw new UnauthorizedError('SESSION_REVOKED');
+  const access = await getUserAccess(payload.sub);
+  if (!access || access.banned) throw new UnauthorizedError('SESSION_REVOKED');
+  return { username: payload.sub, sessionId: payload.sid, role: access.role, emailVerified: access.emailVerified };
+}
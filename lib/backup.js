@@ -0,0 +1,328 @@
+// lib/backup.js - 全量备份与恢复 (NDJSON / JSON)
+// 备份文件由三部分组成：
+//   header  { type: 'header', format, version, createdAt, storage, schemaVersion, collections }
+//   record  { type: 'record', collection, path, value }   每条评论/用户/点赞记录一行
+//   footer  { type: 'footer', counts, checksum }           各集合记录数和所有 record 行的 SHA-256
+// NDJSON 格式每行一个对象，可以流式写出；JSON 格式为 { header, records, footer }。
+// 由于按记录路径保存，备份与存储后端无关，可以用来在 firebase / local / sqlite 之间迁移数据。
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import {
+  read, multiPathUpdate, initStorage, logger, CONFIG
+} from './utils.js';
+import { SCHEMA_VERSION_PATH } from './migrations.js';
+
+logger.info('✅ lib/backup.js 加载成功');
+
+export const BACKUP_FORMAT = 'kenhunshuchong-backup';
+export const BACKUP_VERSION = 1;
+
+// 每个集合中记录所在的层级，例如 comments/{postId}/{commentId} 为 2
+export const BACKUP_COLLECTIONS = {
+  users: 1,
+  usernames: 1,
+  articles: 1,
+  comments: 2,
+  articleLikes: 1,
+  commentLikes: 3,
+  _meta: 1
+};
+
+const RESTORE_BATCH_SIZE = 500; // 恢复时每次多路径写入的记录数
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function* flattenRecords(collection, value, depth, pathSegments = [collection]) {
+  if (depth === 0 || !isPlainObject(value)) {
+    yield { type: 'record', collection, path: pathSegments.join('/'), value };
+    return;
+  }
+  for (const [key, child] of Object.entries(value)) {
+    yield* flattenRecords(collection, child, depth - 1, [...pathSegments, key]);
+  }
+}
+
+function createChecksum() {
+  const hash = createHash('sha256');
+  return {
+    add: record => hash.update(`${JSON.stringify(record)}\n`),
+    digest: () => hash.digest('hex')
+  };
+}
+
+// ====================================================================
+// 备份
+// ====================================================================
+
+/**
+* 按顺序生成备份中的所有条目 (header、record...、footer)。
+* @returns {AsyncGenerator<object>}
+*/
+export async function* generateBackupEntries() {
+  initStorage();
+  const schemaVersion = await read(SCHEMA_VERSION_PATH);
+  yield {
+    type: 'header',
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    storage: CONFIG.STORAGE.DRIVER,
+    schemaVersion: typeof schemaVersion === 'number' ? schemaVersion : 0,
+    collections: Object.keys(BACKUP_COLLECTIONS)
+  };
+
+  const counts = {};
+  const checksum = createChecksum();
+  for (const [collection, depth] of Object.entries(BACKUP_COLLECTIONS)) {
+    counts[collection] = 0;
+    const data = await read(collection);
+    if (data === null) continue;
+    for (const record of flattenRecords(collection, data, depth)) {
+      counts[collection]++;
+      checksum.add(record);
+      yield record;
+    }
+  }
+
+  yield { type: 'footer', counts, checksum: checksum.digest() };
+}
+
+/**
+* 创建备份数据流。
+* @param {object} [options]
+* @param {'ndjson'|'json'} [options.format='ndjson'] - 输出格式
+* @returns {Readable} - 文本流
+*/
+export function createBackupStream({ format = 'ndjson' } = {}) {
+  if (format !== 'ndjson' && format !== 'json') {
+    throw new Error(`Unsupported backup format: ${format}`);
+  }
+
+  async function* lines() {
+    if (format === 'ndjson') {
+      for await (const entry of generateBackupEntries()) yield `${JSON.stringify(entry)}\n`;
+      return;
+    }
+    // JSON 格式同样逐条写出，避免在内存中拼接整个文件
+    let first = true;
+    for await (const entry of generateBackupEntries()) {
+      if (entry.type === 'header') {
+        yield `{"header":${JSON.stringify(entry)},"records":[`;
+      } else if (entry.type === 'record') {
+        yield `${first ? '\n' : ',\n'}${JSON.stringify(entry)}`;
+        first = false;
+      } else {
+        yield `\n],"footer":${JSON.stringify(entry)}}\n`;
+      }
+    }
+  }
+
+  return Readable.from(lines());
+}
+
+// ====================================================================
+// 恢复
+// ====================================================================
+
+/**
+* 解析备份内容 (自动识别 NDJSON / JSON)。
+* @param {string} content - 备份文件内容
+* @returns {{ header: object, records: object[], footer: object }}
+* @throws {Error} 如果格式不正确
+*/
+export function parseBackup(content) {
+  const text = String(content).trim();
+  const firstLine = text.split('\n', 1)[0];
+  let entries;
+  try {
+    const first = JSON.parse(firstLine);
+    entries = first && first.type === 'header'
+      ? text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : null;
+  } catch (error) {
+    entries = null; // 第一行不是完整 JSON，按单个 JSON 文档解析
+  }
+
+  if (!entries) {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Backup is neither valid NDJSON nor JSON: ${error.message}`);
+    }
+    entries = [document.header, ...(document.records || []), document.footer];
+  }
+
+  const header = entries[0];
+  const footer = entries[entries.length - 1];
+  if (!header || header.type !== 'header' || header.format !== BACKUP_FORMAT) {
+    throw new Error('Backup header is missing or has an unknown format.');
+  }
+  if (header.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${header.version}`);
+  }
+  if (!footer || footer.type !== 'footer') {
+    throw new Error('Backup footer is missing; the file may be truncated.');
+  }
+  const records = entries.slice(1, -1);
+  if (records.some(record => !record || record.type !== 'record')) {
+    throw new Error('Backup contains malformed record entries.');
+  }
+  return { header, records, footer };
+}
+
+/**
+* 检查备份的完整性：记录数、校验和以及评论/点赞之间的引用关系。
+* @param {{ header: object, records: object[], footer: object }} backup - parseBackup 的结果
+* @returns {{ counts: object, errors: string[], integrityErrors: string[], warnings: string[] }}
+*   errors 为结构性错误 (记录数、校验和、路径)，integrityErrors 为引用完整性错误
+*/
+export function verifyBackup({ records, footer }) {
+  const errors = [];
+  const integrityErrors = [];
+  const warnings = [];
+  const counts = {};
+  const checksum = createChecksum();
+  const tree = {};
+
+  for (const record of records) {
+    const depth = BACKUP_COLLECTIONS[record.collection];
+    const segments = String(record.path).split('/');
+    if (depth === undefined) {
+      errors.push(`未知集合: ${record.collection} (path: ${record.path})`);
+      continue;
+    }
+    if (segments[0] !== record.collection || segments.length !== depth + 1) {
+      errors.push(`记录路径与集合不匹配: ${record.path}`);
+      continue;
+    }
+    counts[record.collection] = (counts[record.collection] || 0) + 1;
+    checksum.add(record);
+
+    let node = tree;
+    for (const segment of segments.slice(0, -1)) node = node[segment] = node[segment] || {};
+    node[segments[segments.length - 1]] = record.value;
+  }
+
+  // --- 记录数和校验和 ---
+  for (const collection of Object.keys(BACKUP_COLLECTIONS)) {
+    const expected = footer.counts?.[collection] || 0;
+    const actual = counts[collection] || 0;
+    if (expected !== actual) errors.push(`记录数不一致: ${collection} (footer: ${expected}, 实际: ${actual})`);
+  }
+  if (footer.checksum !== checksum.digest()) {
+    errors.push('校验和不一致，备份内容可能已被修改或损坏');
+  }
+
+  // --- 评论的 parentId / children 引用 ---
+  for (const [postId, comments] of Object.entries(tree.comments || {})) {
+    for (const [commentId, comment] of Object.entries(comments)) {
+      if (!isPlainObject(comment)) {
+        integrityErrors.push(`评论数据无效: comments/${postId}/${commentId}`);
+        continue;
+      }
+      if (comment.parentId && comment.parentId !== '0' && !comments[comment.parentId]) {
+        integrityErrors.push(`评论的父评论不存在: comments/${postId}/${commentId} (parentId: ${comment.parentId})`);
+      }
+      for (const childId of Object.keys(comment.children || {})) {
+        if (!comments[childId]) {
+          integrityErrors.push(`children 引用了不存在的评论: comments/${postId}/${commentId}/children/${childId}`);
+        } else if (comments[childId].parentId !== commentId) {
+          integrityErrors.push(`children 引用与子评论的 parentId 不一致: comments/${postId}/${commentId}/children/${childId}`);
+        }
+      }
+    }
+  }
+
+  // --- 点赞引用 ---
+  for (const [postId, users] of Object.entries(tree.commentLikes || {})) {
+    for (const [username, likedComments] of Object.entries(users)) {
+      for (const commentId of Object.keys(likedComments)) {
+        if (!tree.comments?.[postId]?.[commentId]) {
+          integrityErrors.push(`点赞引用了不存在的评论: commentLikes/${postId}/${username}/${commentId}`);
+        }
+      }
+    }
+  }
+  for (const [key, like] of Object.entries(tree.articleLikes || {})) {
+    if (isPlainObject(like) && like.postId && !tree.articles?.[like.postId]) {
+      warnings.push(`文章点赞引用了不存在的文章: articleLikes/${key}`);
+    }
+  }
+
+  return { counts, errors, integrityErrors, warnings };
+}
+
+// 恢复顺序：按集合顺序，同一文章内父评论先于子评论，满足 SQLite 等后端的外键约束
+function orderForRestore(records) {
+  const collectionOrder = Object.keys(BACKUP_COLLECTIONS);
+  const comments = new Map(records.filter(record => record.collection === 'comments').map(record => [record.path, record.value]));
+  const depthOf = (path, seen = new Set()) => {
+    const comment = comments.get(path);
+    if (!isPlainObject(comment) || !comment.parentId || comment.parentId === '0' || seen.has(path)) return 0;
+    seen.add(path);
+    const parentPath = `${path.slice(0, path.lastIndexOf('/'))}/${comment.parentId}`;
+    return comments.has(parentPath) ? depthOf(parentPath, seen) + 1 : 0;
+  };
+  return records
+    .map((record, index) => ({
+      record,
+      index,
+      collectionIndex: collectionOrder.indexOf(record.collection),
+      depth: record.collection === 'comments' ? depthOf(record.path) : 0
+    }))
+    .sort((a, b) => a.collectionIndex - b.collectionIndex || a.depth - b.depth || a.index - b.index)
+    .map(item => item.record);
+}
+
+/**
+* 把备份恢复到空的存储中。
+* 恢复前会完整校验备份，校验通过后分批写入，写入完成后重新统计记录数进行核对。
+* 分批写入不是一个整体事务：如果中途失败，请清空目标存储后重新恢复。
+* @param {string} content - 备份文件内容 (NDJSON 或 JSON)
+* @param {object} [options]
+* @param {boolean} [options.dryRun=false] - 只校验，不写入
+* @param {boolean} [options.ignoreIntegrityErrors=false] - 引用完整性错误时仍然恢复 (记录数和校验和错误除外)
+* @returns {Promise<{ counts: object, errors: string[], integrityErrors: string[], warnings: string[], restored: boolean }>}
+* @throws {Error} 如果备份无效、校验失败或目标存储不为空
+*/
+export async function restoreBackup(content, { dryRun = false, ignoreIntegrityErrors = false } = {}) {
+  const backup = parseBackup(content);
+  const report = verifyBackup(backup);
+  const fatalErrors = ignoreIntegrityErrors ? report.errors : [...report.errors, ...report.integrityErrors];
+  if (fatalErrors.length > 0) {
+    logger.error(`[Backup] 备份校验失败 (${fatalErrors.length} 个错误)`);
+    const error = new Error(`Backup verification failed:\n  ${fatalErrors.join('\n  ')}`);
+    error.report = report;
+    throw error;
+  }
+
+  initStorage();
+  for (const collection of Object.keys(BACKUP_COLLECTIONS)) {
+    if (await read(collection) !== null) {
+      throw new Error(`Target storage is not empty (collection "${collection}" has data). Restore requires an empty store.`);
+    }
+  }
+
+  if (dryRun) return { ...report, restored: false };
+
+  const records = orderForRestore(backup.records);
+  for (let i = 0; i < records.length; i += RESTORE_BATCH_SIZE) {
+    const updates = {};
+    for (const record of records.slice(i, i + RESTORE_BATCH_SIZE)) updates[record.path] = record.value;
+    await multiPathUpdate(updates);
+  }
+
+  // --- 写入后核对记录数 ---
+  for (const [collection, depth] of Object.entries(BACKUP_COLLECTIONS)) {
+    const data = await read(collection);
+    const actual = data === null ? 0 : [...flattenRecords(collection, data, depth)].length;
+    const expected = report.counts[collection] || 0;
+    if (actual !== expected) {
+      throw new Error(`Restore verification failed for "${collection}": expected ${expected} records, found ${actual}.`);
+    }
+  }
+
+  logger.info('[Backup] 备份恢复成功', report.counts);
+  return { ...report, restored: true };
+}
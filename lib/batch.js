@@ -0,0 +1,95 @@
+// lib/batch.js - 批量请求
+// 一次请求执行多个 { type, action, params } 操作，按原顺序返回每个操作的结果或错误。
+// 只读操作 (rateLimit 为 'read' 的 action) 之间互不影响，并发执行；写操作作为屏障：
+// 等前面的操作全部完成后单独执行，后面的操作再开始，保证 "先写后读" 的批次能读到写入后的数据。
+import { logger, ValidationError, PayloadTooLargeError, toErrorResponse, CONFIG } from './utils.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+import { executeAction, resolveAction } from './actions.js';
+
+logger.info('✅ lib/batch.js 加载成功');
+
+// 单个操作的执行结果，失败不影响同一批次的其他操作；错误消息按 locale 生成，所有操作都以 user 的身份执行
+async function runOperation(operation, locale, user) {
+  try {
+    const data = await executeAction(`${operation.type}.${operation.action}`, operation.params || {}, { user });
+    return { success: true, data };
+  } catch (error) {
+    const { status, payload } = toErrorResponse(error, locale);
+    if (status >= 500) {
+      logger.error(`[Batch] 操作执行失败 (action: ${operation.type}.${operation.action})`, { error: error.message });
+    }
+    return { ...payload, status };
+  }
+}
+
+/**
+* 判断 action 是否只读 (rateLimit 为 'read')。
+* @param {string} type - 资源类型
+* @param {string} action - 动作名称
+* @returns {boolean}
+*/
+export function isReadOnly(type, action) {
+  try {
+    return resolveAction(type, action).rateLimit === 'read';
+  } catch {
+    return true; // 未知的 action 不会修改数据，执行时再返回错误
+  }
+}
+
+/**
+* 按 "只读并发、写操作串行" 的规则调度一组操作。
+* @param {Array<any>} operations - 操作列表
+* @param {Function} isReadOnlyOperation - 判断操作是否只读
+* @param {Function} run - 执行单个操作的异步函数，返回该操作的结果
+* @returns {Promise<Array<any>>} - 与 operations 一一对应的结果
+*/
+export async function scheduleOperations(operations, isReadOnlyOperation, run) {
+  const results = new Array(operations.length);
+  let readGroup = [];
+
+  const flushReads = async () => {
+    await Promise.all(readGroup.map(async index => {
+      results[index] = await run(operations[index]);
+    }));
+    readGroup = [];
+  };
+
+  for (let index = 0; index < operations.length; index++) {
+    if (isReadOnlyOperation(operations[index])) {
+      readGroup.push(index);
+      continue;
+    }
+    await flushReads();
+    results[index] = await run(operations[index]);
+  }
+  await flushReads();
+  return results;
+}
+
+/**
+* 执行一批操作。
+* @param {Array<{ type: string, action: string, params?: object }>} operations - 操作列表
+* @param {object} [options]
+* @param {string} [options.locale] - 错误消息的语言
+* @param {{ username: string }|null} [options.user] - 访问令牌对应的当前用户
+* @returns {Promise<Array<object>>} - 与 operations 一一对应的结果：
+*   成功时为 { success: true, data }，失败时为 { success: false, status, code, message, errors? }
+* @throws {ValidationError} 如果 operations 不是数组、为空 (INVALID_BATCH) 或缺少 type/action (INVALID_BATCH_OPERATION)
+* @throws {PayloadTooLargeError} 如果超过 CONFIG.BATCH.MAX_OPERATIONS (BATCH_TOO_LARGE)
+*/
+export async function executeBatch(operations, { locale = DEFAULT_LOCALE, user = null } = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new ValidationError('INVALID_BATCH');
+  }
+  if (operations.length > CONFIG.BATCH.MAX_OPERATIONS) {
+    throw new PayloadTooLargeError('BATCH_TOO_LARGE', { max: CONFIG.BATCH.MAX_OPERATIONS });
+  }
+  const invalidIndex = operations.findIndex(operation => !operation || typeof operation !== 'object' || !operation.type || !operation.action);
+  if (invalidIndex >= 0) {
+    throw new ValidationError('INVALID_BATCH_OPERATION', { index: invalidIndex });
+  }
+
+  const results = await scheduleOperations(operations, operation => isReadOnly(operation.type, operation.action), operation => runOperation(operation, locale, user));
+  logger.info(`[Batch] 批量请求完成 (operations: ${operations.length}, failed: ${results.filter(result => !result.success).length})`);
+  return results;
+}
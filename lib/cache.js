@@ -0,0 +1,261 @@
+// lib/cache.js - 读穿透缓存 (read-through) 与写入失效
+// 业务模块通过 cached(key, loader) 读取数据：命中时直接返回缓存值，未命中时调用 loader 读库并写入缓存。
+// 写操作完成后调用 invalidate / invalidatePrefix 删除相关的缓存键，TTL 只是兜底，保证数据最终一致。
+// 缓存存储是可插拔的，每个存储都是一个工厂函数，返回实现以下接口的对象 (方法可以是同步或异步的)：
+//   name                     存储名称
+//   get(key)                 读取缓存值，不存在或已过期时返回 undefined
+//   set(key, value, ttlMs)   写入缓存值
+//   delete(key)              删除单个键
+//   deleteByPrefix(prefix)   删除所有以 prefix 开头的键 (Redis 兼容实现可用 SCAN + DEL)
+//   clear()                  清空缓存
+//   size()                   当前缓存的键数量
+import { logger, CONFIG } from './utils.js';
+import { counter } from './metrics.js';
+
+logger.info('✅ lib/cache.js 加载成功');
+
+// ====================================================================
+// 缓存存储
+// ====================================================================
+
+/**
+* 创建进程内 LRU 缓存存储。
+* Map 按插入顺序迭代，命中时把键移到末尾，超出容量时淘汰最前面 (最久未使用) 的键。
+* @param {object} [options]
+* @param {number} [options.maxEntries=1000] - 最大缓存键数量
+* @returns {object} - 缓存存储
+*/
+export function createMemoryCacheStore({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    deleteByPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+// 'none' 存储不缓存任何内容，用于关闭缓存
+function createNoopCacheStore() {
+  return {
+    name: 'none',
+    get: () => undefined,
+    set() {},
+    delete() {},
+    deleteByPrefix() {},
+    clear() {},
+    size: () => 0
+  };
+}
+
+const storeFactories = {
+  memory: createMemoryCacheStore,
+  none: createNoopCacheStore
+};
+
+/**
+* 注册自定义缓存存储 (例如 Redis 兼容的实现)。
+* @param {string} name - 存储名称，对应 CACHE_DRIVER 环境变量
+* @param {Function} factory - 接收 options 并返回缓存存储对象的工厂函数
+*/
+export function registerCacheStore(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Cache store factory for "${name}" must be a function.`);
+  }
+  storeFactories[name] = factory;
+}
+
+let store;
+
+function getStore() {
+  if (!store) {
+    const driver = CONFIG.CACHE.DRIVER;
+    const factory = storeFactories[driver];
+    if (!factory) {
+      throw new Error(`Unknown cache driver: ${driver} (available: ${Object.keys(storeFactories).join(', ')})`);
+    }
+    store = factory({ maxEntries: CONFIG.CACHE.MAX_ENTRIES, logger });
+    logger.info(`[Cache] 缓存存储初始化成功 (driver: ${store.name}, ttl: ${CONFIG.CACHE.TTL_MS}ms)`);
+  }
+  return store;
+}
+
+/**
+* 替换当前使用的缓存存储，原有缓存内容和统计数据一并丢弃。
+* @param {string} driver - 已注册的存储名称
+* @param {object} [options] - 传给工厂函数的选项
+*/
+export function useCacheStore(driver, options = {}) {
+  const factory = storeFactories[driver];
+  if (!factory) {
+    throw new Error(`Unknown cache driver: ${driver} (available: ${Object.keys(storeFactories).join(', ')})`);
+  }
+  store = factory({ maxEntries: CONFIG.CACHE.MAX_ENTRIES, logger, ...options });
+  resetCacheStats();
+}
+
+// ====================================================================
+// 缓存键
+// ====================================================================
+
+// 所有缓存键集中定义，读取方和失效方使用同一套键，避免拼写不一致导致失效遗漏
+export const cacheKeys = {
+  commentTree: postId => `comments:${postId}`,
+  articleLikes: postId => `articleLikes:${postId}`,
+  commentTotalLikes: (postId, commentId) => `commentTotalLikes:${postId}:${commentId}`,
+  commentTotalLikesOfPost: postId => `commentTotalLikes:${postId}:`
+};
+
+// ====================================================================
+// 读穿透与失效
+// ====================================================================
+
+const stats = { hits: 0, misses: 0, sets: 0, invalidations: 0, errors: 0 };
+
+// 与 stats 相同的事件，但作为 Prometheus 计数器不会被 resetCacheStats / useCacheStore 清零
+const cacheLookups = counter('cache_lookups_total', 'Read-through cache lookups by result (hit or miss).', ['result']);
+const cacheErrors = counter('cache_errors_total', 'Cache store errors (the request falls back to the database).');
+
+// 失效代数：loader 读库期间如果发生过失效，读到的可能是旧数据，此时不写入缓存
+let generation = 0;
+
+/**
+* 读穿透缓存：命中时返回缓存值，未命中时调用 loader 并缓存其结果。
+* 缓存存储出错时直接回退到 loader，不影响业务请求。
+* 注意：缓存值会被多个请求共享，调用方不能修改返回的对象。
+* @param {string} key - 缓存键 (使用 cacheKeys 生成)
+* @param {Function} loader - 未命中时读取数据的异步函数
+* @param {object} [options]
+* @param {number} [options.ttlMs] - 过期时间，默认 CONFIG.CACHE.TTL_MS
+* @returns {Promise<any>} - 缓存值或 loader 的结果
+*/
+export async function cached(key, loader, { ttlMs = CONFIG.CACHE.TTL_MS } = {}) {
+  try {
+    const value = await getStore().get(key);
+    if (value !== undefined) {
+      stats.hits++;
+      cacheLookups.inc({ result: 'hit' });
+      return value;
+    }
+  } catch (error) {
+    stats.errors++;
+    cacheErrors.inc();
+    logger.warn(`[Cache] 读取缓存失败，直接读取数据库 (key: ${key})`, { error: error.message });
+    return loader();
+  }
+
+  stats.misses++;
+  cacheLookups.inc({ result: 'miss' });
+  const loadGeneration = generation;
+  const value = await loader();
+  if (value !== undefined && loadGeneration === generation) {
+    try {
+      await getStore().set(key, value, ttlMs);
+      stats.sets++;
+    } catch (error) {
+      stats.errors++;
+      cacheErrors.inc();
+      logger.warn(`[Cache] 写入缓存失败 (key: ${key})`, { error: error.message });
+    }
+  }
+  return value;
+}
+
+/**
+* 删除指定的缓存键。写操作成功后调用；失效失败只记录日志，数据在 TTL 后自然过期。
+* @param {...string} keys - 缓存键
+* @returns {Promise<void>}
+*/
+export async function invalidate(...keys) {
+  generation++;
+  for (const key of keys) {
+    try {
+      await getStore().delete(key);
+      stats.invalidations++;
+    } catch (error) {
+      stats.errors++;
+      cacheErrors.inc();
+      logger.warn(`[Cache] 删除缓存失败 (key: ${key})`, { error: error.message });
+    }
+  }
+}
+
+/**
+* 删除所有以 prefix 开头的缓存键，用于一次失效一篇文章下的所有评论计数。
+* @param {string} prefix - 键前缀
+* @returns {Promise<void>}
+*/
+export async function invalidatePrefix(prefix) {
+  generation++;
+  try {
+    await getStore().deleteByPrefix(prefix);
+    stats.invalidations++;
+  } catch (error) {
+    stats.errors++;
+    cacheErrors.inc();
+    logger.warn(`[Cache] 按前缀删除缓存失败 (prefix: ${prefix})`, { error: error.message });
+  }
+}
+
+/**
+* 返回缓存命中统计。
+* @returns {Promise<object>} - { driver, size, hits, misses, hitRate, sets, invalidations, errors }
+*/
+export async function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+  let size = null;
+  try {
+    size = await getStore().size();
+  } catch (error) {
+    logger.warn('[Cache] 读取缓存大小失败', { error: error.message });
+  }
+  return {
+    driver: getStore().name,
+    size,
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0
+  };
+}
+
+/**
+* 清零命中统计。
+*/
+export function resetCacheStats() {
+  for (const key of Object.keys(stats)) stats[key] = 0;
+}
@@ -1,18 +1,39 @@
 // lib/comments.js - 终极优化版：移除TS，添加重试，统一Response (修复所有已知问题)
+// 参数格式 (必填、长度、格式) 由 lib/actions.js 中各 action 的 schema 统一校验，这里只处理业务规则
 import {
-  read, write, del, transaction, initFirebase, logger, computeTotalLikes, validateInput, ValidationError, CONFIG
+  read, write, query, multiPathUpdate, generatePushId, initStorage, logger, computeTotalLikes, validateInput, CONFIG,
+  ApiError, NotFoundError, ForbiddenError, ConflictError
 } from '../lib/utils.js'; // Ensure all necessary utilities are imported, added CONFIG
+import { cached, invalidate, invalidatePrefix, cacheKeys } from './cache.js';
+import { can } from './permissions.js';
+import { USERNAMES_PATH, usernameKey } from './users.js';
 
 // Logger initialization consistency
 logger.info('✅ lib/comments.js 加载成功');
 
-// Initialize Firebase database instance on module load
-initFirebase();
+// Initialize the configured storage adapter on module load
+// 配置错误时不让模块加载失败：进程继续运行，数据库操作返回 503，GET /api/health/ready 报告原因 (错误已由 initStorage 记录)
+try {
+  initStorage();
+} catch {
+  // 每次数据库操作都会重新尝试初始化
+}
 
 // ====================================================================
 // 评论辅助功能 (例如总赞数计算和祖先更新)
 // ====================================================================
 
+/**
+* 失效一篇文章的评论树缓存和所有评论总赞数缓存。
+* 评论内容、点赞数或总赞数发生变化后调用。
+* @param {string} postId - 文章ID
+* @returns {Promise<void>}
+*/
+export async function invalidateCommentCaches(postId) {
+  await invalidate(cacheKeys.commentTree(postId));
+  await invalidatePrefix(cacheKeys.commentTotalLikesOfPost(postId));
+}
+
 /**
 * 计算并更新评论及其子评论的总点赞数 (totalLikes)。
 * 此函数调用 utils.js 中的核心计算逻辑，然后将结果持久化到数据库。
@@ -21,20 +42,9 @@ initFirebase();
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 评论ID
 * @returns {Promise<number>} - 更新后的总点赞数
-* @throws {ValidationError} 如果输入无效
 * @throws {Error} 如果计算或写入失败
 */
 export async function computeCommentTreeTotalLikes({ postId, commentId }) {
-  // Validate inputs first
-  if (!postId || !validateInput(postId, 'id')) {
-    logger.warn(`[CommentsLib] computeCommentTreeTotalLikes: 无效的 postId (postId: ${postId})`);
-    throw new ValidationError('Invalid postId provided.');
-  }
-  if (!commentId || !validateInput(commentId, 'id')) {
-    logger.warn(`[CommentsLib] computeCommentTreeTotalLikes: 无效的 commentId (commentId: ${commentId})`);
-    throw new ValidationError('Invalid commentId provided.');
-  }
-
   const commentPath = `comments/${postId}/${commentId}`;
   try {
     const commentData = await read(commentPath); // Read the comment data
@@ -49,6 +59,7 @@ export async function computeCommentTreeTotalLikes({ postId, commentId }) {
     // Only write to DB if the totalLikes count has actually changed
     if (commentData.totalLikes !== newTotalLikes) {
       await write(commentPath, { totalLikes: newTotalLikes, lastSync: new Date().toISOString() }, { method: 'update' });
+      await invalidateCommentCaches(postId);
       logger.info(`[CommentsLib] computeCommentTreeTotalLikes: 更新评论树总赞数 (postId: ${postId}, commentId: ${commentId}, newTotalLikes: ${newTotalLikes})`);
     } else {
       logger.info(`[CommentsLib] computeCommentTreeTotalLikes: 评论树总赞数未变化，跳过写入 (postId: ${postId})`);
@@ -56,7 +67,7 @@ export async function computeCommentTreeTotalLikes({ postId, commentId }) {
     return newTotalLikes; // Return the calculated total likes
   } catch (error) {
     logger.error(`[CommentsLib] computeCommentTreeTotalLikes: 计算并更新评论树总赞数失败 (postId: ${postId}, commentId: ${commentId}):`, error);
-    if (error instanceof ValidationError) throw error; // Re-throw validation errors
+    if (error instanceof ApiError) throw error; // Re-throw API errors
     throw new Error('Failed to compute and update comment tree total likes.'); // General error
   }
 }
@@ -67,7 +78,6 @@ export async function computeCommentTreeTotalLikes({ postId, commentId }) {
 * @param {string} data.postId - 文章ID
 * @param {string} data.initialCommentId - 初始评论ID (通常是刚被操作的评论)
 * @returns {Promise<void>}
-* @throws {ValidationError} 如果输入无效
 * @throws {Error} 如果更新失败
 */
 export async function updateCommentAncestorsTotalLikes({ postId, initialCommentId }) {
@@ -97,7 +107,7 @@ export async function updateCommentAncestorsTotalLikes({ postId, initialCommentI
     }
   } catch (error) {
     logger.error(`[CommentsLib] updateCommentAncestorsTotalLikes: 更新祖先总赞数失败 (postId: ${postId}, initialCommentId: ${initialCommentId}):`, error);
-    if (error instanceof ValidationError) throw error; // Re-throw validation errors
+    if (error instanceof ApiError) throw error; // Re-throw API errors
     throw new Error('Failed to update ancestor total likes.'); // General error
   }
 }
@@ -110,43 +120,65 @@ export async function updateCommentAncestorsTotalLikes({ postId, initialCommentI
 * 添加新评论。
 * @param {object} data - 评论数据
 * @param {string} data.postId - 文章ID
-* @param {string} data.name - 评论者名称 (用户名或游客名)
-* @param {string} data.email - 评论者邮箱
+* @param {string} data.name - 游客名 (登录用户的评论总是以用户名署名)
+* @param {string} data.email - 游客的邮箱 (登录用户的评论总是使用账号的邮箱)
 * @param {string} data.content - 评论内容
 * @param {string} [data.parentId='0'] - 父评论ID，'0' 表示顶层评论
-* @param {boolean} [data.isGuest=true] - 是否为游客评论
-* @returns {Promise<object>} - 新评论数据
-* @throws {ValidationError} 如果输入无效
+* @param {boolean} [data.isGuest=true] - 是否为游客评论 (登录用户的评论总是 false)
+* @param {object} [context]
+* @param {{ username: string, role: string, emailVerified: boolean }|null} [context.user] - 当前用户，记录为评论作者 authorUsername
+*   (邮箱未验证时按 CONFIG.AUTH.UNVERIFIED_COMMENTS 处理)；匿名请求为游客评论
+* @returns {Promise<object>} - 新评论数据；需要审核时 status 为 'pending'，批准前不出现在评论树中
+* @throws {NotFoundError} 如果父评论不存在或尚未通过审核 (PARENT_COMMENT_NOT_FOUND)
+* @throws {ForbiddenError} 如果邮箱未验证且 CONFIG.AUTH.UNVERIFIED_COMMENTS 为 'reject' (EMAIL_NOT_VERIFIED)
+* @throws {ConflictError} 如果游客评论的署名是已注册的用户名 (NAME_RESERVED)
 * @throws {Error} 如果数据库操作失败
 */
-export async function addComment({ postId, name, email, content, parentId = '0', isGuest = true }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!name || !validateInput(name, 'name')) throw new ValidationError('评论者名称无效 (1-50字符)');
-  if (!email || !validateInput(email, 'email')) throw new ValidationError('邮箱格式不正确');
-  if (!content || !validateInput(content, 'comment')) throw new ValidationError('评论内容无效 (1-500字符)');
-  if (!validateInput(parentId, 'id')) throw new ValidationError('无效的 parentId');
-
-  const commentId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5); // Unique ID
+export async function addComment({ postId, name, email, content, parentId = '0', isGuest = true }, { user = null } = {}) {
+  const commentId = generatePushId(); // Chronologically ordered unique ID
   const commentPath = `comments/${postId}/${commentId}`;
   const parentCommentPath = `comments/${postId}/${parentId}`;
+  // 评论作者由访问令牌确定，请求中的 name、isGuest 不能冒充其他用户；游客评论没有 authorUsername，不属于任何用户
+  if (user) {
+    name = user.username;
+    isGuest = false;
+  }
 
   try {
-    // --- 2. Check Parent Comment Existence (if not top-level) ---
+    // 评论旁显示的邮箱同样不能由请求指定，登录用户使用账号当前的邮箱
+    if (user) email = (await read(`users/${user.username}`))?.email ?? null;
+
+    // --- 0. Unverified Email Policy ---
+    // 只限制邮箱未验证的登录用户；trusted 及以上的角色 (comment.bypassModeration) 不受限制
+    const policy = user && !user.emailVerified && !can(user, 'comment.bypassModeration') ? CONFIG.AUTH.UNVERIFIED_COMMENTS : 'allow';
+    if (policy === 'reject') {
+      logger.warn(`[CommentsLib] addComment: 邮箱未验证，拒绝发表评论 (username: ${user.username})`);
+      throw new ForbiddenError('EMAIL_NOT_VERIFIED');
+    }
+    // 游客不能使用已注册的用户名署名 (不区分大小写)，否则邮箱未验证的用户去掉访问令牌就能绕过上面的限制，其他人也能冒充注册用户
+    if (!user && validateInput(name, 'username') && (await read(`${USERNAMES_PATH}/${usernameKey(name)}`) || await read(`users/${name}`))) {
+      logger.warn(`[CommentsLib] addComment: 游客评论使用了已注册的用户名 (postId: ${postId})`);
+      throw new ConflictError('NAME_RESERVED');
+    }
+
+    // --- 1. Check Parent Comment Existence (if not top-level) ---
+    // 待审核的评论对其他人不可见，不能回复
     if (parentId !== '0') {
       const parentCommentExists = await read(parentCommentPath);
-      if (!parentCommentExists) {
+      if (!parentCommentExists || parentCommentExists.status === 'pending') {
         logger.warn(`[CommentsLib] addComment: 父评论不存在，无法回复 (postId: ${postId}, parentId: ${parentId})`);
-        throw new ValidationError('父评论不存在，无法回复');
+        throw new NotFoundError('PARENT_COMMENT_NOT_FOUND');
       }
     }
 
-    // --- 3. Determine Floor Number for Top-Level Comments ---
+    // --- 2. Determine Floor Number for Top-Level Comments ---
+    // 取当前最大楼层号 + 1 (删除过的楼层号不会被复用)
     let floor = null;
     if (parentId === '0') {
-      const allComments = await read(`comments/${postId}`);
-      const topLevelComments = Object.values(allComments || {}).filter(c => c.parentId === '0');
-      floor = topLevelComments.length + 1;
+      const [lastTopLevel] = await query(`comments/${postId}`, {
+        where: { parentId: '0' }, orderBy: 'floor', descending: true, limit: 1
+      });
+      floor = (lastTopLevel?.value?.floor || 0) + 1;
     }
 
     const newComment = {
@@ -161,25 +193,22 @@ export async function addComment({ postId, name, email, content, parentId = '0',
       likes: 0, // Direct likes for this comment
       totalLikes: 0, // Total likes including children
       isGuest: isGuest,
+      authorUsername: user ? user.username : null, // 评论归属 (编辑/删除自己的评论) 只看这个字段，不看 name
       floor: floor, // Only for top-level comments
       replies: [] // Initialize replies array for tree structure
     };
+    if (policy === 'moderate') newComment.status = 'pending'; // 由拥有 comment.approve 权限的用户批准 (approveComment)
 
-    // --- 4. Atomically write new comment and update parent's children list ---
-    await transaction(commentPath, (current) => {
-      if (current) return undefined; // Comment ID already exists, abort
-      return newComment;
-    });
-
+    // --- 3. Atomically write new comment and update parent's children list ---
+    // 评论本身和父评论的 children 引用在同一次多路径写入中完成，不会只写入其中一个
+    const updates = { [commentPath]: newComment };
     if (parentId !== '0') {
-      // Add to parent's children list (if parentId is not '0')
-      await transaction(`${parentCommentPath}/children/${commentId}`, (current) => {
-        if (current) return undefined; // Child already exists, abort
-        return true; // Just a flag to indicate existence
-      });
+      updates[`${parentCommentPath}/children/${commentId}`] = true; // Just a flag to indicate existence
     }
+    await multiPathUpdate(updates);
+    await invalidate(cacheKeys.commentTree(postId));
 
-    // --- 5. Recalculate totalLikes for this comment and its ancestors ---
+    // --- 4. Recalculate totalLikes for this comment and its ancestors ---
     // Initially, a new comment has 0 direct likes and 0 children likes, so totalLikes is 0.
     // This will be updated when likes are added.
     // However, we need to ensure the parent's totalLikes are updated if this new comment has any likes (which it doesn't initially).
@@ -188,41 +217,63 @@ export async function addComment({ postId, name, email, content, parentId = '0',
     // But if we want to ensure the `totalLikes` field is always accurate, even if 0, we can trigger it.
     // For now, let's assume totalLikes will be correctly updated when likes are added.
 
-    logger.info(`[CommentsLib] 添加评论成功 (postId: ${postId}, commentId: ${commentId}, parentId: ${parentId})`);
+    logger.info(`[CommentsLib] 添加评论成功 (postId: ${postId}, commentId: ${commentId}, parentId: ${parentId}${newComment.status ? ', 待审核' : ''})`);
     return newComment;
 
   } catch (error) {
     logger.error(`[CommentsLib] 添加评论失败 (postId: ${postId}, parentId: ${parentId}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to add comment.'); // General error
   }
 }
 
+// 评论归属只看登录时记录的 authorUsername：游客评论和该字段出现之前的评论不属于任何用户，只能由拥有 *Any 权限的用户处理
+const isCommentAuthor = (comment, username) => !!comment.authorUsername && comment.authorUsername === username;
+
+// 同级评论中置顶的排在前面 (后置顶的在前)，其余按创建时间升序排序
+function compareSiblings(a, b) {
+    if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+    if (a.pinned) return new Date(b.pinnedAt).getTime() - new Date(a.pinnedAt).getTime();
+    return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+}
+
 /**
  * 递归构建评论树的内部辅助函数。
  * @param {string} postId - 文章ID
  * @param {object} allCommentsMap - 包含所有评论的扁平化映射 (commentId -> commentData)
- * @param {object} userLikesMap - 当前用户点赞的评论ID映射 (commentId -> true)
  * @param {string} parentId - 当前层级的父评论ID ('0' 表示顶层评论)
  * @returns {Promise<Array<object>>} - 当前父评论下的子评论树数组
  */
-async function _buildCommentTreeRecursive(postId, allCommentsMap, userLikesMap, parentId = '0') {
+async function _buildCommentTreeRecursive(postId, allCommentsMap, parentId = '0') {
+    // 待审核的评论 (status: 'pending') 在批准前不出现在评论树中
     const children = Object.values(allCommentsMap).filter(
-        comment => comment.parentId === parentId
-    ).sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime()); // 按创建时间升序排序
+        comment => comment.parentId === parentId && comment.status !== 'pending'
+    ).sort(compareSiblings);
 
     const commentTreeNodes = [];
     for (const child of children) {
         const childNode = { ...child };
-        // 注入用户点赞状态
-        childNode.hasLiked = !!userLikesMap[child.id];
         // 递归获取子评论
-        childNode.replies = await _buildCommentTreeRecursive(postId, allCommentsMap, userLikesMap, child.id);
+        childNode.replies = await _buildCommentTreeRecursive(postId, allCommentsMap, child.id);
         commentTreeNodes.push(childNode);
     }
     return commentTreeNodes;
 }
 
+/**
+ * 复制评论树并注入当前用户的点赞状态 (缓存中的评论树被所有请求共享，不能直接修改)。
+ * @param {Array<object>} nodes - 评论树数组
+ * @param {object} userLikesMap - 当前用户点赞的评论ID映射 (commentId -> true)
+ * @returns {Array<object>} - 带 hasLiked 字段的评论树副本
+ */
+function _withUserLikes(nodes, userLikesMap) {
+    return nodes.map(node => ({
+        ...node,
+        hasLiked: !!userLikesMap[node.id],
+        replies: _withUserLikes(node.replies, userLikesMap)
+    }));
+}
+
 /**
  * 获取文章的所有评论，并构建成树形结构。
  * @param {object} data - 包含 postId, userId, isGuest 的对象
@@ -230,18 +281,17 @@ async function _buildCommentTreeRecursive(postId, allCommentsMap, userLikesMap,
  * @param {string} [data.userId] - 当前登录用户ID，用于检查点赞状态
  * @param {boolean} [data.isGuest] - 是否为游客
  * @returns {Promise<Array<object>>} - 评论树数组
- * @throws {ValidationError} 如果输入无效
  * @throws {Error} 如果数据库操作失败
  */
 export async function getComments({ postId, userId, isGuest }) {
-    if (!postId || !validateInput(postId, 'id')) {
-        throw new ValidationError('无效的 postId');
-    }
-
     const commentsPath = `comments/${postId}`;
     try {
-        const allCommentsMap = await read(commentsPath); // 获取所有评论的扁平化映射
-        if (!allCommentsMap) {
+        // 评论树 (不含用户点赞状态) 经过缓存，评论或点赞变化时失效
+        const commentTree = await cached(cacheKeys.commentTree(postId), async () => {
+            const allCommentsMap = await read(commentsPath); // 获取所有评论的扁平化映射
+            return allCommentsMap ? _buildCommentTreeRecursive(postId, allCommentsMap, '0') : []; // '0' 是顶层评论的 parentId
+        });
+        if (commentTree.length === 0) {
             logger.info(`[CommentsLib] 文章没有评论 (postId: ${postId})`);
             return [];
         }
@@ -249,74 +299,63 @@ export async function getComments({ postId, userId, isGuest }) {
         let userLikesMap = {};
         // 如果用户已登录，获取其对该文章所有评论的点赞状态
         if (userId && !isGuest) {
-            const userLikesRaw = await read(`commentLikes`); // 获取所有用户的点赞记录
-            if (userLikesRaw) {
-                for (const key in userLikesRaw) {
-                    // 筛选出当前用户对当前文章的点赞
-                    if (key.startsWith(`${userId}_${postId}_`)) {
-                        const commentId = key.split('_')[2];
-                        userLikesMap[commentId] = true;
-                    }
-                }
+            // 点赞记录按 commentLikes/{postId}/{username}/{commentId} 存储，只需读取当前用户在本文章下的节点
+            const userLikes = await read(`commentLikes/${postId}/${userId}`) || {};
+            for (const commentId of Object.keys(userLikes)) {
+                userLikesMap[commentId] = true;
             }
             logger.debug(`[CommentsLib] 用户 ${userId} 对文章 ${postId} 的点赞状态:`, userLikesMap);
         }
 
-        // 构建评论树，并注入点赞状态
-        const commentTree = await _buildCommentTreeRecursive(postId, allCommentsMap, userLikesMap, '0'); // '0' 是顶层评论的 parentId
+        // 注入点赞状态
         logger.info(`[CommentsLib] 成功获取评论树 (postId: ${postId}, userId: ${userId || 'Guest'})`);
-        return commentTree;
+        return _withUserLikes(commentTree, userLikesMap);
 
     } catch (error) {
         logger.error(`[CommentsLib] 获取评论树失败 (postId: ${postId}):`, error);
-        if (error instanceof ValidationError) throw error;
+        if (error instanceof ApiError) throw error;
         throw new Error('Failed to get comments tree.');
     }
 }
 
 /**
  * 更新评论内容。
- * 只有评论作者或管理员可以编辑。
- * @param {object} data - 包含 postId, commentId, content, username, adminUsername 的对象
+ * 作者 (评论的 authorUsername) 需要 comment.editOwn 权限，编辑其他人的评论需要 comment.editAny 权限 (lib/permissions.js)。
+ * @param {object} data - 包含 postId, commentId, content, username 的对象
  * @param {string} data.postId - 文章ID
  * @param {string} data.commentId - 待更新评论ID
  * @param {string} data.content - 新的评论内容
  * @param {string} data.username - 当前操作用户的用户名
- * @param {string} [data.adminUsername] - 管理员用户名 (从 CONFIG 获取)
+ * @param {object} [context]
+ * @param {{ username: string, role: string }|null} [context.user] - 当前用户 (角色决定权限)
  * @returns {Promise<object>} - 更新后的评论数据
- * @throws {ValidationError} 如果输入无效、评论不存在或无权限
+ * @throws {NotFoundError} 如果评论不存在 (COMMENT_NOT_FOUND)
+ * @throws {ForbiddenError} 如果当前用户没有编辑该评论的权限 (COMMENT_EDIT_FORBIDDEN)
  * @throws {Error} 如果数据库操作失败
  */
-export async function updateComment({ postId, commentId, content, username, adminUsername = CONFIG.ADMIN_USERNAME }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-  if (!content || content.trim().length === 0 || !validateInput(content, 'comment')) throw new ValidationError('评论内容不能为空且长度需在1-500字符之间');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
+export async function updateComment({ postId, commentId, content, username }, { user = null } = {}) {
   const commentPath = `comments/${postId}/${commentId}`;
   try {
     const existingComment = await read(commentPath);
     if (!existingComment) {
       logger.warn(`[CommentsLib] updateComment: 评论不存在 (postId: ${postId}, commentId: ${commentId})`);
-      throw new ValidationError('评论不存在');
+      throw new NotFoundError('COMMENT_NOT_FOUND');
     }
 
-    // --- 2. Authorization Check ---
-    const isAuthor = existingComment.name === username; // Use comment.name for author check
-    const isAdmin = username === adminUsername;
-
-    if (!isAuthor && !isAdmin) {
+    // --- 1. Authorization Check ---
+    const isAuthor = isCommentAuthor(existingComment, username);
+    if (!can(user, isAuthor ? 'comment.editOwn' : 'comment.editAny')) {
       logger.warn(`[CommentsLib] updateComment: 无权限编辑评论 (username: ${username}, commentId: ${commentId})`);
-      throw new ValidationError('您无权编辑此评论');
+      throw new ForbiddenError('COMMENT_EDIT_FORBIDDEN');
     }
 
-    // --- 3. Update Comment Data ---
+    // --- 2. Update Comment Data ---
     const updatedData = {
       content: content.trim(),
       updatedAt: new Date().toISOString()
     };
     await write(commentPath, updatedData, { method: 'update' });
+    await invalidate(cacheKeys.commentTree(postId));
 
     logger.info(`[CommentsLib] updateComment: 评论更新成功 (postId: ${postId}, commentId: ${commentId})`);
     // Fetch and return the updated comment
@@ -324,7 +363,7 @@ export async function updateComment({ postId, commentId, content, username, admi
     return updatedComment;
 
   } catch (error) {
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     logger.error(`[CommentsLib] updateComment: 更新评论失败 (postId: ${postId}, commentId: ${commentId}):`, error);
     throw new Error('Failed to update comment.');
   }
@@ -332,56 +371,78 @@ export async function updateComment({ postId, commentId, content, username, admi
 
 /**
 * 删除评论及其所有子评论。
-* @param {object} data - 包含 postId, commentId, username 和 adminUsername 的对象
+* 删除自己的评论需要 comment.deleteOwn 权限，子树中包含其他人的评论时需要 comment.deleteAny 权限 (lib/permissions.js)。
+* @param {object} data - 包含 postId, commentId, username 的对象
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 待删除评论ID
 * @param {string} data.username - 当前操作用户的用户名
-* @param {string} [data.adminUsername] - 管理员用户名 (从 CONFIG 获取)
+* @param {object} [context]
+* @param {{ username: string, role: string }|null} [context.user] - 当前用户 (角色决定权限)
 * @returns {Promise<object>} - 删除结果
-* @throws {ValidationError} 如果输入无效、评论不存在或无权限
+* @throws {NotFoundError} 如果评论不存在 (COMMENT_NOT_FOUND)
+* @throws {ForbiddenError} 如果当前用户没有删除该评论或其中某个回复的权限 (COMMENT_DELETE_FORBIDDEN)
 * @throws {Error} 如果数据库操作失败
 */
-export async function deleteComment({ postId, commentId, username, adminUsername = CONFIG.ADMIN_USERNAME }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
+export async function deleteComment({ postId, commentId, username }, { user = null } = {}) {
   const commentPath = `comments/${postId}/${commentId}`;
   try {
     const existingComment = await read(commentPath);
     if (!existingComment) {
       logger.warn(`[CommentsLib] deleteComment: 评论不存在 (postId: ${postId}, commentId: ${commentId})`);
-      throw new ValidationError('评论不存在');
+      throw new NotFoundError('COMMENT_NOT_FOUND');
     }
 
-    // --- 2. Authorization Check ---
-    const isAuthor = existingComment.name === username; // Use comment.name for author check
-    const isAdmin = username === adminUsername;
+    // --- 1. Authorization Check ---
+    const canDeleteOwn = can(user, 'comment.deleteOwn');
+    const canDeleteAny = can(user, 'comment.deleteAny');
+    const mayDelete = comment => (isCommentAuthor(comment, username) ? canDeleteOwn : canDeleteAny);
 
-    // Only admin can delete any comment, or author can delete their own
-    if (!isAuthor && !isAdmin) {
+    if (!mayDelete(existingComment)) {
       logger.warn(`[CommentsLib] deleteComment: 无权限删除评论 (username: ${username}, commentId: ${commentId})`);
-      throw new ValidationError('您无权删除此评论');
+      throw new ForbiddenError('COMMENT_DELETE_FORBIDDEN');
     }
 
-    // --- 3. Recursively Delete Children ---
-    if (existingComment.children && Object.keys(existingComment.children).length > 0) {
-      for (const childId of Object.keys(existingComment.children)) {
-        // Recursive call, passing current user's username for authorization check at each level
-        await deleteComment({ postId, commentId: childId, username, adminUsername });
+    // --- 2. Collect the Comment Subtree ---
+    // 先收集整棵子树并逐个检查权限，任何一个子评论无权删除时整个操作不做任何修改
+    const allComments = await read(`comments/${postId}`) || {};
+    const subtreeIds = [];
+    const pending = [commentId];
+    while (pending.length > 0) {
+      const currentId = pending.shift();
+      if (subtreeIds.includes(currentId)) continue; // Guard against corrupted cyclic children maps
+      subtreeIds.push(currentId);
+      const current = allComments[currentId];
+      if (current && current.children) pending.push(...Object.keys(current.children));
+    }
+
+    for (const id of subtreeIds) {
+      const comment = allComments[id];
+      if (comment && !mayDelete(comment)) {
+        logger.warn(`[CommentsLib] deleteComment: 无权限删除评论 (username: ${username}, commentId: ${id})`);
+        throw new ForbiddenError('COMMENT_DELETE_FORBIDDEN');
       }
     }
 
-    // --- 4. Remove Comment from Parent's Children List (if it has a parent) ---
-    if (existingComment.parentId && existingComment.parentId !== '0') {
-      const parentChildrenPath = `comments/${postId}/${existingComment.parentId}/children`;
-      await transaction(parentChildrenPath, function(currentChildren) {
-        const childrenMap = currentChildren || {};
-        delete childrenMap[commentId]; // Remove reference to the deleted child
-        return childrenMap;
-      });
-      // After removing from parent's children, update parent's total likes
+    // --- 3. Atomically Delete the Subtree, Its Likes and the Parent's Reference ---
+    const updates = {};
+    for (const id of subtreeIds) {
+      updates[`comments/${postId}/${id}`] = null;
+    }
+    const postLikes = await read(`commentLikes/${postId}`) || {};
+    for (const [likeUsername, likedComments] of Object.entries(postLikes)) {
+      for (const likedCommentId of Object.keys(likedComments || {})) {
+        if (subtreeIds.includes(likedCommentId)) updates[`commentLikes/${postId}/${likeUsername}/${likedCommentId}`] = null;
+      }
+    }
+    const hasParent = existingComment.parentId && existingComment.parentId !== '0';
+    if (hasParent) {
+      updates[`comments/${postId}/${existingComment.parentId}/children/${commentId}`] = null;
+    }
+    await multiPathUpdate(updates);
+    await invalidateCommentCaches(postId);
+
+    // --- 4. Update Ancestors' Total Likes ---
+    if (hasParent) {
       try {
         await computeCommentTreeTotalLikes({ postId, commentId: existingComment.parentId });
         await updateCommentAncestorsTotalLikes({ postId, initialCommentId: existingComment.parentId });
@@ -390,15 +451,101 @@ export async function deleteComment({ postId, commentId, username, adminUsername
       }
     }
 
-    // --- 5. Delete the Comment Itself ---
-    await del(commentPath);
-
     logger.info(`[CommentsLib] deleteComment: 评论及其子评论删除成功 (postId: ${postId}, commentId: ${commentId})`);
     return { success: true, message: `Comment ${commentId} and its children deleted.` };
 
   } catch (error) {
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     logger.error(`[CommentsLib] deleteComment: 删除评论失败 (postId: ${postId}, commentId: ${commentId}):`, error);
     throw new Error('Failed to delete comment.');
   }
 }
+
+/**
+* 置顶或取消置顶评论。置顶的评论在同级评论中排在最前面。
+* @param {object} data
+* @param {string} data.postId - 文章ID
+* @param {string} data.commentId - 评论ID
+* @param {boolean} [data.pinned=true] - true 为置顶，false 为取消置顶
+* @param {object} [context]
+* @param {{ username: string }|null} [context.user] - 当前用户 (记录为置顶操作人)
+* @returns {Promise<object>} - 更新后的评论数据
+* @throws {NotFoundError} 如果评论不存在 (COMMENT_NOT_FOUND)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function pinComment({ postId, commentId, pinned = true }, { user = null } = {}) {
+  const commentPath = `comments/${postId}/${commentId}`;
+  try {
+    const existingComment = await read(commentPath);
+    if (!existingComment) {
+      logger.warn(`[CommentsLib] pinComment: 评论不存在 (postId: ${postId}, commentId: ${commentId})`);
+      throw new NotFoundError('COMMENT_NOT_FOUND');
+    }
+
+    const updates = pinned
+      ? { pinned: true, pinnedAt: new Date().toISOString(), pinnedBy: user?.username || null }
+      : { pinned: null, pinnedAt: null, pinnedBy: null };
+    await write(commentPath, updates, { method: 'update' });
+    await invalidate(cacheKeys.commentTree(postId));
+
+    logger.info(`[CommentsLib] pinComment: 评论${pinned ? '已置顶' : '已取消置顶'} (postId: ${postId}, commentId: ${commentId})`);
+    return await read(commentPath);
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    logger.error(`[CommentsLib] pinComment: 置顶评论失败 (postId: ${postId}, commentId: ${commentId}):`, error);
+    throw new Error('Failed to pin comment.');
+  }
+}
+
+/**
+* 列出文章中待审核的评论 (邮箱未验证的用户发表的评论，见 CONFIG.AUTH.UNVERIFIED_COMMENTS)，按发表时间升序排列。
+* @param {object} data
+* @param {string} data.postId - 文章ID
+* @returns {Promise<Array<object>>} - 待审核的评论 (扁平列表)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function listPendingComments({ postId }) {
+  try {
+    const pending = await query(`comments/${postId}`, { where: { status: 'pending' } });
+    return pending
+      .map(({ value }) => value)
+      .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  } catch (error) {
+    logger.error(`[CommentsLib] listPendingComments: 获取待审核评论失败 (postId: ${postId}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to list pending comments.');
+  }
+}
+
+/**
+* 批准待审核的评论，批准后出现在评论树中。批准已经公开的评论不做任何修改。
+* @param {object} data
+* @param {string} data.postId - 文章ID
+* @param {string} data.commentId - 评论ID
+* @param {object} [context]
+* @param {{ username: string }|null} [context.user] - 当前用户 (记录为审核人)
+* @returns {Promise<object>} - 批准后的评论数据
+* @throws {NotFoundError} 如果评论不存在 (COMMENT_NOT_FOUND)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function approveComment({ postId, commentId }, { user = null } = {}) {
+  const commentPath = `comments/${postId}/${commentId}`;
+  try {
+    const existingComment = await read(commentPath);
+    if (!existingComment) {
+      logger.warn(`[CommentsLib] approveComment: 评论不存在 (postId: ${postId}, commentId: ${commentId})`);
+      throw new NotFoundError('COMMENT_NOT_FOUND');
+    }
+    if (existingComment.status !== 'pending') return existingComment;
+
+    await write(commentPath, { status: null, approvedAt: new Date().toISOString(), approvedBy: user?.username || null }, { method: 'update' });
+    await invalidate(cacheKeys.commentTree(postId));
+
+    logger.info(`[CommentsLib] approveComment: 评论已批准 (postId: ${postId}, commentId: ${commentId})`);
+    return await read(commentPath);
+  } catch (error) {
+    logger.error(`[CommentsLib] approveComment: 批准评论失败 (postId: ${postId}, commentId: ${commentId}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to approve comment.');
+  }
+}
@@ -0,0 +1,121 @@
+// lib/emailverification.js - 邮箱验证
+// 注册和修改邮箱后账号处于未验证状态 (users/{username}/emailVerified 为 false)，同时向该邮箱发送验证链接 (lib/mailer.js)。
+// 链接中的令牌是用 AUTH_SECRET 签名的 JWT (lib/auth.js 的 signToken)，载荷包含用户名和邮箱，不需要保存在存储中；
+// 令牌中的邮箱与用户当前的邮箱不一致 (验证前又修改了邮箱) 时无效。
+// 未验证账号受到的限制见 CONFIG.AUTH.UNVERIFIED_COMMENTS (lib/comments.js 的 addComment)。
+import {
+  read, write, logger, CONFIG,
+  ApiError, ValidationError, UnauthorizedError, NotFoundError, ConflictError, RateLimitedError
+} from './utils.js';
+import { signToken, verifyToken } from './auth.js';
+import { sendTemplateMail, linkWithToken } from './mailer.js';
+import { counter } from './metrics.js';
+
+logger.info('✅ lib/emailverification.js 加载成功');
+
+const EMAIL_VERIFICATION_TOKEN_TYPE = 'email_verification';
+
+const emailVerifications = counter('email_verification_total', 'Verification emails and verification attempts by outcome.', ['outcome']);
+
+/**
+* 向邮箱发送验证链接，并记录发送时间 (用于限制重新发送的频率)。
+* @param {string} username - 用户名
+* @param {string} email - 待验证的邮箱 (用户当前的邮箱)
+* @param {string} [locale] - 邮件语言
+* @returns {Promise<void>}
+* @throws {Error} 如果写入存储或发送邮件失败
+*/
+export async function sendVerificationEmail(username, email, locale) {
+  const ttl = CONFIG.AUTH.EMAIL_VERIFICATION_TTL;
+  const { token } = signToken({ sub: username, typ: EMAIL_VERIFICATION_TOKEN_TYPE, email }, ttl);
+  await write(`users/${username}`, { emailVerificationSentAt: new Date().toISOString() }, { method: 'update' });
+  try {
+    await sendTemplateMail('emailVerification', {
+      to: email,
+      locale,
+      params: { username, email, link: linkWithToken(CONFIG.AUTH.EMAIL_VERIFICATION_URL, token), hours: Math.round(ttl / 3600) }
+    });
+  } catch (error) {
+    emailVerifications.inc({ outcome: 'failed' });
+    throw error;
+  }
+  emailVerifications.inc({ outcome: 'sent' });
+  logger.info(`[EmailVerification] 验证邮件已发送 (username: ${username})`);
+}
+
+/**
+* 用验证邮件中的令牌验证邮箱。重复验证同一个邮箱返回相同的结果。
+* @param {object} data
+* @param {string} data.token - 验证令牌
+* @returns {Promise<{ username: string, email: string, emailVerified: true }>}
+* @throws {ValidationError} 如果令牌无效、邮箱已经修改或用户已被删除 (INVALID_VERIFICATION_TOKEN)，或令牌已过期 (VERIFICATION_TOKEN_EXPIRED)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function verifyEmail({ token }) {
+  let payload;
+  try {
+    payload = verifyToken(token, EMAIL_VERIFICATION_TOKEN_TYPE);
+  } catch (error) {
+    if (!(error instanceof UnauthorizedError)) throw error;
+    const expired = error.code === 'TOKEN_EXPIRED';
+    emailVerifications.inc({ outcome: expired ? 'expired' : 'invalid' });
+    throw new ValidationError(expired ? 'VERIFICATION_TOKEN_EXPIRED' : 'INVALID_VERIFICATION_TOKEN');
+  }
+
+  const username = payload.sub;
+  const userPath = `users/${username}`;
+  try {
+    const user = await read(userPath);
+    if (!user || typeof payload.email !== 'string' || user.email !== payload.email) {
+      logger.warn(`[EmailVerification] 验证令牌与用户当前的邮箱不一致 (username: ${username})`);
+      emailVerifications.inc({ outcome: 'invalid' });
+      throw new ValidationError('INVALID_VERIFICATION_TOKEN');
+    }
+
+    if (!user.emailVerified) {
+      await write(userPath, { emailVerified: true, emailVerifiedAt: new Date().toISOString() }, { method: 'update' });
+      logger.info(`[EmailVerification] 邮箱已验证 (username: ${username})`);
+    }
+    emailVerifications.inc({ outcome: 'verified' });
+    return { username, email: user.email, emailVerified: true };
+  } catch (error) {
+    logger.error(`[EmailVerification] verifyEmail: 验证邮箱失败 (username: ${username}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to verify email.');
+  }
+}
+
+/**
+* 重新发送验证邮件。两次发送的间隔不能小于 CONFIG.AUTH.EMAIL_VERIFICATION_INTERVAL。
+* @param {object} data
+* @param {string} data.username - 用户名
+* @param {string} [data.locale] - 邮件语言
+* @returns {Promise<{ success: true, email: string }>}
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
+* @throws {ConflictError} 如果邮箱已经验证 (EMAIL_ALREADY_VERIFIED)
+* @throws {RateLimitedError} 如果距上次发送时间过短 (RATE_LIMITED，带 Retry-After)
+* @throws {Error} 如果数据库操作或发送邮件失败
+*/
+export async function resendVerificationEmail({ username, locale }) {
+  try {
+    const user = await read(`users/${username}`);
+    if (!user) {
+      logger.warn(`[EmailVerification] resendVerificationEmail: 用户不存在 (username: ${username})`);
+      throw new NotFoundError('USER_NOT_FOUND');
+    }
+    if (user.emailVerified) throw new ConflictError('EMAIL_ALREADY_VERIFIED');
+
+    const elapsed = (Date.now() - Date.parse(user.emailVerificationSentAt)) / 1000; // 从未发送过时为 NaN
+    if (elapsed < CONFIG.AUTH.EMAIL_VERIFICATION_INTERVAL) {
+      emailVerifications.inc({ outcome: 'throttled' });
+      throw new RateLimitedError('RATE_LIMITED', { retryAfter: Math.ceil(CONFIG.AUTH.EMAIL_VERIFICATION_INTERVAL - elapsed) });
+    }
+
+    await sendVerificationEmail(username, user.email, locale);
+    return { success: true, email: user.email };
+  } catch (error) {
+    logger.error(`[EmailVerification] resendVerificationEmail: 重新发送验证邮件失败 (username: ${username}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to resend verification email.');
+  }
+}
@@ -0,0 +1,114 @@
+// lib/errors.js - 带错误码的错误类型
+// 每个业务错误都有 HTTP 状态码 status 和稳定的字符串错误码 code (例如 COMMENT_NOT_FOUND、USERNAME_TAKEN)，
+// 响应体为 { success: false, code, message, errors? }，前端应根据 code 而不是 message 判断错误类型。
+// message 由 lib/i18n.js 按错误码和 params 生成：error.message 使用基准语言 (用于日志)，响应按请求语言重新生成。
+// 不是 ApiError 的异常 (存储故障、代码错误等) 统一按 500 INTERNAL_ERROR 返回。
+// 注意：lib/utils.js 会重新导出这里的内容，因此本模块不能导入 utils.js。
+import { translate, DEFAULT_LOCALE, SOURCE_LOCALE } from './i18n.js';
+
+export class ApiError extends Error {
+  /**
+  * @param {string} code - 错误码，对应 lib/i18n.js 中的消息
+  * @param {object} [params] - 消息占位符参数
+  * @param {object} [options]
+  * @param {number} [options.status] - HTTP 状态码，默认 500
+  * @param {Array<{ field: string, code: string, params?: object }>} [options.fields] - 字段级错误列表
+  * @param {object} [options.headers] - 需要附加到响应上的头部 (例如 Retry-After)
+  */
+  constructor(code, params = {}, { status = 500, fields, headers } = {}) {
+    super(translate(code, params, SOURCE_LOCALE));
+    this.name = this.constructor.name;
+    this.code = code;
+    this.params = params;
+    this.status = status;
+    if (fields) this.fields = fields;
+    if (headers) this.headers = headers;
+  }
+}
+
+// 请求参数或请求体无效 (400)，fields 为字段级错误列表
+export class ValidationError extends ApiError {
+  constructor(code = 'INVALID_PARAMS', params = {}, fields = undefined) {
+    super(code, params, { status: 400, fields });
+  }
+}
+
+const INVALID_TOKEN_CODES = new Set(['INVALID_TOKEN', 'TOKEN_EXPIRED', 'SESSION_REVOKED']);
+
+// 未登录或凭据无效 (401)，访问令牌无效、过期或所属会话已失效时 WWW-Authenticate 带有 error="invalid_token" (RFC 6750)
+export class UnauthorizedError extends ApiError {
+  constructor(code = 'UNAUTHORIZED', params = {}) {
+    const challenge = INVALID_TOKEN_CODES.has(code) ? 'Bearer error="invalid_token"' : 'Bearer';
+    super(code, params, { status: 401, headers: { 'WWW-Authenticate': challenge } });
+  }
+}
+
+// 已登录但无权执行该操作 (403)
+export class ForbiddenError extends ApiError {
+  constructor(code = 'FORBIDDEN', params = {}) {
+    super(code, params, { status: 403 });
+  }
+}
+
+// 资源不存在 (404)
+export class NotFoundError extends ApiError {
+  constructor(code = 'NOT_FOUND', params = {}) {
+    super(code, params, { status: 404 });
+  }
+}
+
+// 资源已存在或状态冲突 (409)
+export class ConflictError extends ApiError {
+  constructor(code = 'CONFLICT', params = {}) {
+    super(code, params, { status: 409 });
+  }
+}
+
+// 请求体或批量请求过大 (413)
+export class PayloadTooLargeError extends ApiError {
+  constructor(code = 'PAYLOAD_TOO_LARGE', params = {}) {
+    super(code, params, { status: 413 });
+  }
+}
+
+// 请求过于频繁 (429)，params.retryAfter 为建议的重试等待秒数
+export class RateLimitedError extends ApiError {
+  constructor(code = 'RATE_LIMITED', params = {}) {
+    super(code, params, { status: 429, headers: params.retryAfter ? { 'Retry-After': String(params.retryAfter) } : undefined });
+  }
+}
+
+// 依赖的服务 (存储等) 暂时不可用 (503)
+export class UnavailableError extends ApiError {
+  constructor(code = 'SERVICE_UNAVAILABLE', params = {}) {
+    super(code, params, { status: 503 });
+  }
+}
+
+/**
+* 把任意错误转换为 HTTP 错误响应，消息按 locale 生成。
+* @param {Error} error - 捕获到的错误
+* @param {string} [locale] - 响应语言 (lib/i18n.js 的 resolveLocale)
+* @returns {{ status: number, payload: { success: false, code: string, message: string, errors?: Array<object> }, headers: object }}
+*/
+export function toErrorResponse(error, locale = DEFAULT_LOCALE) {
+  if (!(error instanceof ApiError)) {
+    return {
+      status: 500,
+      payload: { success: false, code: 'INTERNAL_ERROR', message: translate('INTERNAL_ERROR', {}, locale) },
+      headers: {}
+    };
+  }
+
+  const payload = { success: false, code: error.code, message: translate(error.code, error.params, locale) };
+  if (error.fields) {
+    payload.errors = error.fields.map(({ field, code, params }) => ({
+      field,
+      code,
+      message: translate(code, { field, ...params }, locale)
+    }));
+    // 参数错误的整体消息取第一个字段错误，方便直接展示
+    if (payload.errors.length > 0) payload.message = payload.errors[0].message;
+  }
+  return { status: error.status, payload, headers: error.headers || {} };
+}
@@ -0,0 +1,94 @@
+// lib/health.js - 存活 (liveness) 与就绪 (readiness) 检查
+// GET /api/health 只说明进程在运行 (不访问任何依赖)，供进程管理器/负载均衡判断是否需要重启；
+// GET /api/health/ready 检查配置、存储初始化和一次真实的数据库读取，任何一项失败时返回 503，表示暂时不应接收流量。
+// 这两个路径可以公开访问：就绪检查的响应只包含总的状态，各项检查的结果、缺少的环境变量和配置警告只写入日志。
+import fs from 'fs';
+import { logger, initStorage, checkStorageConfig, CONFIG } from './utils.js';
+import { checkMailConfig } from './mailer.js';
+
+logger.info('✅ lib/health.js 加载成功');
+
+const packageInfo = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+/**
+* 存活检查：进程能处理请求即视为存活。
+* @returns {{ status: 'ok', version: string, uptime: number }} - uptime 为进程运行的秒数
+*/
+export function checkLiveness() {
+  return { status: 'ok', version: packageInfo.version, uptime: Math.round(process.uptime()) };
+}
+
+// 读取 CONFIG.HEALTH.PROBE_PATH (通常不存在，读到 null 即可) 并计时
+async function probeDatabase(store) {
+  const start = process.hrtime.bigint();
+  let timer;
+  try {
+    await Promise.race([
+      store.get(CONFIG.HEALTH.PROBE_PATH),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('Database probe timed out'), { code: 'STORAGE_TIMEOUT' })), CONFIG.HEALTH.PROBE_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latencyMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100 };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 上次记录的配置警告，相同的警告不重复记录
+let reportedWarnings = '';
+
+// 依次检查配置、存储初始化和数据库读取，返回每一项的详细结果
+async function runChecks() {
+  const { driver, missing, warnings } = checkStorageConfig();
+  // 缺少 AUTH_SECRET 时使用临时密钥 (lib/auth.js)，服务可用但令牌在重启后失效，只作为警告；
+  // 生产环境不使用临时密钥，无法登录，视为缺少必需的配置
+  if (!CONFIG.AUTH.SECRET) {
+    if (CONFIG.AUTH.REQUIRE_SECRET) missing.push('AUTH_SECRET');
+    else warnings.push('AUTH_SECRET_MISSING');
+  }
+  // 邮件只影响找回密码等功能，邮件配置的问题同样只作为警告
+  warnings.push(...checkMailConfig().warnings);
+  const checks = {
+    config: { status: missing.length > 0 ? 'error' : 'ok', driver, missing, warnings },
+    storage: { status: 'skipped' },
+    database: { status: 'skipped' }
+  };
+
+  let store = null;
+  try {
+    store = initStorage();
+    checks.storage = { status: 'ok', driver: store.name };
+  } catch (error) {
+    checks.storage = { status: 'error', driver, error: error.code || 'STORAGE_UNAVAILABLE' };
+  }
+
+  if (store) {
+    try {
+      checks.database = await probeDatabase(store);
+    } catch (error) {
+      logger.warn('[Health] 数据库探测失败', error);
+      checks.database = { status: 'error', error: error.code || 'STORAGE_ERROR' };
+    }
+  }
+
+  return checks;
+}
+
+/**
+* 就绪检查：配置完整、存储初始化成功并且数据库可以读取。
+* 未就绪的原因和配置警告 (例如 AUTH_SECRET_MISSING、MAIL_OUTBOX) 只写入日志，不出现在返回值中。
+* @returns {Promise<{ status: 'ready'|'not_ready' }>}
+*/
+export async function checkReadiness() {
+  const checks = await runChecks();
+  const ready = Object.values(checks).every(check => check.status === 'ok');
+  if (!ready) {
+    logger.warn('[Health] 服务未就绪', { checks });
+  } else {
+    const warnings = checks.config.warnings.join(',');
+    if (warnings && warnings !== reportedWarnings) logger.warn('[Health] 配置警告', { warnings: checks.config.warnings });
+    reportedWarnings = warnings;
+  }
+  return { status: ready ? 'ready' : 'not_ready' };
+}
@@ -0,0 +1,71 @@
+// lib/httpcache.js - 条件 GET (ETag / Last-Modified) 与 Cache-Control
+// 只读接口 (评论树、点赞数、用户资料) 的 200 响应带有强 ETag (响应体的 sha1)，以及可选的 Last-Modified
+// (只有能可靠给出最后修改时间的资源才声明；评论树的删除和点赞没有可用的时间戳，因此只使用 ETag)；
+// 请求的 If-None-Match 与 ETag 匹配，或 (没有 If-None-Match 时) If-Modified-Since 不早于 Last-Modified 时返回 304。
+// 公开数据允许 CDN 缓存 (s-maxage)，包含当前用户状态 (hasLiked) 或个人信息的响应只允许浏览器缓存并且每次都要重新验证。
+import { createHash } from 'crypto';
+import { logger, CONFIG } from './utils.js';
+
+logger.info('✅ lib/httpcache.js 加载成功');
+
+/**
+* 生成 Cache-Control 头。
+* @param {'public'|'private'} scope - public 允许 CDN 缓存，private 只允许浏览器缓存
+* @returns {string}
+*/
+export function cacheControlFor(scope) {
+  if (scope === 'private') return 'private, no-cache';
+  const { MAX_AGE, S_MAXAGE, STALE_WHILE_REVALIDATE } = CONFIG.HTTP_CACHE;
+  return `public, max-age=${MAX_AGE}, s-maxage=${S_MAXAGE}, stale-while-revalidate=${STALE_WHILE_REVALIDATE}`;
+}
+
+// If-None-Match 使用弱比较 (RFC 9110 13.1.2)：忽略 W/ 前缀
+const opaqueTag = tag => tag.trim().replace(/^W\//, '');
+
+/**
+* 判断请求的验证器是否与当前资源匹配 (即可以返回 304)。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {string} etag - 当前资源的 ETag
+* @param {number|null} [lastModified] - 当前资源的最后修改时间 (毫秒)
+* @returns {boolean}
+*/
+export function isNotModified(req, etag, lastModified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    // 同时带有两个验证器时只看 If-None-Match
+    return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaqueTag(tag) === opaqueTag(etag));
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+  if (lastModified === null || lastModified === undefined || Number.isNaN(ifModifiedSince)) return false;
+  // HTTP 日期只精确到秒
+  return Math.floor(lastModified / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+/**
+* 发送可缓存的成功响应 ({ success: true, data })，验证器匹配时返回 304。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {object} options
+* @param {any} options.data - 响应数据
+* @param {'public'|'private'} [options.scope='public'] - 缓存范围
+* @param {number|null} [options.lastModified] - 最后修改时间 (毫秒)
+* @param {object} [options.headers] - 额外的响应头
+* @returns {number} - 实际发送的状态码 (200 或 304)
+*/
+export function sendCacheable(req, res, { data, scope = 'public', lastModified = null, headers = {} }) {
+  const body = JSON.stringify({ success: true, data });
+  const etag = `"${createHash('sha1').update(body).digest('base64url')}"`;
+  const cacheHeaders = { ...headers, ETag: etag, 'Cache-Control': cacheControlFor(scope) };
+  if (lastModified !== null && lastModified !== undefined) {
+    cacheHeaders['Last-Modified'] = new Date(lastModified).toUTCString();
+  }
+
+  if (isNotModified(req, etag, lastModified)) {
+    res.writeHead(304, cacheHeaders);
+    res.end();
+    return 304;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', ...cacheHeaders });
+  res.end(body);
+  return 200;
+}
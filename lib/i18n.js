@@ -0,0 +1,235 @@
+// lib/i18n.js - 接口消息的多语言目录
+// 错误信息按错误码 (lib/errors.js) 和字段错误码 (lib/actions.js 的参数校验) 查表生成，
+// 消息中的 {name} 占位符由错误携带的参数替换，例如 FIELD_LENGTH 的 {min}/{max} 来自 CONFIG.COMMENT_VALIDATION。
+// 响应语言由请求的 locale 参数或 Accept-Language 头决定，都不匹配时使用 DEFAULT_LOCALE 环境变量 (默认 zh-CN)。
+// 注意：lib/errors.js 依赖本模块，而 lib/utils.js 依赖 lib/errors.js，因此本模块不能导入 utils.js。
+
+export const MESSAGES = {
+  'zh-CN': {
+    // 通用
+    INTERNAL_ERROR: '服务器内部错误，请稍后再试',
+    SERVICE_UNAVAILABLE: '服务暂时不可用，请稍后再试',
+    STORAGE_UNAVAILABLE: '存储服务暂时不可用，请稍后再试',
+    STORAGE_TIMEOUT: '存储操作超时，请稍后再试',
+    NOT_READY: '服务尚未就绪',
+    NOT_FOUND: '资源不存在: {path}',
+    METHOD_NOT_ALLOWED: '不支持 {method} 请求',
+    INVALID_BODY: '请求格式或请求体无效',
+    PAYLOAD_TOO_LARGE: '请求体不能超过 {limit} 字节',
+    RATE_LIMITED: '请求过于频繁，请 {retryAfter} 秒后再试',
+    UNAUTHORIZED: '需要登录',
+    FORBIDDEN: '没有权限',
+    CONFLICT: '资源已存在',
+    CORS_ORIGIN_NOT_ALLOWED: '不允许来自 {origin} 的跨域请求',
+    CORS_METHOD_NOT_ALLOWED: '跨域请求不支持 {method} 方法',
+
+    // 请求格式
+    MISSING_ACTION: '缺少必需的参数: type 和 action',
+    UNKNOWN_ACTION: '不支持的操作: {name}',
+    INVALID_PARAMS: '参数无效',
+    INVALID_BATCH: 'operations 必须是非空数组',
+    INVALID_BATCH_OPERATION: 'operations[{index}] 缺少 type 或 action',
+    BATCH_TOO_LARGE: '单次批量请求最多包含 {max} 个操作',
+
+    // 认证与权限
+    AUTH_REQUIRED: '需要登录',
+    PERMISSION_DENIED: '没有执行此操作的权限 ({permission})',
+    INVALID_CREDENTIALS: '用户名或密码不正确',
+    INVALID_TOKEN: '访问令牌无效，请重新登录',
+    TOKEN_EXPIRED: '访问令牌已过期，请重新登录',
+    USER_MISMATCH: '不能以其他用户的身份执行此操作',
+    SESSION_REVOKED: '登录会话已失效，请重新登录',
+    INVALID_REFRESH_TOKEN: '刷新令牌无效，请重新登录',
+    AUTH_NOT_CONFIGURED: '登录服务尚未配置，请稍后再试',
+    REFRESH_TOKEN_EXPIRED: '刷新令牌已过期，请重新登录',
+    REFRESH_TOKEN_REUSED: '刷新令牌已被使用过，为安全起见该会话已注销，请重新登录',
+    SESSION_NOT_FOUND: '会话不存在',
+    USER_BANNED: '该账号已被封禁',
+    INVALID_ROLE: '角色无效，可选值: {roles}',
+    ROLE_CHANGE_SELF: '不能修改自己的角色',
+    ROLE_RANK_REQUIRED: '只能处理角色低于自己的用户',
+    INVALID_RESET_TOKEN: '密码重置链接无效或已被使用，请重新申请',
+    RESET_TOKEN_EXPIRED: '密码重置链接已过期，请重新申请',
+    PASSWORD_RESET_REQUESTED: '如果该邮箱已注册，重置密码的链接已发送到该邮箱',
+    INVALID_VERIFICATION_TOKEN: '邮箱验证链接无效，或邮箱已经修改',
+    VERIFICATION_TOKEN_EXPIRED: '邮箱验证链接已过期，请重新发送验证邮件',
+
+    // 用户
+    USERNAME_TAKEN: '用户名已存在',
+    USER_NOT_FOUND: '用户不存在',
+    NO_UPDATES: '没有提供可更新的有效字段',
+    INVALID_EMAIL: '新邮箱格式不正确',
+    INVALID_PASSWORD: '新密码不能为空',
+    EMAIL_ALREADY_VERIFIED: '邮箱已经验证过了',
+
+    // 评论与点赞
+    COMMENT_NOT_FOUND: '评论不存在',
+    PARENT_COMMENT_NOT_FOUND: '父评论不存在，无法回复',
+    COMMENT_EDIT_FORBIDDEN: '您无权编辑此评论',
+    COMMENT_DELETE_FORBIDDEN: '您无权删除此评论',
+    EMAIL_NOT_VERIFIED: '请先验证邮箱再发表评论',
+    NAME_RESERVED: '该名称属于已注册用户，请登录后发表评论',
+    ARTICLE_NOT_FOUND: '文章不存在，无法点赞',
+    LIKE_ACCESS_FORBIDDEN: '无权限访问点赞记录',
+
+    // 字段级错误
+    FIELD_REQUIRED: '{field} 不能为空',
+    FIELD_NOT_STRING: '{field} 必须是字符串',
+    FIELD_NOT_BOOLEAN: '{field} 必须是布尔值',
+    FIELD_NOT_INTEGER: '{field} 必须是整数',
+    FIELD_NOT_OBJECT: '{field} 必须是对象',
+    FIELD_TOO_SMALL: '{field} 不能小于 {min}',
+    FIELD_TOO_LARGE: '{field} 不能大于 {max}',
+    FIELD_LENGTH: '{field} 长度需在 {min}-{max} 字符之间',
+    FIELD_FORMAT: '{field} 格式不正确',
+    FIELD_UNKNOWN: '{field} 不是允许的字段'
+  },
+  en: {
+    INTERNAL_ERROR: 'An unexpected server error occurred. Please try again later.',
+    SERVICE_UNAVAILABLE: 'The service is temporarily unavailable. Please try again later.',
+    STORAGE_UNAVAILABLE: 'Storage is temporarily unavailable. Please try again later.',
+    STORAGE_TIMEOUT: 'The storage operation timed out. Please try again later.',
+    NOT_READY: 'The service is not ready.',
+    NOT_FOUND: 'Not found: {path}',
+    METHOD_NOT_ALLOWED: 'Method {method} not allowed.',
+    INVALID_BODY: 'Invalid request format or body.',
+    PAYLOAD_TOO_LARGE: 'Request body must not exceed {limit} bytes.',
+    RATE_LIMITED: 'Too many requests. Please retry in {retryAfter} seconds.',
+    UNAUTHORIZED: 'Authentication required.',
+    FORBIDDEN: 'Permission denied.',
+    CONFLICT: 'The resource already exists.',
+    CORS_ORIGIN_NOT_ALLOWED: 'Cross-origin requests from {origin} are not allowed.',
+    CORS_METHOD_NOT_ALLOWED: 'Method {method} is not allowed for cross-origin requests to this path.',
+
+    MISSING_ACTION: 'Missing required parameters: type and action.',
+    UNKNOWN_ACTION: 'Unsupported action: {name}',
+    INVALID_PARAMS: 'Invalid parameters.',
+    INVALID_BATCH: 'operations must be a non-empty array.',
+    INVALID_BATCH_OPERATION: 'operations[{index}] is missing type or action.',
+    BATCH_TOO_LARGE: 'A batch may contain at most {max} operations.',
+
+    AUTH_REQUIRED: 'Authentication required.',
+    PERMISSION_DENIED: 'You do not have permission to perform this action ({permission}).',
+    INVALID_CREDENTIALS: 'Incorrect username or password.',
+    INVALID_TOKEN: 'The access token is invalid. Please sign in again.',
+    TOKEN_EXPIRED: 'The access token has expired. Please sign in again.',
+    USER_MISMATCH: 'You cannot perform this action on behalf of another user.',
+    SESSION_REVOKED: 'This session has ended. Please sign in again.',
+    INVALID_REFRESH_TOKEN: 'The refresh token is invalid. Please sign in again.',
+    AUTH_NOT_CONFIGURED: 'Sign-in is not configured yet. Please try again later.',
+    REFRESH_TOKEN_EXPIRED: 'The refresh token has expired. Please sign in again.',
+    REFRESH_TOKEN_REUSED: 'This refresh token has already been used, so the session was signed out for safety. Please sign in again.',
+    SESSION_NOT_FOUND: 'Session not found.',
+    USER_BANNED: 'This account has been banned.',
+    INVALID_ROLE: 'Invalid role. Allowed values: {roles}',
+    ROLE_CHANGE_SELF: 'You cannot change your own role.',
+    ROLE_RANK_REQUIRED: 'You can only manage users whose role is lower than yours.',
+    INVALID_RESET_TOKEN: 'The password reset link is invalid or has already been used. Please request a new one.',
+    RESET_TOKEN_EXPIRED: 'The password reset link has expired. Please request a new one.',
+    PASSWORD_RESET_REQUESTED: 'If the email address is registered, a password reset link has been sent.',
+    INVALID_VERIFICATION_TOKEN: 'The email verification link is invalid, or the email address has since been changed.',
+    VERIFICATION_TOKEN_EXPIRED: 'The email verification link has expired. Please request a new verification email.',
+
+    USERNAME_TAKEN: 'This username is already taken.',
+    USER_NOT_FOUND: 'User not found.',
+    NO_UPDATES: 'No valid fields to update.',
+    INVALID_EMAIL: 'The new email address is invalid.',
+    INVALID_PASSWORD: 'The new password must not be empty.',
+    EMAIL_ALREADY_VERIFIED: 'This email address has already been verified.',
+
+    COMMENT_NOT_FOUND: 'Comment not found.',
+    PARENT_COMMENT_NOT_FOUND: 'The comment you are replying to does not exist.',
+    COMMENT_EDIT_FORBIDDEN: 'You are not allowed to edit this comment.',
+    COMMENT_DELETE_FORBIDDEN: 'You are not allowed to delete this comment.',
+    EMAIL_NOT_VERIFIED: 'Please verify your email address before posting comments.',
+    NAME_RESERVED: 'This name belongs to a registered user. Please sign in to post with it.',
+    ARTICLE_NOT_FOUND: 'Article not found.',
+    LIKE_ACCESS_FORBIDDEN: 'Access to like records was denied.',
+
+    FIELD_REQUIRED: '{field} is required.',
+    FIELD_NOT_STRING: '{field} must be a string.',
+    FIELD_NOT_BOOLEAN: '{field} must be a boolean.',
+    FIELD_NOT_INTEGER: '{field} must be an integer.',
+    FIELD_NOT_OBJECT: '{field} must be an object.',
+    FIELD_TOO_SMALL: '{field} must be at least {min}.',
+    FIELD_TOO_LARGE: '{field} must be at most {max}.',
+    FIELD_LENGTH: '{field} must be between {min} and {max} characters.',
+    FIELD_FORMAT: '{field} has an invalid format.',
+    FIELD_UNKNOWN: '{field} is not an allowed field.'
+  }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+// 消息目录的基准语言：错误对象的 message (也就是日志中的内容) 使用该语言
+export const SOURCE_LOCALE = 'zh-CN';
+
+// 没有指定语言或语言不受支持时使用
+export const DEFAULT_LOCALE = matchLocale(process.env.DEFAULT_LOCALE) || SOURCE_LOCALE;
+
+/**
+* 把语言标签匹配到支持的语言，'en-US' -> 'en'，'zh'、'zh-Hans'、'zh-TW' -> 'zh-CN'。
+* @param {string} tag - 语言标签
+* @returns {string|null} - 支持的语言，无法匹配时为 null
+*/
+export function matchLocale(tag) {
+  if (typeof tag !== 'string' || !tag.trim()) return null;
+  const normalized = tag.trim().toLowerCase();
+  const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === normalized);
+  if (exact) return exact;
+  const language = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+/**
+* 按 q 值解析 Accept-Language，返回第一个支持的语言。
+* @param {string} header - 例如 'en-US,en;q=0.9,zh-CN;q=0.8'
+* @returns {string|null}
+*/
+export function negotiateLocale(header) {
+  if (typeof header !== 'string' || !header) return null;
+  const candidates = header.split(',').map((part, index) => {
+    const [tag, ...attributes] = part.trim().split(';');
+    const qAttribute = attributes.find(attribute => attribute.trim().startsWith('q='));
+    const q = qAttribute ? Number(qAttribute.trim().slice(2)) : 1;
+    return { tag, q: Number.isNaN(q) ? 0 : q, index };
+  }).filter(candidate => candidate.tag && candidate.q > 0);
+  candidates.sort((a, b) => b.q - a.q || a.index - b.index);
+
+  for (const { tag } of candidates) {
+    if (tag === '*') return DEFAULT_LOCALE;
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return null;
+}
+
+/**
+* 确定请求的响应语言：locale 参数 (查询参数或显式传入) 优先，其次是 Accept-Language，最后是 DEFAULT_LOCALE。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {string} [explicitLocale] - 请求体等其他位置指定的语言
+* @returns {string}
+*/
+export function resolveLocale(req, explicitLocale) {
+  let queryLocale = null;
+  try {
+    queryLocale = new URL(req.url, 'http://localhost').searchParams.get('locale');
+  } catch {
+    // 无法解析的 URL 忽略 locale 参数
+  }
+  return matchLocale(explicitLocale) || matchLocale(queryLocale) ||
+    negotiateLocale(req.headers?.['accept-language']) || DEFAULT_LOCALE;
+}
+
+/**
+* 按错误码查找消息并替换 {name} 占位符。目标语言缺少该消息时回退到基准语言，仍然没有时返回错误码本身。
+* @param {string} code - 错误码
+* @param {object} [params] - 占位符参数
+* @param {string} [locale] - 目标语言
+* @returns {string}
+*/
+export function translate(code, params = {}, locale = DEFAULT_LOCALE) {
+  const template = MESSAGES[locale]?.[code] ?? MESSAGES[SOURCE_LOCALE][code];
+  if (template === undefined) return code;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
@@ -0,0 +1,156 @@
+// lib/jsonrpc.js - JSON-RPC 2.0 接口 (POST /api/rpc)
+// method 即 action 名称 ('comment.add'、'like.addCommentLike' ...)，params 为按名称传递的参数对象。
+// 支持批量调用 (请求为数组) 和通知 (没有 id 的请求不返回响应)。
+// 错误码：
+//   -32700 请求不是合法 JSON          -32600 请求格式无效
+//   -32601 方法不存在                 -32602 参数无效 (ValidationError)
+//   -32603 服务器内部错误
+//   -32001/-32003/-32004/-32009       未登录/无权限/资源不存在/资源已存在 (对应 HTTP 401/403/404/409)
+//   -32029                            请求过于频繁 (对应 HTTP 429)
+// 错误的 data 字段包含对应的 HTTP 状态码 status 和错误码 code (lib/errors.js)，参数错误时还包含字段级错误 errors。
+import { logger, sendJson, ApiError, toErrorResponse, CONFIG } from './utils.js';
+import { resolveLocale, DEFAULT_LOCALE } from './i18n.js';
+import { ACTIONS, executeAction } from './actions.js';
+import { scheduleOperations, isReadOnly } from './batch.js';
+
+logger.info('✅ lib/jsonrpc.js 加载成功');
+
+export const RPC_PATH = '/api/rpc';
+
+export const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+// 业务错误的 HTTP 状态码 -> JSON-RPC 服务器错误码 (-32000 ~ -32099 由实现自定义)
+const STATUS_ERROR_CODES = { 401: -32001, 403: -32003, 404: -32004, 409: -32009, 429: -32029 };
+
+const rpcError = (id, code, message, data) => ({
+  jsonrpc: '2.0',
+  error: data === undefined ? { code, message } : { code, message, data },
+  id
+});
+
+const isValidId = id => id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+
+// 把业务函数抛出的错误转换为 JSON-RPC 错误对象，业务错误的消息按 locale 生成
+function toRpcError(id, error, locale) {
+  if (!(error instanceof ApiError)) {
+    return rpcError(id, RPC_ERRORS.INTERNAL_ERROR, 'Internal error');
+  }
+  const { status, payload } = toErrorResponse(error, locale);
+  const data = { status, code: payload.code };
+  if (payload.errors) data.errors = payload.errors;
+  if (status >= 500) return rpcError(id, RPC_ERRORS.INTERNAL_ERROR, payload.message, data); // 例如存储不可用 (503)
+  return rpcError(id, STATUS_ERROR_CODES[status] || RPC_ERRORS.INVALID_PARAMS, payload.message, data);
+}
+
+/**
+* 执行单个 JSON-RPC 请求对象。
+* @param {any} request - 请求对象
+* @param {string} locale - 错误消息的语言
+* @param {{ username: string }|null} user - 访问令牌对应的当前用户
+* @returns {Promise<object|null>} - 响应对象；通知返回 null
+*/
+async function callMethod(request, locale, user) {
+  if (!request || typeof request !== 'object' || Array.isArray(request) || request.jsonrpc !== '2.0' ||
+      typeof request.method !== 'string' || ('id' in request && !isValidId(request.id))) {
+    return rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const isNotification = !('id' in request);
+  const id = isNotification ? null : request.id;
+  let response;
+
+  if (!Object.hasOwn(ACTIONS, request.method)) {
+    response = rpcError(id, RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+  } else if (request.params !== undefined && (request.params === null || typeof request.params !== 'object' || Array.isArray(request.params))) {
+    // 所有 action 的参数都有名称，不支持按位置传参
+    response = rpcError(id, RPC_ERRORS.INVALID_PARAMS, 'Invalid params: params must be an object (by-name)');
+  } else {
+    try {
+      const result = await executeAction(request.method, request.params || {}, { user });
+      response = { jsonrpc: '2.0', result: result === undefined ? null : result, id };
+    } catch (error) {
+      if ((error.status || 500) >= 500) {
+        logger.error(`[JSON-RPC] 方法执行失败 (method: ${request.method})`, { error: error.message });
+      }
+      response = toRpcError(id, error, locale);
+    }
+  }
+  return isNotification ? null : response;
+}
+
+/**
+* 处理 JSON-RPC 请求体 (单个请求或批量数组)。
+* @param {any} payload - 已解析的请求体
+* @param {object} [options]
+* @param {string} [options.locale] - 业务错误消息的语言
+* @param {{ username: string }|null} [options.user] - 访问令牌对应的当前用户
+* @returns {Promise<object|Array<object>|null>} - 响应；没有需要返回的响应 (全部是通知) 时为 null
+*/
+export async function handleJsonRpcPayload(payload, { locale = DEFAULT_LOCALE, user = null } = {}) {
+  if (!Array.isArray(payload)) return callMethod(payload, locale, user);
+
+  if (payload.length === 0) return rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+  if (payload.length > CONFIG.BATCH.MAX_OPERATIONS) {
+    return rpcError(null, RPC_ERRORS.INVALID_REQUEST, `Batch too large (max ${CONFIG.BATCH.MAX_OPERATIONS})`);
+  }
+
+  // 与 /api/batch 相同：只读方法并发执行，写方法按顺序执行
+  const isReadOnlyRequest = request => {
+    if (typeof request?.method !== 'string') return true;
+    const [type, ...action] = request.method.split('.');
+    return isReadOnly(type, action.join('.'));
+  };
+  const responses = (await scheduleOperations(payload, isReadOnlyRequest, request => callMethod(request, locale, user))).filter(Boolean);
+  return responses.length > 0 ? responses : null;
+}
+
+// Vercel 会预先解析 JSON 请求体 (req.body)，独立运行时从请求流中读取
+async function readJsonBody(req) {
+  if (req.body !== undefined && req.body !== null) {
+    return typeof req.body === 'string' || Buffer.isBuffer(req.body) ? JSON.parse(req.body.toString()) : req.body;
+  }
+  let raw = '';
+  for await (const chunk of req) raw += chunk.toString();
+  return JSON.parse(raw);
+}
+
+/**
+* 处理 /api/rpc 请求。路径不是 /api/rpc 时返回 false。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {string} pathname - 请求路径
+* @param {object} [options]
+* @param {{ username: string }|null} [options.user] - 访问令牌对应的当前用户 (lib/auth.js 的 authenticate)
+* @returns {Promise<boolean>} - 请求是否已被处理
+*/
+export async function handleJsonRpcRequest(req, res, pathname, { user = null } = {}) {
+  if (pathname !== RPC_PATH && pathname !== `${RPC_PATH}/`) return false;
+
+  if (req.method !== 'POST') {
+    sendJson(res, 405, rpcError(null, RPC_ERRORS.INVALID_REQUEST, 'JSON-RPC requests must use POST'), { Allow: 'POST' });
+    return true;
+  }
+
+  let payload;
+  try {
+    payload = await readJsonBody(req);
+  } catch (error) {
+    logger.warn('[JSON-RPC] 请求体不是合法 JSON', { error: error.message });
+    sendJson(res, 200, rpcError(null, RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+    return true;
+  }
+
+  const response = await handleJsonRpcPayload(payload, { locale: resolveLocale(req), user });
+  if (response === null) {
+    sendJson(res, 204); // 只有通知，没有响应体
+  } else {
+    sendJson(res, 200, response);
+  }
+  return true;
+}
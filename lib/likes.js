@@ -1,20 +1,24 @@
 // lib/likes.js - 终极优化版：移除重复逻辑，参数校验更严谨，适配全局规范 (修正为 {...} 模式)
-// 从 utils.js 导入底层数据库操作、输入验证工具
+// 从 utils.js 导入底层数据库操作工具
+// 参数格式 (必填、长度、格式) 由 lib/actions.js 中各 action 的 schema 统一校验，这里只处理业务规则
 import {
-  read, write, transaction, initFirebase,
-  validateInput, logger, ValidationError, CONFIG
+  read, write, transaction,
+  logger, ApiError, NotFoundError, ForbiddenError
 } from '../lib/utils.js'; // Ensure all necessary utilities are imported
 // 从 comments.js 导入评论树点赞计算和祖先更新逻辑，避免重复实现
 import {
   computeCommentTreeTotalLikes,
-  updateCommentAncestorsTotalLikes
+  updateCommentAncestorsTotalLikes,
+  invalidateCommentCaches
 } from './comments.js';
+import { cached, invalidate, cacheKeys } from './cache.js';
+import { counter } from './metrics.js';
 
 // Logger initialization consistency
 logger.info('✅ lib/likes.js 加载成功');
 
-// Initialize Firebase database instance on module load
-initFirebase();
+// 点赞状态事务中止 (重复点赞或取消不存在的点赞) 的次数
+const likeTransactionAborts = counter('like_transaction_aborts_total', 'Like status transactions aborted because the like already existed or did not exist.', ['target', 'operation']);
 
 // ====================================================================
 // 文章点赞相关功能
@@ -26,28 +30,24 @@ initFirebase();
 * @param {string} data.username - 用户名
 * @param {string} data.postId - 文章ID
 * @returns {Promise<{ isNewLike: boolean; likesCount: number; }>} - 返回是否为新点赞及更新后的点赞数。
-* @throws {ValidationError} 如果输入无效或文章不存在
+* @throws {NotFoundError} 如果文章不存在 (ARTICLE_NOT_FOUND)
 * @throws {Error} 如果数据库操作失败
 */
 export async function addArticleLike({ username, postId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
   const userLikePath = `articleLikes/${username}_${postId}`; // Path to store user's like status
   const likesCountPath = `articles/${postId}/likes`; // Path to store the total likes count for the article
   try {
-    // --- 2. Check Article Existence ---
+    // --- 1. Check Article Existence ---
     // A more robust check would be to ensure the article content itself exists.
     // For now, we assume `articles/${postId}` existing means the article exists.
     const articleExists = await read(`articles/${postId}`);
     if (!articleExists) {
         logger.warn(`[LikesLib] addArticleLike: 文章不存在，无法点赞 (postId: ${postId})`);
-        throw new ValidationError('文章不存在，无法点赞');
+        throw new NotFoundError('ARTICLE_NOT_FOUND');
     }
 
     let isNewLike = false;
-    // --- 3. Atomically update user's like status ---
+    // --- 2. Atomically update user's like status ---
     const result = await transaction(userLikePath, function(current) {
       // If current is already populated, it means the user has liked it before. Return undefined to abort.
       if (current) return undefined;
@@ -58,25 +58,27 @@ export async function addArticleLike({ username, postId }) {
 
     // If transaction didn't commit (likely because it was already liked), return current count.
     if (!result.committed) {
+      likeTransactionAborts.inc({ target: 'article', operation: 'add' });
       logger.warn(`[LikesLib] 用户已点赞此文章，无法重复点赞 (username: ${username}, postId: ${postId})`);
       const count = await read(likesCountPath) || 0; // Read current count
       return { isNewLike: false, likesCount: count };
     }
 
-    // --- 4. Atomically increment the article's total likes count ---
+    // --- 3. Atomically increment the article's total likes count ---
     await transaction(likesCountPath, function(currentCount) {
       // Ensure count is a non-negative number
       return Math.max(0, (currentCount || 0) + 1);
     });
+    await invalidate(cacheKeys.articleLikes(postId));
 
-    // --- 5. Get Updated Count and Return ---
+    // --- 4. Get Updated Count and Return ---
     const updatedLikesCount = await read(likesCountPath) || 0;
     logger.info(`[LikesLib] 文章点赞成功 (username: ${username}, postId: ${postId}, newLikesCount: ${updatedLikesCount})`);
     return { isNewLike: true, likesCount: updatedLikesCount };
 
   } catch (error) {
     logger.error(`[LikesLib] 添加文章点赞失败 (username: ${username}, postId: ${postId}):`, error);
-    if (error instanceof ValidationError) throw error; // Re-throw validation errors
+    if (error instanceof ApiError) throw error; // Re-throw API errors
     throw new Error('Failed to add article like.'); // General error
   }
 }
@@ -87,18 +89,13 @@ export async function addArticleLike({ username, postId }) {
 * @param {string} data.username - 用户名
 * @param {string} data.postId - 文章ID
 * @returns {Promise<{ isRemoved: boolean; likesCount: number; }>} - 返回是否成功移除及更新后的点赞数。
-* @throws {ValidationError} 如果输入无效或文章不存在
 * @throws {Error} 如果数据库操作失败
 */
 export async function removeArticleLike({ username, postId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
   const userLikePath = `articleLikes/${username}_${postId}`;
   const likesCountPath = `articles/${postId}/likes`;
   try {
-    // --- 2. Check Article Existence ---
+    // --- 1. Check Article Existence ---
     const articleExists = await read(`articles/${postId}`);
     if (!articleExists) {
       logger.warn(`[LikesLib] removeArticleLike: 文章不存在，无需移除点赞 (postId: ${postId})`);
@@ -107,7 +104,7 @@ export async function removeArticleLike({ username, postId }) {
     }
 
     let isRemoved = false;
-    // --- 3. Atomically remove user's like status ---
+    // --- 2. Atomically remove user's like status ---
     const result = await transaction(userLikePath, function(current) {
       // If current is null/undefined, user hasn't liked it. Return undefined to abort.
       if (!current) return undefined;
@@ -118,25 +115,27 @@ export async function removeArticleLike({ username, postId }) {
 
     // If transaction didn't commit (likely because it was already unliked), return current count.
     if (!result.committed) {
+      likeTransactionAborts.inc({ target: 'article', operation: 'remove' });
       logger.warn(`[LikesLib] 用户未点赞此文章，无法取消点赞 (username: ${username}, postId: ${postId})`);
       const count = await read(likesCountPath) || 0; // Read current count
       return { isRemoved: false, likesCount: count };
     }
 
-    // --- 4. Atomically decrement the article's total likes count ---
+    // --- 3. Atomically decrement the article's total likes count ---
     await transaction(likesCountPath, function(currentCount) {
       // Ensure count doesn't go below zero
       return Math.max(0, (currentCount || 0) - 1);
     });
+    await invalidate(cacheKeys.articleLikes(postId));
 
-    // --- 5. Get Updated Count and Return ---
+    // --- 4. Get Updated Count and Return ---
     const updatedLikesCount = await read(likesCountPath) || 0;
     logger.info(`[LikesLib] 移除文章点赞成功 (username: ${username}, postId: ${postId}, newLikesCount: ${updatedLikesCount})`);
     return { isRemoved: true, likesCount: updatedLikesCount };
 
   } catch (error) {
     logger.error(`[LikesLib] 移除文章点赞失败 (username: ${username}, postId: ${postId}):`, error);
-    if (error instanceof ValidationError) throw error; // Re-throw validation errors
+    if (error instanceof ApiError) throw error; // Re-throw API errors
     throw new Error('Failed to remove article like.'); // General error
   }
 }
@@ -146,19 +145,15 @@ export async function removeArticleLike({ username, postId }) {
 * @param {object} data - 包含 postId 的对象
 * @param {string} data.postId - 文章ID
 * @returns {Promise<number>} - 文章的点赞数。
-* @throws {ValidationError} 如果输入无效
 * @throws {Error} 如果数据库操作失败
 */
 export async function getArticleLikesCount({ postId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-
   try {
-    const count = await read(`articles/${postId}/likes`); // Read the likes count
-    return count || 0; // Return count, defaulting to 0 if null/undefined
+    // Read the likes count through the cache, defaulting to 0 if null/undefined
+    return await cached(cacheKeys.articleLikes(postId), async () => await read(`articles/${postId}/likes`) || 0);
   } catch (error) {
     logger.error(`[LikesLib] 获取文章点赞数失败 (postId: ${postId}):`, error);
-    if (error instanceof ValidationError) throw error; // Re-throw validation errors
+    if (error instanceof ApiError) throw error; // Re-throw API errors
     throw new Error('Failed to get article likes count.'); // General error
   }
 }
@@ -169,50 +164,25 @@ export async function getArticleLikesCount({ postId }) {
 * @param {string} data.username - 用户名
 * @param {string} data.postId - 文章ID
 * @returns {Promise<boolean>} - 如果用户已点赞返回 true，否则返回 false。
-* @throws {ValidationError} 如果输入无效
+* @throws {ForbiddenError} 如果存储拒绝读取点赞记录 (LIKE_ACCESS_FORBIDDEN)
 * @throws {Error} 如果数据库操作失败
 */
 export async function hasUserLikedArticle({ username, postId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
   const userLikePath = `articleLikes/${username}_${postId}`;
-  const maxRetries = CONFIG.MAX_RETRIES || 3;
-  const retryIntervalBase = CONFIG.RETRY_INTERVAL_BASE || 500;
-
   try {
-    let attempt = 0;
-    // --- Retry Logic for Read Operation ---
-    while (attempt < maxRetries) {
-      try {
-        // Attempt to read the user's like record
-        const record = await read(userLikePath, { timeout: CONFIG.TIMEOUT });
-        logger.info(`[LikesLib] 检查文章点赞状态 (username: ${username}, postId: ${postId})`, { hasLiked: !!record });
-        return !!record; // Return true if record exists, false otherwise
-      } catch (error) {
-        attempt++;
-        // Handle specific errors like permission denied
-        if (error.code === 'PERMISSION_DENIED') {
-          logger.error(`[LikesLib] 无权限读取文章点赞记录 (path: ${userLikePath})`, error, { username, postId });
-          throw new ValidationError('无权限访问点赞记录');
-        }
-        // Log retry attempts for other errors
-        logger.warn(`[LikesLib] 读取文章点赞状态失败，尝试 ${attempt}/${maxRetries}`, error, { username, postId });
-        // If max retries reached, throw a final error
-        if (attempt === maxRetries) {
-          throw new Error('Failed to check article like status after multiple retries.');
-        }
-        // Wait before retrying (exponential backoff)
-        await new Promise(resolve => setTimeout(resolve, retryIntervalBase * Math.pow(2, attempt - 1)));
-      }
-    }
+    // 超时重试由 executeDbOperation 统一处理，重试后仍失败时得到 UnavailableError (503)
+    const record = await read(userLikePath);
+    logger.info(`[LikesLib] 检查文章点赞状态 (username: ${username}, postId: ${postId})`, { hasLiked: !!record });
+    return !!record;
   } catch (error) {
+    if (error.code === 'PERMISSION_DENIED') {
+      logger.error(`[LikesLib] 无权限读取文章点赞记录 (path: ${userLikePath})`, error, { username, postId });
+      throw new ForbiddenError('LIKE_ACCESS_FORBIDDEN');
+    }
     logger.error(`[LikesLib] 检查文章点赞状态时发生错误 (username: ${username}, postId: ${postId}):`, error);
-    if (error instanceof ValidationError) throw error; // Re-throw validation errors
+    if (error instanceof ApiError) throw error; // Re-throw API errors
     throw new Error('Failed to check article like status.'); // General error
   }
-  return false; // Should not be reached if logic is correct, but provides a fallback return
 }
 
 // ====================================================================
@@ -226,29 +196,24 @@ export async function hasUserLikedArticle({ username, postId }) {
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 评论ID
 * @returns {Promise<{ isNewLike: boolean; directLikesCount: number; totalLikesCount: number; }>} - 返回是否为新点赞及更新后的点赞数。
-* @throws {ValidationError} 如果输入无效或评论不存在
+* @throws {NotFoundError} 如果评论不存在 (COMMENT_NOT_FOUND)
 * @throws {Error} 如果数据库操作失败
 */
 export async function addCommentLike({ username, postId, commentId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
-  const userLikePath = `commentLikes/${username}_${postId}_${commentId}`; // Path to store user's like status for a specific comment
+  const userLikePath = `commentLikes/${postId}/${username}/${commentId}`; // Path to store user's like status for a specific comment
   const commentLikesPath = `comments/${postId}/${commentId}/likes`; // Path to store direct likes count for the comment
   const commentPath = `comments/${postId}/${commentId}`; // Path to the comment itself
 
   try {
-    // --- 2. Check Comment Existence ---
+    // --- 1. Check Comment Existence ---
     const commentExists = await read(commentPath);
     if (!commentExists) {
       logger.warn(`[LikesLib] addCommentLike: 评论不存在，无法点赞 (postId: ${postId}, commentId: ${commentId})`);
-      throw new ValidationError('评论不存在，无法点赞');
+      throw new NotFoundError('COMMENT_NOT_FOUND');
     }
 
     let isNewLike = false;
-    // --- 3. Atomically update user's like status ---
+    // --- 2. Atomically update user's like status ---
     const result = await transaction(userLikePath, function(current) {
       if (current) return undefined; // User already liked, abort transaction
       isNewLike = true;
@@ -256,23 +221,25 @@ export async function addCommentLike({ username, postId, commentId }) {
     });
 
     if (!result.committed) {
+      likeTransactionAborts.inc({ target: 'comment', operation: 'add' });
       logger.warn(`[LikesLib] 用户已点赞此评论，无法重复点赞 (username: ${username}, postId: ${postId}, commentId: ${commentId})`);
       const directLikes = await read(commentLikesPath) || 0;
       const totalLikes = await read(`${commentPath}/totalLikes`) || 0;
       return { isNewLike: false, directLikesCount: directLikes, totalLikesCount: totalLikes };
     }
 
-    // --- 4. Atomically increment the comment's direct likes count ---
+    // --- 3. Atomically increment the comment's direct likes count ---
     await transaction(commentLikesPath, function(currentCount) {
       return Math.max(0, (currentCount || 0) + 1);
     });
 
-    // --- 5. Trigger totalLikes recalculation for this comment and its ancestors ---
+    // --- 4. Trigger totalLikes recalculation for this comment and its ancestors ---
     // This is crucial for the "总赞数" feature.
     await computeCommentTreeTotalLikes({ postId, commentId });
     await updateCommentAncestorsTotalLikes({ postId, initialCommentId: commentId });
+    await invalidateCommentCaches(postId); // Direct likes changed even if no totalLikes was rewritten
 
-    // --- 6. Get Updated Counts and Return ---
+    // --- 5. Get Updated Counts and Return ---
     const updatedDirectLikesCount = await read(commentLikesPath) || 0;
     const updatedTotalLikesCount = await read(`${commentPath}/totalLikes`) || 0; // Read the newly computed totalLikes
 
@@ -281,7 +248,7 @@ export async function addCommentLike({ username, postId, commentId }) {
 
   } catch (error) {
     logger.error(`[LikesLib] 添加评论点赞失败 (username: ${username}, postId: ${postId}, commentId: ${commentId}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to add comment like.');
   }
 }
@@ -293,21 +260,15 @@ export async function addCommentLike({ username, postId, commentId }) {
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 评论ID
 * @returns {Promise<{ isRemoved: boolean; directLikesCount: number; totalLikesCount: number; }>} - 返回是否成功移除及更新后的点赞数。
-* @throws {ValidationError} 如果输入无效或评论不存在
 * @throws {Error} 如果数据库操作失败
 */
 export async function removeCommentLike({ username, postId, commentId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
-  const userLikePath = `commentLikes/${username}_${postId}_${commentId}`;
+  const userLikePath = `commentLikes/${postId}/${username}/${commentId}`;
   const commentLikesPath = `comments/${postId}/${commentId}/likes`;
   const commentPath = `comments/${postId}/${commentId}`;
 
   try {
-    // --- 2. Check Comment Existence ---
+    // --- 1. Check Comment Existence ---
     const commentExists = await read(commentPath);
     if (!commentExists) {
       logger.warn(`[LikesLib] removeCommentLike: 评论不存在，无需移除点赞 (postId: ${postId}, commentId: ${commentId})`);
@@ -317,7 +278,7 @@ export async function removeCommentLike({ username, postId, commentId }) {
     }
 
     let isRemoved = false;
-    // --- 3. Atomically remove user's like status ---
+    // --- 2. Atomically remove user's like status ---
     const result = await transaction(userLikePath, function(current) {
       if (!current) return undefined; // User hasn't liked, abort transaction
       isRemoved = true;
@@ -325,22 +286,24 @@ export async function removeCommentLike({ username, postId, commentId }) {
     });
 
     if (!result.committed) {
+      likeTransactionAborts.inc({ target: 'comment', operation: 'remove' });
       logger.warn(`[LikesLib] 用户未点赞此评论，无法取消点赞 (username: ${username}, postId: ${postId}, commentId: ${commentId})`);
       const directLikes = await read(commentLikesPath) || 0;
       const totalLikes = await read(`${commentPath}/totalLikes`) || 0;
       return { isRemoved: false, directLikesCount: directLikes, totalLikesCount: totalLikes };
     }
 
-    // --- 4. Atomically decrement the comment's direct likes count ---
+    // --- 3. Atomically decrement the comment's direct likes count ---
     await transaction(commentLikesPath, function(currentCount) {
       return Math.max(0, (currentCount || 0) - 1);
     });
 
-    // --- 5. Trigger totalLikes recalculation for this comment and its ancestors ---
+    // --- 4. Trigger totalLikes recalculation for this comment and its ancestors ---
     await computeCommentTreeTotalLikes({ postId, commentId });
     await updateCommentAncestorsTotalLikes({ postId, initialCommentId: commentId });
+    await invalidateCommentCaches(postId); // Direct likes changed even if no totalLikes was rewritten
 
-    // --- 6. Get Updated Counts and Return ---
+    // --- 5. Get Updated Counts and Return ---
     const updatedDirectLikesCount = await read(commentLikesPath) || 0;
     const updatedTotalLikesCount = await read(`${commentPath}/totalLikes`) || 0;
 
@@ -349,7 +312,7 @@ export async function removeCommentLike({ username, postId, commentId }) {
 
   } catch (error) {
     logger.error(`[LikesLib] 移除评论点赞失败 (username: ${username}, postId: ${postId}, commentId: ${commentId}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to remove comment like.');
   }
 }
@@ -360,20 +323,15 @@ export async function removeCommentLike({ username, postId, commentId }) {
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 评论ID
 * @returns {Promise<number>} - 评论的直接点赞数。
-* @throws {ValidationError} 如果输入无效
 * @throws {Error} 如果数据库操作失败
 */
 export async function getCommentDirectLikesCount({ postId, commentId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-
   try {
     const count = await read(`comments/${postId}/${commentId}/likes`);
     return count || 0;
   } catch (error) {
     logger.error(`[LikesLib] 获取评论直接点赞数失败 (postId: ${postId}, commentId: ${commentId}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to get comment direct likes count.');
   }
 }
@@ -384,21 +342,15 @@ export async function getCommentDirectLikesCount({ postId, commentId }) {
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 评论ID
 * @returns {Promise<number>} - 评论的总点赞数。
-* @throws {ValidationError} 如果输入无效
 * @throws {Error} 如果数据库操作失败
 */
 export async function getCommentTotalLikesCount({ postId, commentId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-
   try {
     // The totalLikes field is maintained by computeCommentTreeTotalLikes in comments.js
-    const totalLikes = await read(`comments/${postId}/${commentId}/totalLikes`);
-    return totalLikes || 0;
+    return await cached(cacheKeys.commentTotalLikes(postId, commentId), async () => await read(`comments/${postId}/${commentId}/totalLikes`) || 0);
   } catch (error) {
     logger.error(`[LikesLib] 获取评论总点赞数失败 (postId: ${postId}, commentId: ${commentId}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to get comment total likes count.');
   }
 }
@@ -410,43 +362,23 @@ export async function getCommentTotalLikesCount({ postId, commentId }) {
 * @param {string} data.postId - 文章ID
 * @param {string} data.commentId - 评论ID
 * @returns {Promise<boolean>} - 如果用户已点赞返回 true，否则返回 false。
-* @throws {ValidationError} 如果输入无效
+* @throws {ForbiddenError} 如果存储拒绝读取点赞记录 (LIKE_ACCESS_FORBIDDEN)
 * @throws {Error} 如果数据库操作失败
 */
 export async function hasUserLikedComment({ username, postId, commentId }) {
-  // --- 1. Input Validation ---
-  if (!postId || !validateInput(postId, 'id')) throw new ValidationError('无效的 postId');
-  if (!commentId || !validateInput(commentId, 'id')) throw new ValidationError('无效的 commentId');
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('无效的用户名');
-
-  const userLikePath = `commentLikes/${username}_${postId}_${commentId}`;
-  const maxRetries = CONFIG.MAX_RETRIES || 3;
-  const retryIntervalBase = CONFIG.RETRY_INTERVAL_BASE || 500;
-
+  const userLikePath = `commentLikes/${postId}/${username}/${commentId}`;
   try {
-    let attempt = 0;
-    while (attempt < maxRetries) {
-      try {
-        const record = await read(userLikePath, { timeout: CONFIG.TIMEOUT });
-        logger.info(`[LikesLib] 检查评论点赞状态 (username: ${username}, postId: ${postId}, commentId: ${commentId})`, { hasLiked: !!record });
-        return !!record;
-      } catch (error) {
-        attempt++;
-        if (error.code === 'PERMISSION_DENIED') {
-          logger.error(`[LikesLib] 无权限读取评论点赞记录 (path: ${userLikePath})`, error, { username, postId, commentId });
-          throw new ValidationError('无权限访问点赞记录');
-        }
-        logger.warn(`[LikesLib] 读取评论点赞状态失败，尝试 ${attempt}/${maxRetries}`, error, { username, postId, commentId });
-        if (attempt === maxRetries) {
-          throw new Error('Failed to check comment like status after multiple retries.');
-        }
-        await new Promise(resolve => setTimeout(resolve, retryIntervalBase * Math.pow(2, attempt - 1)));
-      }
-    }
+    // 与 hasUserLikedArticle 相同，不在这里重试
+    const record = await read(userLikePath);
+    logger.info(`[LikesLib] 检查评论点赞状态 (username: ${username}, postId: ${postId}, commentId: ${commentId})`, { hasLiked: !!record });
+    return !!record;
   } catch (error) {
+    if (error.code === 'PERMISSION_DENIED') {
+      logger.error(`[LikesLib] 无权限读取评论点赞记录 (path: ${userLikePath})`, error, { username, postId, commentId });
+      throw new ForbiddenError('LIKE_ACCESS_FORBIDDEN');
+    }
     logger.error(`[LikesLib] 检查评论点赞状态时发生错误 (username: ${username}, postId: ${postId}, commentId: ${commentId}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to check comment like status.');
   }
-  return false;
 }
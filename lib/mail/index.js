@@ -0,0 +1,39 @@
+// lib/mail/index.js - 邮件发送方式 (transport) 注册表
+// 每种发送方式都是一个工厂函数，返回实现以下接口的对象：
+//   name                                  发送方式名称
+//   send({ from, to, subject, text })     发送一封纯文本邮件，返回 { messageId }；发送失败时抛出异常
+//   close()                               释放资源 (可选)
+import { createSmtpTransport } from './smtp.js';
+import { createOutboxTransport } from './outbox.js';
+
+const transportFactories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+/**
+* 注册自定义发送方式 (例如邮件服务商的 HTTP API)。
+* @param {string} name - 发送方式名称，对应 MAIL_DRIVER 环境变量
+* @param {Function} factory - 接收 options 并返回 transport 对象的工厂函数
+*/
+export function registerMailTransport(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Mail transport factory for "${name}" must be a function.`);
+  }
+  transportFactories[name] = factory;
+}
+
+/**
+* 按名称创建发送方式。
+* @param {string} driver - 发送方式名称 ('smtp' | 'outbox' | 已注册的自定义名称)
+* @param {object} options - 传给工厂函数的选项
+* @returns {object} - transport 对象
+* @throws {Error} 如果发送方式名称未知
+*/
+export function createMailTransport(driver, options) {
+  const factory = transportFactories[driver];
+  if (!factory) {
+    throw new Error(`Unknown mail driver: ${driver} (available: ${Object.keys(transportFactories).join(', ')})`);
+  }
+  return factory(options);
+}
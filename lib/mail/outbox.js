@@ -0,0 +1,32 @@
+// lib/mail/outbox.js - 发件箱目录 (开发和测试用)
+// 不真正发送邮件，而是把每封邮件写成目录中的一个 JSON 文件 ({ messageId, from, to, subject, text, createdAt })，
+// 本地开发时可以直接打开文件找到重置链接，测试脚本可以读取最新的文件取得令牌。
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+* 创建发件箱目录 transport。
+* @param {object} options
+* @param {string} options.dir - 发件箱目录，不存在时自动创建
+* @param {object} options.logger - lib/utils.js 中的 logger
+* @returns {object} - transport 对象
+*/
+export function createOutboxTransport({ dir, logger }) {
+  return {
+    name: 'outbox',
+
+    async send({ from, to, subject, text }) {
+      const messageId = randomUUID();
+      const createdAt = new Date().toISOString();
+      await fs.promises.mkdir(dir, { recursive: true });
+      // 文件名以时间开头，按名称排序即按发送顺序排列
+      const file = path.join(dir, `${createdAt.replace(/[:.]/g, '-')}-${messageId}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ messageId, from, to, subject, text, createdAt }, null, 2), 'utf8');
+      logger.info(`[Mail] 邮件已写入发件箱 (file: ${file})`);
+      return { messageId };
+    },
+
+    close() {}
+  };
+}
@@ -0,0 +1,246 @@
+// lib/mail/smtp.js - 通过 SMTP 发送邮件
+// 每封邮件使用一个新连接 (Serverless 实例之间不能共享连接)：EHLO → STARTTLS (服务器支持时) → AUTH → MAIL FROM → RCPT TO → DATA → QUIT。
+// 只实现发送纯文本邮件所需的部分：正文为 UTF-8 + base64，非 ASCII 的主题和显示名称按 RFC 2047 编码。
+// 配置了用户名密码但连接没有加密 (服务器不支持 STARTTLS) 时拒绝发送，避免明文传输密码。
+import net from 'net';
+import tls from 'tls';
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
+
+const CRLF = '\r\n';
+
+const smtpError = (message, code = 'SMTP_ERROR', extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+// 按行读取服务器的响应，多行响应 (250-xxx ... 250 xxx) 合并为一个 { code, lines }
+function createConnection(socket, timeout) {
+  let current = null;
+  let buffer = '';
+  let pendingLines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  function fail(error) {
+    failure = failure || error;
+    while (waiters.length) waiters.shift().reject(failure);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      pendingLines.push(line.slice(4));
+      if (line[3] === '-') continue;
+      const reply = { code: Number(line.slice(0, 3)), lines: pendingLines };
+      pendingLines = [];
+      if (waiters.length) waiters.shift().resolve(reply);
+      else replies.push(reply);
+    }
+  }
+  const onError = error => fail(error);
+  const onClose = () => fail(smtpError('SMTP connection closed unexpectedly'));
+  const onTimeout = () => current.destroy(smtpError('SMTP connection timed out', 'SMTP_TIMEOUT'));
+
+  function attach(target) {
+    current = target;
+    target.setTimeout(timeout);
+    target.on('timeout', onTimeout);
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+  }
+
+  function detach(target) {
+    target.setTimeout(0);
+    target.off('timeout', onTimeout);
+    target.off('data', onData);
+    target.off('error', onError);
+    target.off('close', onClose);
+  }
+
+  attach(socket);
+
+  return {
+    read() {
+      if (replies.length) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+
+    write(data) {
+      current.write(data);
+    },
+
+    // STARTTLS：在现有连接上建立 TLS，之后的读写都经过加密连接
+    upgrade(options) {
+      const plain = current;
+      detach(plain);
+      return new Promise((resolve, reject) => {
+        const secureSocket = tls.connect({ ...options, socket: plain }, () => {
+          secureSocket.off('error', reject);
+          attach(secureSocket);
+          resolve();
+        });
+        secureSocket.once('error', reject);
+      });
+    },
+
+    close() {
+      detach(current);
+      current.on('error', () => {}); // 连接已经不再使用，关闭过程中的错误忽略
+      current.end();
+    }
+  };
+}
+
+// 非 ASCII 文本按 RFC 2047 编码，每个 encoded-word 不超过 75 个字符 (按字符切分，每段不超过 45 字节)
+function encodeWord(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  const chunks = [''];
+  for (const char of text) {
+    if (Buffer.byteLength(chunks[chunks.length - 1] + char) > 45) chunks.push('');
+    chunks[chunks.length - 1] += char;
+  }
+  return chunks.map(chunk => `=?UTF-8?B?${Buffer.from(chunk).toString('base64')}?=`).join(`${CRLF} `);
+}
+
+const singleLine = value => String(value).replace(/[\r\n]+/g, ' ');
+
+// "显示名称 <address>" 或 address
+function parseAddress(value) {
+  const match = /^\s*"?([^"<]*?)"?\s*<([^<>\s]+)>\s*$/.exec(singleLine(value));
+  return match ? { name: match[1], address: match[2] } : { name: '', address: singleLine(value).trim() };
+}
+
+function formatAddress({ name, address }) {
+  if (!name) return address;
+  const displayName = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : encodeWord(name);
+  return `${displayName} <${address}>`;
+}
+
+function buildMessage({ from, to, subject, text, messageId }) {
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${formatAddress(to)}`,
+    `Subject: ${encodeWord(singleLine(subject))}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  const body = Buffer.from(text.replace(/\r?\n/g, CRLF)).toString('base64').replace(/.{1,76}/g, `$&${CRLF}`);
+  return `${headers.join(CRLF)}${CRLF}${CRLF}${body}`;
+}
+
+/**
+* 创建 SMTP transport。
+* @param {object} options
+* @param {string} options.host - SMTP 服务器
+* @param {number} [options.port] - 端口，默认 587
+* @param {boolean} [options.secure] - true 时直接建立 TLS 连接 (465 端口)，否则在服务器支持时使用 STARTTLS
+* @param {string|null} [options.user] - 用户名，为空时不进行认证
+* @param {string|null} [options.pass] - 密码
+* @param {number} [options.timeout] - 连接和每条命令的超时 (毫秒)
+* @param {object} options.logger - lib/utils.js 中的 logger
+* @returns {object} - transport 对象
+*/
+export function createSmtpTransport({ host, port = 587, secure = false, user = null, pass = null, timeout = 10000, logger }) {
+  if (!host) throw new Error('SMTP transport requires SMTP_HOST.');
+  const clientName = hostname() || 'localhost';
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+      const onTimeout = () => socket.destroy(smtpError(`SMTP connection to ${host}:${port} timed out`, 'SMTP_TIMEOUT'));
+      socket.setTimeout(timeout);
+      socket.once('timeout', onTimeout);
+      socket.once('error', reject);
+      socket.once(secure ? 'secureConnect' : 'connect', () => {
+        socket.off('timeout', onTimeout);
+        socket.off('error', reject);
+        resolve(createConnection(socket, timeout));
+      });
+    });
+  }
+
+  async function expect(connection, expected, label) {
+    const reply = await connection.read();
+    if (!expected.includes(reply.code)) {
+      throw smtpError(`SMTP ${label} failed: ${reply.code} ${reply.lines.join(' ')}`, 'SMTP_ERROR', { responseCode: reply.code });
+    }
+    return reply;
+  }
+
+  // label 用于错误信息，AUTH 命令必须传入 label，避免凭据出现在日志中
+  function command(connection, line, expected, label = line) {
+    connection.write(`${line}${CRLF}`);
+    return expect(connection, expected, label);
+  }
+
+  // 返回服务器支持的扩展：{ STARTTLS: '', AUTH: 'PLAIN LOGIN', ... }
+  async function ehlo(connection) {
+    const reply = await command(connection, `EHLO ${clientName}`, [250]);
+    return Object.fromEntries(reply.lines.slice(1).map(line => {
+      const [keyword, ...rest] = line.split(' ');
+      return [keyword.toUpperCase(), rest.join(' ').toUpperCase()];
+    }));
+  }
+
+  async function login(connection, extensions) {
+    const mechanisms = (extensions.AUTH || '').split(/\s+/);
+    const base64 = value => Buffer.from(value).toString('base64');
+    if (mechanisms.includes('LOGIN') && !mechanisms.includes('PLAIN')) {
+      await command(connection, 'AUTH LOGIN', [334]);
+      await command(connection, base64(user), [334], 'AUTH LOGIN (username)');
+      await command(connection, base64(pass || ''), [235], 'AUTH LOGIN (password)');
+    } else {
+      await command(connection, `AUTH PLAIN ${base64(`\0${user}\0${pass || ''}`)}`, [235], 'AUTH PLAIN');
+    }
+  }
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, text }) {
+      const sender = parseAddress(from);
+      const recipient = parseAddress(to);
+      const messageId = `${randomUUID()}@${sender.address.split('@')[1] || 'localhost'}`;
+
+      const connection = await connect();
+      try {
+        await expect(connection, [220], 'greeting');
+        let extensions = await ehlo(connection);
+        let encrypted = secure;
+        if (!encrypted && 'STARTTLS' in extensions) {
+          await command(connection, 'STARTTLS', [220]);
+          await connection.upgrade({ servername: host });
+          encrypted = true;
+          extensions = await ehlo(connection);
+        }
+        if (user) {
+          if (!encrypted) throw smtpError(`SMTP server ${host} does not support STARTTLS; refusing to send credentials in plain text`);
+          await login(connection, extensions);
+        }
+
+        await command(connection, `MAIL FROM:<${sender.address}>`, [250]);
+        await command(connection, `RCPT TO:<${recipient.address}>`, [250, 251]);
+        await command(connection, 'DATA', [354]);
+        // 以 . 开头的行需要再加一个 . (dot-stuffing)，单独一行的 . 表示邮件结束 (buildMessage 的结果总是以 CRLF 结尾)
+        const message = buildMessage({ from: sender, to: recipient, subject, text, messageId }).replace(/^\./gm, '..');
+        connection.write(`${message}.${CRLF}`);
+        await expect(connection, [250], 'DATA');
+        await command(connection, 'QUIT', [221]).catch(() => {}); // 邮件已被接收，QUIT 失败不影响结果
+
+        logger.info(`[Mail] 邮件已通过 SMTP 发送 (host: ${host}, messageId: ${messageId})`);
+        return { messageId };
+      } finally {
+        connection.close();
+      }
+    },
+
+    close() {}
+  };
+}
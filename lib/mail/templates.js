@@ -0,0 +1,76 @@
+// lib/mail/templates.js - 邮件模板
+// 与接口消息 (lib/i18n.js) 一样按语言组织，主题和正文中的 {name} 占位符由调用方传入的参数替换；
+// 目标语言缺少模板时回退到 zh-CN。新增语言时在 TEMPLATES 中添加一份即可。
+import { SOURCE_LOCALE, DEFAULT_LOCALE, matchLocale } from '../i18n.js';
+
+export const TEMPLATES = {
+  'zh-CN': {
+    passwordReset: {
+      subject: '[{site}] 重置密码',
+      text: [
+        '{username}，您好：',
+        '',
+        '我们收到了重置您在{site}的账号密码的请求。请在 {minutes} 分钟内打开以下链接设置新密码：',
+        '',
+        '{link}',
+        '',
+        '该链接只能使用一次。如果这不是您本人的操作，请忽略这封邮件，您的密码不会改变。'
+      ].join('\n')
+    },
+    emailVerification: {
+      subject: '[{site}] 验证邮箱地址',
+      text: [
+        '{username}，您好：',
+        '',
+        '请在 {hours} 小时内打开以下链接，确认 {email} 是您在{site}使用的邮箱：',
+        '',
+        '{link}',
+        '',
+        '如果您没有注册账号或修改邮箱，请忽略这封邮件。'
+      ].join('\n')
+    }
+  },
+  en: {
+    passwordReset: {
+      subject: '[{site}] Reset your password',
+      text: [
+        'Hi {username},',
+        '',
+        'We received a request to reset the password of your {site} account. Open the link below within {minutes} minutes to choose a new password:',
+        '',
+        '{link}',
+        '',
+        'The link can only be used once. If you did not request this, you can ignore this email and your password will stay the same.'
+      ].join('\n')
+    },
+    emailVerification: {
+      subject: '[{site}] Verify your email address',
+      text: [
+        'Hi {username},',
+        '',
+        'Open the link below within {hours} hours to confirm that {email} is the email address of your {site} account:',
+        '',
+        '{link}',
+        '',
+        'If you did not sign up or change your email address, you can ignore this email.'
+      ].join('\n')
+    }
+  }
+};
+
+const interpolate = (template, params) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+
+/**
+* 按语言渲染邮件模板。
+* @param {string} name - 模板名称，例如 'passwordReset'
+* @param {object} [params] - 占位符参数
+* @param {string} [locale] - 目标语言 (语言标签，例如 'en-US')，不支持的语言使用 DEFAULT_LOCALE
+* @returns {{ subject: string, text: string }}
+* @throws {Error} 如果模板不存在
+*/
+export function renderTemplate(name, params = {}, locale = DEFAULT_LOCALE) {
+  const template = TEMPLATES[matchLocale(locale) || DEFAULT_LOCALE]?.[name] ?? TEMPLATES[SOURCE_LOCALE][name];
+  if (!template) throw new Error(`Unknown mail template: ${name}`);
+  return { subject: interpolate(template.subject, params), text: interpolate(template.text, params) };
+}
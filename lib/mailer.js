@@ -0,0 +1,79 @@
+// lib/mailer.js - 发送模板邮件
+// 发送方式由 CONFIG.MAIL.DRIVER 决定 (lib/mail/index.js)：生产环境配置 SMTP_HOST 使用 SMTP，
+// 本地开发和测试默认写入发件箱目录 (CONFIG.MAIL.OUTBOX_DIR)，不会真正发出邮件。
+// 邮件内容由 lib/mail/templates.js 按语言渲染，业务模块只需要提供模板名称、收件人和参数。
+import { logger, CONFIG } from './utils.js';
+import { createMailTransport } from './mail/index.js';
+import { renderTemplate } from './mail/templates.js';
+import { counter } from './metrics.js';
+
+logger.info('✅ lib/mailer.js 加载成功');
+
+const mailsSent = counter('mail_sent_total', 'Emails handed to the mail transport by template and outcome.', ['template', 'outcome']);
+
+let transport;
+
+function getTransport() {
+  if (!transport) {
+    const { DRIVER, OUTBOX_DIR, SMTP } = CONFIG.MAIL;
+    transport = createMailTransport(DRIVER, {
+      host: SMTP.HOST,
+      port: SMTP.PORT,
+      secure: SMTP.SECURE,
+      user: SMTP.USER,
+      pass: SMTP.PASS,
+      timeout: SMTP.TIMEOUT_MS,
+      dir: OUTBOX_DIR,
+      logger
+    });
+    logger.info(`[Mail] 邮件发送方式初始化成功 (driver: ${transport.name})`);
+  }
+  return transport;
+}
+
+/**
+* 检查邮件配置，用于就绪检查 (lib/health.js)。
+* @returns {{ driver: string, warnings: string[] }} - MAIL_OUTBOX：邮件只写入本地目录，不会真正发出；SMTP_HOST_MISSING：使用 SMTP 但没有配置服务器
+*/
+export function checkMailConfig() {
+  const driver = CONFIG.MAIL.DRIVER;
+  const warnings = [];
+  if (driver === 'outbox') warnings.push('MAIL_OUTBOX');
+  if (driver === 'smtp' && !CONFIG.MAIL.SMTP.HOST) warnings.push('SMTP_HOST_MISSING');
+  return { driver, warnings };
+}
+
+/**
+* 生成邮件中的链接：urlTemplate 中的 {token} 替换为令牌，没有占位符时追加 token 查询参数；未配置链接时只给出令牌本身。
+* @param {string|null} urlTemplate - 前端页面地址，例如 CONFIG.AUTH.PASSWORD_RESET_URL
+* @param {string} token - 令牌 (只包含 URL 安全的字符)
+* @returns {string}
+*/
+export function linkWithToken(urlTemplate, token) {
+  if (!urlTemplate) return token;
+  if (urlTemplate.includes('{token}')) return urlTemplate.replace('{token}', token);
+  return `${urlTemplate}${urlTemplate.includes('?') ? '&' : '?'}token=${token}`;
+}
+
+/**
+* 渲染模板并发送邮件。
+* @param {string} template - 模板名称 (lib/mail/templates.js 的 TEMPLATES)
+* @param {object} options
+* @param {string} options.to - 收件人邮箱
+* @param {object} [options.params] - 模板参数，{site} 默认为 CONFIG.MAIL.SITE_NAME
+* @param {string} [options.locale] - 邮件语言
+* @returns {Promise<{ messageId: string }>}
+* @throws {Error} 如果发送失败
+*/
+export async function sendTemplateMail(template, { to, params = {}, locale }) {
+  const { subject, text } = renderTemplate(template, { site: CONFIG.MAIL.SITE_NAME, ...params }, locale);
+  try {
+    const result = await getTransport().send({ from: CONFIG.MAIL.FROM, to, subject, text });
+    mailsSent.inc({ template, outcome: 'sent' });
+    return result;
+  } catch (error) {
+    mailsSent.inc({ template, outcome: 'failed' });
+    logger.error(`[Mail] 邮件发送失败 (template: ${template}, driver: ${CONFIG.MAIL.DRIVER})`, error);
+    throw error;
+  }
+}
@@ -0,0 +1,175 @@
+// lib/metrics.js - Prometheus 指标
+// 各模块在加载时用 counter() / histogram() 注册自己的指标并在运行时记录，GET /api/metrics 以 Prometheus 文本格式
+// (text/plain; version=0.0.4) 输出当前进程的全部指标。指标保存在进程内存中：独立运行 (npm start) 时可以直接让 Prometheus 抓取；
+// 部署在 Vercel 时每个函数实例各自计数，并且实例回收后清零，只适合粗略观察。
+// 标签值必须来自有限集合 (action 名称、状态码、操作类型等)，不能使用 postId、用户名等会无限增长的值。
+// 注意：lib/utils.js 依赖本模块 (数据库操作的指标)，因此本模块不能导入 utils.js。
+import { timingSafeEqual } from 'crypto';
+import { UnauthorizedError, toErrorResponse } from './errors.js';
+import { resolveLocale, translate } from './i18n.js';
+
+export const METRICS_PATH = '/api/metrics';
+
+// 默认的耗时分桶 (秒)，覆盖从内存存储 (亚毫秒) 到 Firebase 超时 (CONFIG.TIMEOUT = 8 秒) 的范围
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+function register(name, metric) {
+  if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) throw new TypeError(`Invalid metric name: ${name}`);
+  if (registry.has(name)) throw new Error(`Metric already registered: ${name}`);
+  registry.set(name, metric);
+  return metric;
+}
+
+// 按标签名顺序生成序列的键，未提供的标签记为空字符串
+const seriesKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map(label => String(labels[label] ?? '')));
+
+const escapeLabelValue = value => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = text => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+function formatLabels(labelNames, values, extra = []) {
+  const pairs = labelNames.map((label, index) => [label, values[index]]).concat(extra);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([label, value]) => `${label}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+const formatValue = value => (Number.isFinite(value) ? String(value) : value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN');
+
+/**
+* 注册计数器 (只增不减)。
+* @param {string} name - 指标名称，按惯例以 _total 结尾
+* @param {string} help - 说明
+* @param {string[]} [labelNames] - 标签名
+* @returns {{ inc: (labels?: object, value?: number) => void }}
+*/
+export function counter(name, help, labelNames = []) {
+  const series = new Map();
+  return register(name, {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+* 注册直方图，用于记录耗时等分布。
+* @param {string} name - 指标名称，耗时按惯例以 _seconds 结尾
+* @param {string} help - 说明
+* @param {string[]} [labelNames] - 标签名
+* @param {number[]} [buckets] - 分桶上界 (升序)，+Inf 自动添加
+* @returns {{ observe: (labels: object, value: number) => void, startTimer: (labels?: object) => (extraLabels?: object) => number }}
+*/
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map();
+
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: new Array(bounds.length).fill(0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      const index = bounds.findIndex(bound => value <= bound);
+      if (index !== -1) entry.counts[index]++;
+      entry.sum += value;
+      entry.count++;
+    },
+
+    /**
+    * 开始计时，调用返回的函数时记录经过的秒数。结束时才知道的标签 (例如状态码) 可以在结束时传入。
+    */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        metric.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${escapeHelp(help)}`, `# TYPE ${name} histogram`];
+      for (const [key, { counts, sum, count }] of series) {
+        const values = JSON.parse(key);
+        let cumulative = 0;
+        bounds.forEach((bound, index) => {
+          cumulative += counts[index];
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, [['le', formatValue(bound)]])} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, [['le', '+Inf']])} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+      }
+      return lines;
+    }
+  };
+  return register(name, metric);
+}
+
+// 进程启动时间，Prometheus 可以据此识别进程重启 (计数器清零)
+const startTime = Math.floor(Date.now() / 1000);
+register('process_start_time_seconds', {
+  render: () => [
+    '# HELP process_start_time_seconds Start time of the process since unix epoch in seconds.',
+    '# TYPE process_start_time_seconds gauge',
+    `process_start_time_seconds ${startTime}`
+  ]
+});
+
+/**
+* 以 Prometheus 文本格式输出所有已注册的指标。
+* @returns {string}
+*/
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) lines.push(...metric.render());
+  return `${lines.join('\n')}\n`;
+}
+
+function isAuthorized(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+* 处理 GET /api/metrics。配置了 token (METRICS_TOKEN) 时要求 Authorization: Bearer <token>。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {string} pathname - 请求路径
+* @param {object} [options]
+* @param {string|null} [options.token] - 访问令牌，为空时不校验
+* @returns {boolean} - 请求是否已被处理 (路径不是 /api/metrics 时返回 false)
+*/
+export function handleMetricsRequest(req, res, pathname, { token = null } = {}) {
+  if (pathname !== METRICS_PATH) return false;
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const message = translate('METHOD_NOT_ALLOWED', { method: req.method }, resolveLocale(req));
+    res.writeHead(405, { 'Content-Type': 'application/json', Allow: 'GET, HEAD' });
+    res.end(JSON.stringify({ success: false, code: 'METHOD_NOT_ALLOWED', message }));
+    return true;
+  }
+  if (token && !isAuthorized(req, token)) {
+    const { status, payload } = toErrorResponse(new UnauthorizedError(), resolveLocale(req));
+    res.writeHead(status, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+    res.end(JSON.stringify(payload));
+    return true;
+  }
+
+  const body = renderMetrics();
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(req.method === 'HEAD' ? undefined : body);
+  return true;
+}
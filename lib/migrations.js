@@ -0,0 +1,236 @@
+// lib/migrations.js - 数据版本迁移
+// 数据库中的 _meta/schemaVersion 记录当前数据版本，MIGRATIONS 按版本号顺序列出所有升级步骤。
+// 每个迁移只描述要做的修改 (ctx.set / ctx.remove)，由运行器统一执行：
+//   - 正式运行时，每个迁移的全部修改连同新版本号在一次多路径写入中原子提交；
+//   - dry-run 时只返回修改清单，不写入任何数据。
+import {
+  read, multiPathUpdate, initStorage, logger, validateInput
+} from './utils.js';
+import { isRole, DEFAULT_ROLE } from './permissions.js';
+
+export const SCHEMA_VERSION_PATH = '_meta/schemaVersion';
+const MIGRATION_LOG_PATH = '_meta/migrations';
+
+logger.info('✅ lib/migrations.js 加载成功');
+
+// ====================================================================
+// 迁移定义
+// ====================================================================
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 评论节点必须包含 parentId，用于跳过 comments/{postId}/metadata 这类非评论节点
+const isCommentNode = value => isPlainObject(value) && typeof value.parentId === 'string';
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'rename-user-password-hash',
+    description: '用户密码哈希字段由 passwordHash 更名为 password',
+    async up(ctx) {
+      const users = await ctx.read('users') || {};
+      for (const [username, user] of Object.entries(users)) {
+        if (!isPlainObject(user) || user.passwordHash === undefined) continue;
+        if (!user.password) {
+          ctx.set(`users/${username}/password`, user.passwordHash, 'passwordHash -> password');
+        }
+        ctx.remove(`users/${username}/passwordHash`, '删除旧字段 passwordHash');
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'remove-comment-floor-counter',
+    description: '删除旧版楼层计数器节点 comments/{postId}/metadata',
+    async up(ctx) {
+      const posts = await ctx.read('comments') || {};
+      for (const [postId, comments] of Object.entries(posts)) {
+        const metadata = isPlainObject(comments) ? comments.metadata : null;
+        if (isPlainObject(metadata) && !isCommentNode(metadata)) {
+          ctx.remove(`comments/${postId}/metadata`, `楼层计数器 (counter: ${metadata.floorCounter?.counter ?? 'n/a'})`);
+        }
+      }
+    }
+  },
+  {
+    version: 3,
+    name: 'backfill-comment-floor',
+    description: '为缺少楼层号的顶层评论按创建时间补齐 floor',
+    async up(ctx) {
+      const posts = await ctx.read('comments') || {};
+      for (const [postId, comments] of Object.entries(posts)) {
+        const topLevel = Object.values(comments || {})
+          .filter(comment => isCommentNode(comment) && comment.parentId === '0' && comment.id)
+          .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+        let nextFloor = Math.max(0, ...topLevel.map(comment => (typeof comment.floor === 'number' ? comment.floor : 0))) + 1;
+        for (const comment of topLevel) {
+          if (typeof comment.floor === 'number' && comment.floor >= 1) continue;
+          ctx.set(`comments/${postId}/${comment.id}/floor`, nextFloor, `floor = ${nextFloor}`);
+          nextFloor++;
+        }
+      }
+    }
+  },
+  {
+    version: 4,
+    name: 'nest-comment-likes',
+    description: '评论点赞记录由 commentLikes/{username}_{postId}_{commentId} 改为 commentLikes/{postId}/{username}/{commentId}',
+    async up(ctx) {
+      const likes = await ctx.read('commentLikes') || {};
+      const posts = await ctx.read('comments') || {};
+      for (const [key, record] of Object.entries(likes)) {
+        // 新格式的第一层是 postId，其下是用户名节点；旧格式的值是包含 createdAt 的点赞记录
+        if (!isPlainObject(record) || !record.createdAt) continue;
+
+        const { username, postId, commentId } = record;
+        ctx.remove(`commentLikes/${key}`, '删除旧格式点赞记录');
+        if (!username || !validateInput(postId, 'id') || !validateInput(commentId, 'id')) {
+          ctx.note(`无法解析的点赞记录已丢弃 (key: ${key})`);
+          continue;
+        }
+        if (!isCommentNode(posts[postId]?.[commentId])) {
+          ctx.note(`评论已不存在，点赞记录已丢弃 (key: ${key})`);
+          continue;
+        }
+        ctx.set(`commentLikes/${postId}/${username}/${commentId}`, record, `由 ${key} 迁移`);
+      }
+    }
+  },
+  {
+    version: 5,
+    name: 'assign-user-roles',
+    description: '管理员权限由 CONFIG.ADMIN_USERNAME 改为用户的 role 字段：原管理员账号设为 admin，缺少或无效的 role 设为 user',
+    async up(ctx) {
+      const LEGACY_ADMIN_USERNAME = 'yolialisproxy'; // 原 CONFIG.ADMIN_USERNAME
+      const users = await ctx.read('users') || {};
+      for (const [username, user] of Object.entries(users)) {
+        if (!isPlainObject(user)) continue;
+        if (username === LEGACY_ADMIN_USERNAME) {
+          if (user.role !== 'admin') ctx.set(`users/${username}/role`, 'admin', `原 ADMIN_USERNAME，${user.role ?? '无角色'} -> admin`);
+        } else if (!isRole(user.role)) {
+          ctx.set(`users/${username}/role`, DEFAULT_ROLE, `${user.role ?? '无角色'} -> ${DEFAULT_ROLE}`);
+        }
+      }
+      if (!users[LEGACY_ADMIN_USERNAME]) {
+        ctx.note(`原管理员账号 ${LEGACY_ADMIN_USERNAME} 不存在，请用 npm run set-role -- <username> admin 指定管理员`);
+      }
+    }
+  },
+  {
+    version: 6,
+    name: 'index-usernames',
+    description: '建立不区分大小写的用户名索引 usernames/{小写的用户名} (lib/users.js)',
+    async up(ctx) {
+      const users = await ctx.read('users') || {};
+      const index = await ctx.read('usernames') || {};
+      for (const username of Object.keys(users).sort()) {
+        if (!isPlainObject(users[username])) continue;
+        const key = username.toLowerCase();
+        if (index[key] === undefined) {
+          index[key] = username;
+          ctx.set(`usernames/${key}`, username, username);
+        } else if (index[key] !== username) {
+          ctx.note(`用户名只有大小写不同，索引保留 ${index[key]} (同时存在: ${username})`);
+        }
+      }
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ====================================================================
+// 运行器
+// ====================================================================
+
+/**
+* 读取数据库当前的数据版本，未记录时为 0。
+* @returns {Promise<number>}
+*/
+export async function getSchemaVersion() {
+  initStorage();
+  const version = await read(SCHEMA_VERSION_PATH);
+  return typeof version === 'number' ? version : 0;
+}
+
+function createContext() {
+  const updates = {};
+  const changes = [];
+  const notes = [];
+  return {
+    updates,
+    changes,
+    notes,
+    read: path => read(path),
+    set(path, value, description = '') {
+      updates[path] = value;
+      changes.push({ action: 'set', path, description });
+    },
+    remove(path, description = '') {
+      updates[path] = null;
+      changes.push({ action: 'remove', path, description });
+    },
+    note(message) {
+      notes.push(message);
+    }
+  };
+}
+
+/**
+* 依次执行所有未应用的迁移。
+* 注意：dry-run 时每个迁移都基于当前数据计算，看不到前面迁移尚未写入的修改。
+* @param {object} [options]
+* @param {boolean} [options.dryRun=false] - 只生成报告，不写入数据
+* @param {number} [options.targetVersion] - 升级到的目标版本，默认最新版本
+* @returns {Promise<object>} - 迁移报告 { fromVersion, toVersion, dryRun, migrations: [...] }
+* @throws {Error} 如果目标版本无效或迁移失败
+*/
+export async function runMigrations({ dryRun = false, targetVersion = LATEST_SCHEMA_VERSION } = {}) {
+  if (!Number.isInteger(targetVersion) || targetVersion < 0 || targetVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(`Invalid target schema version: ${targetVersion} (latest: ${LATEST_SCHEMA_VERSION})`);
+  }
+
+  const fromVersion = await getSchemaVersion();
+  if (fromVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${fromVersion} is newer than this code (latest: ${LATEST_SCHEMA_VERSION}).`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion && migration.version <= targetVersion);
+  const report = { fromVersion, toVersion: fromVersion, dryRun, migrations: [] };
+
+  for (const migration of pending) {
+    const ctx = createContext();
+    try {
+      await migration.up(ctx);
+      if (!dryRun) {
+        await multiPathUpdate({
+          ...ctx.updates,
+          [SCHEMA_VERSION_PATH]: migration.version,
+          [`${MIGRATION_LOG_PATH}/${migration.version}`]: {
+            name: migration.name,
+            appliedAt: new Date().toISOString(),
+            changeCount: ctx.changes.length
+          }
+        });
+        report.toVersion = migration.version;
+      }
+    } catch (error) {
+      logger.error(`[Migrations] 迁移失败 (version: ${migration.version}, name: ${migration.name})`, { error: error.message });
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+
+    logger.info(`[Migrations] ${dryRun ? '[dry-run] ' : ''}迁移 ${migration.version} (${migration.name}): ${ctx.changes.length} 项修改`);
+    report.migrations.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      changeCount: ctx.changes.length,
+      changes: ctx.changes,
+      notes: ctx.notes
+    });
+  }
+
+  if (dryRun && pending.length > 0) report.toVersion = pending[pending.length - 1].version;
+  return report;
+}
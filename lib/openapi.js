@@ -0,0 +1,428 @@
+// lib/openapi.js - 由 action 注册表和 REST 路由表生成 OpenAPI 3 文档
+// 文档完全从 lib/actions.js 的 ACTIONS 和 lib/rest.js 的 ROUTES 推导，新增或修改接口后无需手动维护。
+// 服务地址 GET /api/openapi.json。
+import fs from 'fs';
+import { logger, CONFIG } from './utils.js';
+import { ACTIONS } from './actions.js';
+
+logger.info('✅ lib/openapi.js 加载成功');
+
+const packageInfo = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const STATUS_DESCRIPTIONS = {
+  400: '参数无效 (errors 列出字段级错误)',
+  401: '未登录、访问令牌无效或已过期，或凭据不正确',
+  403: '无权限',
+  404: '资源不存在',
+  409: '资源已存在',
+  413: '请求过大',
+  429: '请求过于频繁 (Retry-After 为建议的等待秒数)',
+  500: '服务器内部错误',
+  503: '存储等依赖服务暂时不可用'
+};
+
+// ====================================================================
+// Schema 转换
+// ====================================================================
+
+/**
+* 把 action 的参数 schema 转换为 JSON Schema。
+* @param {object} fieldSchema - 单个参数的 schema
+* @returns {object} - JSON Schema
+*/
+export function paramToJsonSchema(fieldSchema) {
+  const type = fieldSchema.type || 'string';
+  const schema = {};
+  if (type === 'object') {
+    if (fieldSchema.fields) return { ...paramsToObjectSchema(fieldSchema.fields), additionalProperties: false };
+    schema.type = 'object';
+  } else if (type === 'integer' || type === 'boolean') {
+    schema.type = type;
+    if (fieldSchema.min !== undefined) schema.minimum = fieldSchema.min;
+    if (fieldSchema.max !== undefined) schema.maximum = fieldSchema.max;
+  } else {
+    schema.type = 'string';
+    const rule = { ...(fieldSchema.rule ? CONFIG.COMMENT_VALIDATION[fieldSchema.rule] : {}), ...fieldSchema };
+    if (rule.min) schema.minLength = rule.min;
+    if (rule.max) schema.maxLength = rule.max;
+    const pattern = rule.pattern || rule.regex;
+    if (pattern) schema.pattern = pattern.source;
+    if (fieldSchema.rule === 'email') schema.format = 'email';
+  }
+  if (fieldSchema.default !== undefined) schema.default = fieldSchema.default;
+  return schema;
+}
+
+function paramsToObjectSchema(params, omit = []) {
+  const properties = {};
+  const required = [];
+  for (const [name, fieldSchema] of Object.entries(params)) {
+    if (omit.includes(name)) continue;
+    properties[name] = paramToJsonSchema(fieldSchema);
+    if (fieldSchema.required) required.push(name);
+  }
+  const schema = { type: 'object', properties };
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+function successResponse(description = '成功', dataSchema = {}) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          allOf: [
+            { $ref: '#/components/schemas/SuccessResponse' },
+            { type: 'object', properties: { data: dataSchema } }
+          ]
+        }
+      }
+    }
+  };
+}
+
+const requiresAuth = definition => !!definition.auth && definition.auth !== 'none';
+
+// 需要登录的 action 的 username 由访问令牌确定，文档中不列出
+const actingUserParams = definitions => (definitions.some(requiresAuth) ? ['username'] : []);
+
+// 需要登录时要求 Bearer 访问令牌 (components.securitySchemes.bearerAuth)
+const securityFor = definitions => (definitions.some(requiresAuth) ? { security: [{ bearerAuth: [] }] } : {});
+
+// 汇总一组 action 可能返回的错误状态码
+function errorResponses(definitions, extraStatuses = []) {
+  const statuses = new Set([400, 500, 503, ...extraStatuses]);
+  for (const definition of definitions) {
+    if (requiresAuth(definition)) statuses.add(401);
+    // 角色没有所需权限 (PERMISSION_DENIED)，或 username 参数不是当前用户 (USER_MISMATCH)
+    if (definition.permission || (requiresAuth(definition) && definition.params.username)) statuses.add(403);
+    if (definition.rateLimit) statuses.add(429);
+    for (const status of definition.errors || []) statuses.add(status);
+  }
+  const responses = {};
+  for (const status of [...statuses].sort((a, b) => a - b)) {
+    responses[status] = { $ref: `#/components/responses/Error${status}` };
+  }
+  return responses;
+}
+
+// ====================================================================
+// 路径生成
+// ====================================================================
+
+function actionOperations() {
+  const paths = {};
+  for (const [name, definition] of Object.entries(ACTIONS)) {
+    const [type] = name.split('.');
+    paths[`/api/actions/${name}`] = {
+      post: {
+        operationId: name.replace('.', '_'),
+        tags: [type],
+        summary: definition.description,
+        description: `认证：${definition.auth}${definition.permission ? `，权限：${definition.permission}` : ''}，限流类别：${definition.rateLimit}。也可以通过 /api 的 { type: '${type}', action: '${name.slice(type.length + 1)}' } 信封格式调用。`,
+        ...securityFor([definition]),
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: paramsToObjectSchema(definition.params, actingUserParams([definition])) } }
+        },
+        responses: { 200: successResponse(), ...errorResponses([definition]) }
+      }
+    };
+  }
+  return paths;
+}
+
+// '/api/posts/:postId/comments' -> '/api/posts/{postId}/comments'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function routeOperation(route) {
+  const { doc } = route;
+  const definitions = doc.actions.map(name => ACTIONS[name]);
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  // 所有 action 的参数合并后，路径参数之外的部分：GET/DELETE 放在查询参数中，其他方法放在请求体中
+  const params = Object.assign({}, ...definitions.map(definition => definition.params));
+  for (const name of actingUserParams(definitions)) {
+    if (!pathParams.includes(name)) delete params[name];
+  }
+  const parameters = pathParams.map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: params[name] ? paramToJsonSchema(params[name]) : { type: 'string' }
+  }));
+
+  const operation = {
+    tags: [doc.tag || doc.actions[0]?.split('.')[0] || 'batch'],
+    summary: doc.summary,
+    ...(doc.requestSchema === 'BatchRequest' ? { security: OPTIONAL_AUTH } : securityFor(definitions)),
+    parameters
+  };
+
+  if (doc.requestSchema) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: { $ref: `#/components/schemas/${doc.requestSchema}` } } } };
+  } else if (doc.bodyParam) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: paramToJsonSchema(params[doc.bodyParam]) } } };
+  } else if (route.method === 'GET' || route.method === 'DELETE') {
+    for (const [name, fieldSchema] of Object.entries(params)) {
+      if (pathParams.includes(name)) continue;
+      // 组合多个 action 的 GET 路由中，只有第一个 action 的参数是必填的
+      const required = route.method === 'DELETE' || Object.hasOwn(definitions[0].params, name) ? !!fieldSchema.required : false;
+      parameters.push({ name, in: 'query', required, schema: paramToJsonSchema(fieldSchema) });
+    }
+  } else {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: paramsToObjectSchema(params, pathParams) } }
+    };
+  }
+
+  const status = doc.status || 200;
+  const dataSchema = doc.responseSchema ? { $ref: `#/components/schemas/${doc.responseSchema}` } : {};
+  operation.responses = status === 204
+    ? { 204: { description: '成功，无响应体' } }
+    : { [status]: successResponse('成功', dataSchema) };
+  if (status === 201 && route.method === 'PUT') operation.responses[200] = successResponse('资源已存在，未做修改');
+  if (route.method === 'GET' && definitions[0]?.httpCache) {
+    // 声明了 httpCache 的只读 action 支持条件请求 (lib/httpcache.js)
+    parameters.push(
+      { name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' } },
+      { name: 'If-Modified-Since', in: 'header', required: false, schema: { type: 'string' } }
+    );
+    operation.responses[304] = { description: '资源未变化 (ETag 或 Last-Modified 与请求匹配)，没有响应体' };
+  }
+  Object.assign(operation.responses, errorResponses(definitions, doc.requestSchema === 'BatchRequest' ? [413] : []));
+  return operation;
+}
+
+// ====================================================================
+// 文档
+// ====================================================================
+
+const COMPONENTS = {
+  schemas: {
+    SuccessResponse: {
+      type: 'object',
+      required: ['success', 'data'],
+      properties: { success: { type: 'boolean', enum: [true] }, data: {} }
+    },
+    ErrorResponse: {
+      type: 'object',
+      required: ['success', 'code', 'message'],
+      properties: {
+        success: { type: 'boolean', enum: [false] },
+        code: { type: 'string', description: '稳定的错误码，例如 COMMENT_NOT_FOUND、USERNAME_TAKEN' },
+        message: { type: 'string' },
+        errors: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } }
+      }
+    },
+    FieldError: {
+      type: 'object',
+      required: ['field', 'code', 'message'],
+      properties: { field: { type: 'string' }, code: { type: 'string', description: '字段错误码，例如 FIELD_REQUIRED、FIELD_LENGTH' }, message: { type: 'string' } }
+    },
+    Envelope: {
+      type: 'object',
+      required: ['type', 'action'],
+      properties: {
+        type: { type: 'string', enum: [...new Set(Object.keys(ACTIONS).map(name => name.split('.')[0]))] },
+        action: { type: 'string' }
+      },
+      additionalProperties: true
+    },
+    JsonRpcRequest: {
+      type: 'object',
+      required: ['jsonrpc', 'method'],
+      properties: {
+        jsonrpc: { type: 'string', enum: ['2.0'] },
+        method: { type: 'string', enum: Object.keys(ACTIONS) },
+        params: { type: 'object' },
+        id: { oneOf: [{ type: 'string' }, { type: 'number' }], nullable: true }
+      }
+    },
+    JsonRpcResponse: {
+      type: 'object',
+      required: ['jsonrpc', 'id'],
+      properties: {
+        jsonrpc: { type: 'string', enum: ['2.0'] },
+        result: {},
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: { code: { type: 'integer' }, message: { type: 'string' }, data: {} }
+        },
+        id: { oneOf: [{ type: 'string' }, { type: 'number' }], nullable: true }
+      }
+    },
+    BatchRequest: {
+      type: 'object',
+      required: ['operations'],
+      properties: {
+        operations: {
+          type: 'array',
+          minItems: 1,
+          maxItems: CONFIG.BATCH.MAX_OPERATIONS,
+          items: {
+            type: 'object',
+            required: ['type', 'action'],
+            properties: { type: { type: 'string' }, action: { type: 'string' }, params: { type: 'object' } }
+          }
+        }
+      }
+    },
+    Liveness: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ok'] },
+        version: { type: 'string' },
+        uptime: { type: 'integer', description: '进程运行的秒数' }
+      }
+    },
+    Readiness: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ready', 'not_ready'], description: '各项检查的结果和配置警告只写入服务端日志' }
+      }
+    },
+    BatchResults: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['success'],
+        properties: {
+          success: { type: 'boolean' },
+          data: {},
+          status: { type: 'integer' },
+          code: { type: 'string' },
+          message: { type: 'string' },
+          errors: { type: 'array', items: { $ref: '#/components/schemas/FieldError' } }
+        }
+      }
+    }
+  },
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'user.login (POST /api/sessions) 返回的 accessToken' }
+  },
+  responses: Object.fromEntries(Object.entries(STATUS_DESCRIPTIONS).map(([status, description]) => [
+    `Error${status}`,
+    { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+  ]))
+};
+
+// 信封格式和 JSON-RPC 可以调用任意 action，访问令牌是否必需取决于具体的 action
+const OPTIONAL_AUTH = [{}, { bearerAuth: [] }];
+
+let cachedSpec = null;
+
+/**
+* 生成 OpenAPI 3 文档 (结果在进程内缓存)。
+* @param {object} options
+* @param {Array<object>} options.routes - lib/rest.js 的 ROUTES
+* @returns {object} - OpenAPI 文档
+*/
+export function buildOpenApiSpec({ routes }) {
+  if (cachedSpec) return cachedSpec;
+
+  const paths = {
+    '/api': {
+      get: {
+        operationId: 'envelope_get',
+        tags: ['envelope'],
+        security: OPTIONAL_AUTH,
+        summary: '信封格式 (查询参数)：type、action 及对应 action 的参数',
+        parameters: [
+          { name: 'type', in: 'query', required: true, schema: COMPONENTS.schemas.Envelope.properties.type },
+          { name: 'action', in: 'query', required: true, schema: { type: 'string' } }
+        ],
+        responses: { 200: successResponse(), ...errorResponses(Object.values(ACTIONS)) }
+      },
+      post: {
+        operationId: 'envelope_post',
+        tags: ['envelope'],
+        security: OPTIONAL_AUTH,
+        summary: '信封格式 (请求体)：{ data: { type, action, ...params } }，各 action 的参数见 /api/actions/{type}.{action}',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['data'], properties: { data: { $ref: '#/components/schemas/Envelope' } } }
+            }
+          }
+        },
+        responses: { 200: successResponse(), ...errorResponses(Object.values(ACTIONS)) }
+      }
+    },
+    '/api/rpc': {
+      post: {
+        operationId: 'jsonrpc',
+        tags: ['jsonrpc'],
+        security: OPTIONAL_AUTH,
+        summary: 'JSON-RPC 2.0：method 为 action 名称，params 为参数对象；支持批量数组和通知',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                oneOf: [
+                  { $ref: '#/components/schemas/JsonRpcRequest' },
+                  { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/JsonRpcRequest' } }
+                ]
+              }
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'JSON-RPC 响应 (批量请求时为数组)',
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { $ref: '#/components/schemas/JsonRpcResponse' },
+                    { type: 'array', items: { $ref: '#/components/schemas/JsonRpcResponse' } }
+                  ]
+                }
+              }
+            }
+          },
+          204: { description: '请求全部是通知，没有响应' }
+        }
+      }
+    },
+    '/api/metrics': {
+      get: {
+        operationId: 'metrics',
+        tags: ['operations'],
+        summary: 'Prometheus 指标 (文本格式)；设置了 METRICS_TOKEN 时需要 Authorization: Bearer <token>',
+        responses: {
+          200: { description: 'Prometheus 文本格式 (version 0.0.4)', content: { 'text/plain': { schema: { type: 'string' } } } },
+          401: { $ref: '#/components/responses/Error401' }
+        }
+      }
+    },
+    ...actionOperations()
+  };
+
+  for (const route of routes) {
+    if (!route.doc || route.doc.hidden) continue;
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = routeOperation(route);
+  }
+
+  cachedSpec = {
+    openapi: '3.0.3',
+    info: {
+      title: `${packageInfo.name} comment API`,
+      version: packageInfo.version,
+      description: '评论、点赞和用户接口。所有响应的格式为 { success: true, data } 或 { success: false, code, message, errors? }。' +
+        '错误消息的语言由查询参数 locale 或 Accept-Language 头决定 (zh-CN、en)。' +
+        '需要登录的接口使用 Authorization: Bearer <accessToken>，当前用户由访问令牌确定。'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: COMPONENTS
+  };
+  return cachedSpec;
+}
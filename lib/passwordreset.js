@@ -0,0 +1,183 @@
+// lib/passwordreset.js - 找回密码
+// user.requestPasswordReset 按邮箱查找账号，生成一次性的重置令牌并通过邮件 (lib/mailer.js) 发送重置链接；
+// user.resetPassword 用令牌设置新密码，成功后吊销该用户的所有会话。
+// 令牌只出现在邮件中，存储的 passwordResets/{username} 只保存其随机部分的 SHA-256 哈希和过期时间。每个用户同时只有一个有效令牌，
+// 重新申请会使之前的令牌失效，令牌使用一次后即删除。
+// 无论邮箱是否注册、邮件是否发出，requestPasswordReset 的响应都相同，不能用来探测某个邮箱是否注册过；
+// 邮件发送完成后才响应 (Serverless 函数响应之后可能被冻结，不能把发送留到响应之后)，
+// 响应时间补足到 CONFIG.AUTH.PASSWORD_RESET_MIN_RESPONSE_MS，同样不会暴露邮箱是否注册。
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import bcrypt from 'bcryptjs';
+import {
+  read, write, query, transaction, logger, validateInput, CONFIG,
+  ApiError, ValidationError
+} from './utils.js';
+import { translate, matchLocale, DEFAULT_LOCALE } from './i18n.js';
+import { revokeAllSessions } from './sessions.js';
+import { sendTemplateMail, linkWithToken } from './mailer.js';
+import { counter } from './metrics.js';
+
+logger.info('✅ lib/passwordreset.js 加载成功');
+
+export const PASSWORD_RESETS_PATH = 'passwordResets';
+
+// 同一邮箱注册了多个账号时，最多为其中这么多个账号发送重置邮件
+const MAX_ACCOUNTS_PER_EMAIL = 5;
+
+const passwordResets = counter('password_reset_total', 'Password reset requests and attempts by outcome.', ['outcome']);
+
+const resetPath = username => `${PASSWORD_RESETS_PATH}/${username}`;
+
+const hashSecret = secret => createHash('sha256').update(secret).digest('base64url');
+
+function secretMatches(storedHash, secret) {
+  const expected = Buffer.from(storedHash || '');
+  const actual = Buffer.from(hashSecret(secret));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+const isResetRecord = value => value !== null && typeof value === 'object' && typeof value.tokenHash === 'string';
+const isExpired = (record, now = Date.now()) => !(Date.parse(record.expiresAt) > now);
+
+// 重置令牌为 {base64url(用户名)}.{随机串}，用户名用于定位记录，随机串用于校验
+function parseResetToken(token) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 2 || segments.some(segment => !/^[\w-]+$/.test(segment))) return null;
+  const [encodedUsername, secret] = segments;
+  const username = Buffer.from(encodedUsername, 'base64url').toString('utf8');
+  // 用户名会拼接成存储路径，必须先校验格式，否则伪造的令牌 (例如用户名为 "alice/tokenHash") 可以删除任意节点
+  return validateInput(username, 'username') ? { username, secret } : null;
+}
+
+// 生成新令牌并替换该用户之前的令牌；距上次生成不足 CONFIG.AUTH.PASSWORD_RESET_INTERVAL 时不生成 (返回 null)，避免邮件轰炸
+async function issueResetToken(username) {
+  const secret = randomBytes(32).toString('base64url');
+  let issued = false;
+  await transaction(resetPath(username), current => {
+    const now = Date.now();
+    if (isResetRecord(current) && now - Date.parse(current.createdAt) < CONFIG.AUTH.PASSWORD_RESET_INTERVAL * 1000) {
+      issued = false;
+      return current;
+    }
+    issued = true;
+    return {
+      tokenHash: hashSecret(secret),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CONFIG.AUTH.PASSWORD_RESET_TTL * 1000).toISOString()
+    };
+  });
+  return issued ? `${Buffer.from(username).toString('base64url')}.${secret}` : null;
+}
+
+// 为使用该邮箱的账号生成令牌并发送重置邮件；单个账号失败不影响其他账号，查找账号失败时同样只记录日志
+async function deliverResetEmails(email, locale) {
+  let accounts;
+  try {
+    accounts = (await query('users', { where: { email } }))
+      .filter(({ value }) => value && typeof value === 'object' && !value.banned)
+      .slice(0, MAX_ACCOUNTS_PER_EMAIL);
+  } catch (error) {
+    passwordResets.inc({ outcome: 'failed' });
+    logger.error('[PasswordReset] 查找账号失败', error);
+    return;
+  }
+
+  for (const { key: username } of accounts) {
+    try {
+      const token = await issueResetToken(username);
+      if (!token) {
+        passwordResets.inc({ outcome: 'throttled' });
+        logger.info(`[PasswordReset] 距上次申请时间过短，不再发送邮件 (username: ${username})`);
+        continue;
+      }
+      await sendTemplateMail('passwordReset', {
+        to: email,
+        locale,
+        params: { username, link: linkWithToken(CONFIG.AUTH.PASSWORD_RESET_URL, token), minutes: Math.round(CONFIG.AUTH.PASSWORD_RESET_TTL / 60) }
+      });
+      passwordResets.inc({ outcome: 'requested' });
+      logger.info(`[PasswordReset] 重置邮件已发送 (username: ${username})`);
+    } catch (error) {
+      // 发送失败同样返回相同的响应，否则可以据此判断邮箱已注册
+      passwordResets.inc({ outcome: 'failed' });
+      logger.error(`[PasswordReset] 发送重置邮件失败 (username: ${username})`, error);
+    }
+  }
+}
+
+/**
+* 申请重置密码：为使用该邮箱的账号发送包含一次性重置链接的邮件。
+* 响应不说明邮箱是否注册，也不说明邮件是否发出 (被封禁的账号、发送间隔内的重复申请和发送失败都不会体现在响应中)；
+* 邮件发送完成后响应，响应时间补足到 CONFIG.AUTH.PASSWORD_RESET_MIN_RESPONSE_MS。
+* @param {object} data
+* @param {string} data.email - 注册时使用的邮箱
+* @param {string} [data.locale] - 邮件和响应消息的语言，默认使用 DEFAULT_LOCALE
+* @returns {Promise<{ success: true, message: string }>}
+*/
+export async function requestPasswordReset({ email, locale }) {
+  const startedAt = Date.now();
+  await deliverResetEmails(email, locale);
+  const remaining = CONFIG.AUTH.PASSWORD_RESET_MIN_RESPONSE_MS - (Date.now() - startedAt);
+  if (remaining > 0) {
+    await new Promise(resolve => setTimeout(resolve, remaining));
+  } else {
+    logger.warn('[PasswordReset] 发送重置邮件的耗时超过最短响应时间，响应时间可能暴露邮箱是否注册', { elapsedMs: Date.now() - startedAt });
+  }
+  return { success: true, message: translate('PASSWORD_RESET_REQUESTED', {}, matchLocale(locale) || DEFAULT_LOCALE) };
+}
+
+/**
+* 用重置令牌设置新密码。令牌随即失效，该用户的所有会话被吊销，需要用新密码重新登录。
+* @param {object} data
+* @param {string} data.token - 重置邮件中的令牌
+* @param {string} data.password - 新密码
+* @returns {Promise<{ success: true, username: string }>}
+* @throws {ValidationError} 如果令牌无效或已使用 (INVALID_RESET_TOKEN)、已过期 (RESET_TOKEN_EXPIRED)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function resetPassword({ token, password }) {
+  const parsed = parseResetToken(token);
+  if (!parsed) {
+    passwordResets.inc({ outcome: 'invalid' });
+    throw new ValidationError('INVALID_RESET_TOKEN');
+  }
+  const { username, secret } = parsed;
+
+  try {
+    // 令牌匹配时删除记录 (只能使用一次)，过期时顺便删除；记录不存在或令牌不匹配时原样写回，猜测令牌不会影响用户真正收到的链接。
+    // 与 lib/sessions.js 相同，更新函数不能返回 undefined (Firebase 可能先用缓存的 null 调用)
+    let outcome;
+    await transaction(resetPath(username), current => {
+      if (!isResetRecord(current)) {
+        outcome = 'invalid';
+        return current;
+      }
+      if (isExpired(current)) {
+        outcome = 'expired';
+        return null;
+      }
+      if (!secretMatches(current.tokenHash, secret)) {
+        outcome = 'invalid';
+        return current;
+      }
+      outcome = 'reset';
+      return null;
+    });
+
+    const user = outcome === 'reset' ? await read(`users/${username}`) : null;
+    if (outcome === 'reset' && !user) outcome = 'invalid'; // 申请后用户已被删除
+    passwordResets.inc({ outcome });
+    if (outcome === 'expired') throw new ValidationError('RESET_TOKEN_EXPIRED');
+    if (outcome !== 'reset') throw new ValidationError('INVALID_RESET_TOKEN');
+
+    await write(`users/${username}`, { password: await bcrypt.hash(password, 10) }, { method: 'update' });
+    await revokeAllSessions({ username });
+
+    logger.info(`[PasswordReset] 密码已重置 (username: ${username})`);
+    return { success: true, username };
+  } catch (error) {
+    logger.error(`[PasswordReset] resetPassword: 重置密码失败 (username: ${username}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to reset password.');
+  }
+}
@@ -0,0 +1,72 @@
+// lib/permissions.js - 角色与权限
+// 用户记录的 role 字段是 ROLES 中的一个角色，PERMISSIONS 矩阵决定每个权限授予哪些角色。
+// lib/ 中的授权判断都通过 can / requirePermission 完成：action 在注册表中声明 permission (lib/actions.js)，
+// 需要结合数据判断的场景 (例如只能编辑自己的评论，除非有 comment.editAny) 由业务函数调用 can。
+// 匿名请求的角色为 guest；被封禁的用户不能登录，已有的会话在封禁时全部吊销 (lib/users.js 的 banUser)。
+import { read, logger, ForbiddenError } from './utils.js';
+
+logger.info('✅ lib/permissions.js 加载成功');
+
+// 按权限从低到高排列，排名用于判断能否封禁对方 (只能封禁排名低于自己的用户)
+export const ROLES = ['guest', 'user', 'trusted', 'moderator', 'admin'];
+export const DEFAULT_ROLE = 'user';
+
+// trusted 与 user 的区别是邮箱未验证时发表的评论也不需要审核
+export const PERMISSIONS = {
+  'comment.editOwn': ['user', 'trusted', 'moderator', 'admin'], // 编辑自己的评论
+  'comment.deleteOwn': ['user', 'trusted', 'moderator', 'admin'], // 删除自己的评论
+  'like.write': ['user', 'trusted', 'moderator', 'admin'], // 点赞和取消点赞
+  'comment.bypassModeration': ['trusted', 'moderator', 'admin'], // 邮箱未验证时不受 CONFIG.AUTH.UNVERIFIED_COMMENTS 限制
+  'comment.editAny': ['moderator', 'admin'], // 编辑任何人的评论
+  'comment.deleteAny': ['moderator', 'admin'], // 删除任何人的评论
+  'comment.pin': ['moderator', 'admin'], // 置顶和取消置顶评论
+  'comment.approve': ['moderator', 'admin'], // 查看和批准待审核的评论
+  'comment.recomputeLikes': ['moderator', 'admin'], // 重新计算评论树的总赞数 (递归读写整棵子树，不对普通用户开放)
+  'user.ban': ['moderator', 'admin'], // 封禁和解封用户
+  'user.viewPrivate': ['moderator', 'admin'], // 查看其他用户的完整资料 (邮箱、角色、封禁和邮箱验证状态)
+  'user.manage': ['admin'] // 授予/撤销角色，修改、删除其他用户及管理其会话
+};
+
+export const isRole = value => ROLES.includes(value);
+
+// 历史数据中缺少 role 或取值未知的用户按 DEFAULT_ROLE 处理
+export const normalizeRole = value => (isRole(value) ? value : DEFAULT_ROLE);
+
+export const roleRank = role => ROLES.indexOf(normalizeRole(role));
+
+/**
+* 判断用户是否拥有某个权限。
+* @param {{ role?: string }|null} user - 当前用户，匿名请求为 null (按 guest 处理)
+* @param {string} permission - PERMISSIONS 中的权限名
+* @returns {boolean}
+*/
+export function can(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission: ${permission}`);
+  return roles.includes(user ? normalizeRole(user.role) : 'guest');
+}
+
+/**
+* 要求用户拥有某个权限。
+* @param {{ username?: string, role?: string }|null} user - 当前用户
+* @param {string} permission - 权限名
+* @param {string} [code] - 没有权限时的错误码
+* @throws {ForbiddenError} 如果没有该权限 (默认 PERMISSION_DENIED)
+*/
+export function requirePermission(user, permission, code = 'PERMISSION_DENIED') {
+  if (can(user, permission)) return;
+  logger.warn(`[Permissions] 权限不足 (username: ${user?.username || 'guest'}, role: ${user?.role || 'guest'}, permission: ${permission})`);
+  throw new ForbiddenError(code, { permission });
+}
+
+/**
+* 读取用户当前的角色、封禁状态和邮箱验证状态 (每次认证时读取，角色变更、封禁和邮箱验证立即生效)。
+* @param {string} username - 用户名
+* @returns {Promise<{ role: string, banned: boolean, emailVerified: boolean }|null>} - 用户不存在时为 null
+* @throws {Error} 如果数据库操作失败
+*/
+export async function getUserAccess(username) {
+  const user = await read(`users/${username}`);
+  if (!user || typeof user !== 'object') return null;
+  return { role: normalizeRole(user.role), banned: !!user.banned, emailVerified: !!user.emailVerified };
+}
@@ -0,0 +1,170 @@
+// lib/ratelimit.js - 按客户端 IP 和用户名限流
+// 每个 action 声明了限流类别 rateLimit ('read' | 'write' | 'auth')，每个类别有独立的额度 (CONFIG.RATE_LIMIT.CLASSES)。
+// 计数使用令牌桶：桶容量为 limit，允许短时间突发，之后按 limit/windowSeconds 的速度恢复。
+// write/auth 类别的桶保存在存储层 (rateLimits/{类别}/{键的哈希})，通过事务原子更新，因此在多个 Serverless 实例之间共享；
+// 这些记录不在备份范围内 (lib/backup.js 的 BACKUP_COLLECTIONS)，可以随时整体删除，删除后所有额度恢复为满。
+// 已经恢复满额的桶与不存在等价，由定期清理 (pruneRateLimitBuckets) 删除，存储中只保留最近活跃的客户端。
+// read 类别的桶只保存在进程内存中：读请求 (页面浏览) 不产生存储写入，不抵消读缓存和条件请求的效果，代价是额度按实例计算。
+// 批量请求和 JSON-RPC 批量调用中的每个操作都经过 executeAction，各自计数。
+// auth 类别的 username 是请求指定的目标账号 (例如登录)，不能单独按用户名计数，否则任何人用错误的密码就能耗尽他人的额度，
+// 让真正的用户无法登录；因此 auth 类别按 IP 和用户名的组合计数。
+import { createHash } from 'crypto';
+import { logger, read, transaction, multiPathUpdate, runInBackground, getRequestContext, RateLimitedError, CONFIG } from './utils.js';
+import { counter } from './metrics.js';
+
+logger.info('✅ lib/ratelimit.js 加载成功');
+
+export const RATE_LIMIT_PATH = 'rateLimits';
+
+// 计数只保存在内存中的类别
+const IN_MEMORY_CLASSES = new Set(['read']);
+// 内存中最多保留的桶数，超出时移除最久未使用的桶 (相当于额度恢复为满)
+const MAX_MEMORY_BUCKETS = 10000;
+// 两次清理存储中的桶之间的最小间隔 (毫秒)，每个实例独立计算
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const memoryBuckets = new Map(); // bucketPath -> { tokens, updatedAt }
+let lastSweepAt = 0;
+
+const rateLimitRejections = counter('rate_limit_rejections_total', 'Action calls rejected by the rate limiter.', ['class', 'key']);
+
+// IP 和用户名中的 . : 等字符不能用作 Firebase 的键，而且存储中不应该保存明文 IP，因此用哈希作为桶的键
+const bucketPath = (limitClass, key) => `${RATE_LIMIT_PATH}/${limitClass}/${createHash('sha256').update(key).digest('base64url').slice(0, 32)}`;
+
+const isBucket = value => value !== null && typeof value === 'object' &&
+  Number.isFinite(value.tokens) && Number.isFinite(value.updatedAt);
+
+/**
+* 从令牌桶中取出一个令牌。
+* @param {{ tokens: number, updatedAt: number }|null} state - 桶的当前状态，null 表示新桶 (满)
+* @param {{ limit: number, windowSeconds: number }} budget - 类别的额度
+* @param {number} now - 当前时间 (毫秒)
+* @returns {{ allowed: boolean, state: { tokens: number, updatedAt: number }, remaining: number, retryAfter: number, reset: number }}
+*   retryAfter 为下一个令牌恢复前需要等待的秒数 (允许时为 0)，reset 为桶恢复满额需要的秒数
+*/
+export function takeToken(state, { limit, windowSeconds }, now) {
+  const ratePerSecond = limit / windowSeconds;
+  const elapsedSeconds = state ? Math.max(0, now - state.updatedAt) / 1000 : 0;
+  const available = state ? Math.min(limit, state.tokens + elapsedSeconds * ratePerSecond) : limit;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+  return {
+    allowed,
+    state: { tokens, updatedAt: now },
+    remaining: Math.floor(tokens),
+    retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / ratePerSecond),
+    reset: Math.ceil((limit - tokens) / ratePerSecond)
+  };
+}
+
+// 桶恢复满额的时间 (毫秒)，之后可以删除
+const refilledAt = (state, { limit, windowSeconds }) => state.updatedAt + Math.max(0, limit - state.tokens) * (windowSeconds / limit) * 1000;
+
+// 内存中的桶：Map 按最近使用排序，超出容量时移除最久未使用的桶
+function consumeInMemory(limitClass, key, budget) {
+  const path = bucketPath(limitClass, key);
+  const decision = takeToken(memoryBuckets.get(path) || null, budget, Date.now());
+  memoryBuckets.delete(path);
+  memoryBuckets.set(path, decision.state);
+  if (memoryBuckets.size > MAX_MEMORY_BUCKETS) memoryBuckets.delete(memoryBuckets.keys().next().value);
+  return decision;
+}
+
+// 在事务中更新桶；超限时中止事务 (不写入)。Firebase 可能多次调用更新函数，结果以最后一次为准
+async function consume(limitClass, key, budget) {
+  if (IN_MEMORY_CLASSES.has(limitClass)) return consumeInMemory(limitClass, key, budget);
+  let decision;
+  await transaction(bucketPath(limitClass, key), current => {
+    decision = takeToken(isBucket(current) ? current : null, budget, Date.now());
+    return decision.allowed ? decision.state : undefined;
+  }, { maxRetries: 0, timeout: CONFIG.RATE_LIMIT.TIMEOUT });
+  return decision;
+}
+
+// 同一个请求 (包括批量请求) 中可能检查多个桶，响应头取剩余次数最少的那个
+function setRateLimitHeaders(context, budget, decision) {
+  if (context.rateLimit && context.rateLimit.remaining <= decision.remaining) return;
+  context.rateLimit = { remaining: decision.remaining };
+  const { res } = context;
+  if (!res || res.headersSent) return;
+  res.setHeader('X-RateLimit-Limit', String(budget.limit));
+  res.setHeader('X-RateLimit-Remaining', String(decision.remaining));
+  res.setHeader('X-RateLimit-Reset', String(decision.reset));
+}
+
+/**
+* 删除已经恢复满额的桶 (存储中 write/auth 类别的桶和内存中的桶)。删除满额的桶不影响限流结果。
+* @param {number} [now] - 当前时间 (毫秒)
+* @returns {Promise<number>} - 删除的存储中的桶数量
+* @throws {Error} 如果读取或删除失败
+*/
+export async function pruneRateLimitBuckets(now = Date.now()) {
+  for (const [path, state] of memoryBuckets) {
+    const budget = CONFIG.RATE_LIMIT.CLASSES[path.split('/')[1]];
+    if (!budget || refilledAt(state, budget) <= now) memoryBuckets.delete(path);
+  }
+
+  const updates = {};
+  for (const [limitClass, budget] of Object.entries(CONFIG.RATE_LIMIT.CLASSES)) {
+    if (IN_MEMORY_CLASSES.has(limitClass)) continue;
+    const buckets = await read(`${RATE_LIMIT_PATH}/${limitClass}`) || {};
+    for (const [hash, state] of Object.entries(buckets)) {
+      // 在清理期间被更新的桶会在下一次清理时处理；删除一个刚好被使用过一次的桶只会多给一次额度
+      if (!isBucket(state) || refilledAt(state, budget) <= now) updates[`${RATE_LIMIT_PATH}/${limitClass}/${hash}`] = null;
+    }
+  }
+  const removed = Object.keys(updates).length;
+  if (removed > 0) {
+    await multiPathUpdate(updates);
+    logger.info(`[RateLimit] 已清理恢复满额的令牌桶 (count: ${removed})`);
+  }
+  return removed;
+}
+
+// 每个实例每隔 SWEEP_INTERVAL_MS 在后台清理一次，不影响当前请求
+function scheduleSweep() {
+  const now = Date.now();
+  if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  lastSweepAt = now;
+  runInBackground('rate-limit-sweep', () => pruneRateLimitBuckets(now));
+}
+
+/**
+* 按 action 的限流类别为当前请求计数。
+* 分别按客户端 IP 和用户名 (参数中有 username 时) 计数，任意一个超限即拒绝；auth 类别的用户名与 IP 组合计数。
+* 不在请求上下文中 (脚本直接调用 executeAction) 或 RATE_LIMIT_ENABLED=false 时不限流；
+* 存储出错或超时时放行请求并记录日志，限流故障不影响正常访问。
+* @param {object} definition - resolveAction 返回的 action 定义
+* @param {object} values - 校验后的参数
+* @returns {Promise<void>}
+* @throws {RateLimitedError} 如果超过限额 (params.retryAfter 为建议的等待秒数)
+*/
+export async function enforceRateLimit(definition, values) {
+  const context = getRequestContext();
+  const budget = CONFIG.RATE_LIMIT.CLASSES[definition.rateLimit];
+  if (!CONFIG.RATE_LIMIT.ENABLED || !context || !budget) return;
+  if (!IN_MEMORY_CLASSES.has(definition.rateLimit)) scheduleSweep();
+
+  const keys = [];
+  if (context.clientIp) keys.push(['ip', `ip:${context.clientIp}`]);
+  if (typeof values.username === 'string' && values.username) {
+    keys.push(['user', definition.rateLimit === 'auth' ? `ip-user:${context.clientIp}:${values.username}` : `user:${values.username}`]);
+  }
+
+  for (const [kind, key] of keys) {
+    let decision;
+    try {
+      decision = await consume(definition.rateLimit, key, budget);
+    } catch (error) {
+      logger.warn(`[RateLimit] 限流计数失败，放行请求 (action: ${definition.name})`, error);
+      return;
+    }
+
+    setRateLimitHeaders(context, budget, decision);
+    if (!decision.allowed) {
+      rateLimitRejections.inc({ class: definition.rateLimit, key: kind });
+      logger.warn(`[RateLimit] 请求过于频繁 (action: ${definition.name}, 按 ${kind} 计数)`, { retryAfter: decision.retryAfter });
+      throw new RateLimitedError('RATE_LIMITED', { retryAfter: decision.retryAfter });
+    }
+  }
+}
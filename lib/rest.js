@@ -0,0 +1,426 @@
+// lib/rest.js - RESTful 资源路由
+// 把 /api/posts/:postId/comments 这类资源路径映射到 lib/actions.js 中注册的 action。
+// 旧的 { type, action, ...params } 信封格式仍由 api/index.js 处理，两种调用方式可以并存。
+// 响应体与信封格式保持一致：成功时为 { success: true, data }，失败时为 { success: false, code, message }；204 没有响应体。
+import { URL } from 'url';
+import { logger, parseBody, sendJson, toErrorResponse } from './utils.js';
+import { resolveLocale, translate } from './i18n.js';
+import { executeAction, httpCachePolicy } from './actions.js';
+import { executeBatch } from './batch.js';
+import { buildOpenApiSpec } from './openapi.js';
+import { sendCacheable } from './httpcache.js';
+import { checkLiveness, checkReadiness } from './health.js';
+
+logger.info('✅ lib/rest.js 加载成功');
+
+// ====================================================================
+// 路由表
+// ====================================================================
+// handler 接收 { params, query, body, locale, user } (locale 为响应语言，见 lib/i18n.js；user 为访问令牌对应的当前用户，匿名请求为 null)，通过 executeAction 调用注册表中的 action (参数校验在那里完成)，
+// 返回 { status, data, headers }，status 默认为 200；返回 raw: true 时 data 原样作为响应体；
+// GET 路由返回 cache: { scope, lastModified } 时响应带 ETag/Cache-Control，并支持条件请求 (lib/httpcache.js)。
+// doc 供 lib/openapi.js 生成接口文档：summary、使用的 actions (参数和错误码从中推导)、成功状态码 status，
+// bodyParam 表示请求体整体对应 action 的某个参数，requestSchema/responseSchema 引用 components.schemas 中的定义，
+// tag 为文档分组 (默认取第一个 action 的 type)。
+// 需要登录的 action 由 executeAction 根据 user 确定 username，handler 不再从请求参数中读取当前用户；
+// 查询点赞状态的 GET 路由在匿名请求时仍可以用查询参数 username (或 userId) 指定要查询的用户。
+
+const viewer = (query, user) => user?.username || query.username || query.userId;
+
+export const ROUTES = [
+  {
+    method: 'GET',
+    path: '/api/posts/:postId/comments',
+    doc: { summary: '获取文章的评论树', actions: ['comment.get'] },
+    handler: async ({ params, query }) => {
+      const input = { postId: params.postId, userId: query.userId || query.username, isGuest: query.isGuest };
+      const data = await executeAction('comment.get', input);
+      return { data, cache: httpCachePolicy('comment.get', input, data) };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/posts/:postId/comments',
+    doc: { summary: '发表评论或回复', actions: ['comment.add'], status: 201 },
+    handler: async ({ params, body, user }) => {
+      const comment = await executeAction('comment.add', { ...body, postId: params.postId }, { user });
+      return { status: 201, data: comment, headers: { Location: `/api/posts/${params.postId}/comments/${comment.id}` } };
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/api/posts/:postId/comments/:commentId',
+    doc: { summary: '编辑评论', actions: ['comment.update'] },
+    handler: async ({ params, body, user }) => ({
+      data: await executeAction('comment.update', { postId: params.postId, commentId: params.commentId, content: body.content }, { user })
+    })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/posts/:postId/comments/:commentId',
+    doc: { summary: '删除评论及其所有回复', actions: ['comment.delete'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('comment.delete', { postId: params.postId, commentId: params.commentId }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/posts/:postId/comments/:commentId/pin',
+    doc: { summary: '置顶评论', actions: ['comment.pin'] },
+    handler: async ({ params, user }) => ({
+      data: await executeAction('comment.pin', { postId: params.postId, commentId: params.commentId, pinned: true }, { user })
+    })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/posts/:postId/comments/:commentId/pin',
+    doc: { summary: '取消置顶评论', actions: ['comment.pin'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('comment.pin', { postId: params.postId, commentId: params.commentId, pinned: false }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/posts/:postId/pending-comments',
+    doc: { summary: '列出待审核的评论', actions: ['comment.pending'] },
+    handler: async ({ params, user }) => ({
+      data: await executeAction('comment.pending', { postId: params.postId }, { user }),
+      headers: { 'Cache-Control': 'no-store' }
+    })
+  },
+  {
+    method: 'PUT',
+    path: '/api/posts/:postId/comments/:commentId/approval',
+    doc: { summary: '批准待审核的评论', actions: ['comment.approve'] },
+    handler: async ({ params, user }) => ({
+      data: await executeAction('comment.approve', { postId: params.postId, commentId: params.commentId }, { user })
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/posts/:postId/likes',
+    doc: { summary: '获取文章点赞数，指定 username 时同时返回点赞状态', actions: ['like.getArticleLikesCount', 'like.hasUserLikedArticle'] },
+    handler: async ({ params, query, user }) => {
+      const username = viewer(query, user);
+      const data = { likesCount: await executeAction('like.getArticleLikesCount', { postId: params.postId }) };
+      if (username) data.hasLiked = await executeAction('like.hasUserLikedArticle', { username, postId: params.postId });
+      return { data, cache: { scope: username ? 'private' : 'public' } };
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/posts/:postId/likes',
+    doc: { summary: '点赞文章 (新点赞返回 201，已点赞返回 200)', actions: ['like.addArticleLike'], status: 201 },
+    handler: async ({ params, user }) => {
+      const result = await executeAction('like.addArticleLike', { postId: params.postId }, { user });
+      return { status: result.isNewLike ? 201 : 200, data: result };
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/posts/:postId/likes',
+    doc: { summary: '取消文章点赞', actions: ['like.removeArticleLike'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('like.removeArticleLike', { postId: params.postId }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/posts/:postId/comments/:commentId/likes',
+    doc: { summary: '获取评论点赞数，指定 username 时同时返回点赞状态', actions: ['like.getCommentDirectLikesCount', 'like.getCommentTotalLikesCount', 'like.hasUserLikedComment'] },
+    handler: async ({ params, query, user }) => {
+      const { postId, commentId } = params;
+      const username = viewer(query, user);
+      const data = {
+        directLikesCount: await executeAction('like.getCommentDirectLikesCount', { postId, commentId }),
+        totalLikesCount: await executeAction('like.getCommentTotalLikesCount', { postId, commentId })
+      };
+      if (username) data.hasLiked = await executeAction('like.hasUserLikedComment', { username, postId, commentId });
+      return { data };
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/posts/:postId/comments/:commentId/likes',
+    doc: { summary: '点赞评论 (新点赞返回 201，已点赞返回 200)', actions: ['like.addCommentLike'], status: 201 },
+    handler: async ({ params, user }) => {
+      const result = await executeAction('like.addCommentLike', { postId: params.postId, commentId: params.commentId }, { user });
+      return { status: result.isNewLike ? 201 : 200, data: result };
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/posts/:postId/comments/:commentId/likes',
+    doc: { summary: '取消评论点赞', actions: ['like.removeCommentLike'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('like.removeCommentLike', { postId: params.postId, commentId: params.commentId }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/users',
+    doc: { summary: '注册用户', actions: ['user.register'], status: 201 },
+    handler: async ({ body, locale }) => {
+      const user = await executeAction('user.register', { locale, ...body });
+      return { status: 201, data: user, headers: { Location: `/api/users/${encodeURIComponent(user.username)}` } };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/users/:username',
+    doc: { summary: '获取用户资料', actions: ['user.profile'] },
+    handler: async ({ params, user }) => {
+      const data = await executeAction('user.profile', { username: params.username }, { user });
+      return { data, cache: httpCachePolicy('user.profile', { username: params.username }, data) };
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/api/users/:username',
+    doc: { summary: '更新用户资料，请求体即 updates 对象', actions: ['user.update'], bodyParam: 'updates' },
+    handler: async ({ params, body, locale, user }) => ({
+      data: await executeAction('user.update', { username: params.username, updates: body, locale }, { user })
+    })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/users/:username',
+    doc: { summary: '删除用户', actions: ['user.delete'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('user.delete', { username: params.username }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    // 请求体为 { role }；路径参数 target 即 action 的 target 参数 (username 参数表示当前用户，不能用作目标)
+    method: 'PUT',
+    path: '/api/users/:target/role',
+    doc: { summary: '设置用户角色', actions: ['user.setRole'] },
+    handler: async ({ params, body, user }) => ({ data: await executeAction('user.setRole', { role: body.role, target: params.target }, { user }) })
+  },
+  {
+    method: 'PUT',
+    path: '/api/users/:target/ban',
+    doc: { summary: '封禁用户，请求体可以包含 reason', actions: ['user.ban'] },
+    handler: async ({ params, body, user }) => ({ data: await executeAction('user.ban', { reason: body.reason, target: params.target }, { user }) })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/users/:target/ban',
+    doc: { summary: '解除封禁', actions: ['user.unban'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('user.unban', { target: params.target }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/users/:username/email-verification',
+    doc: { summary: '重新发送验证邮件', actions: ['user.resendVerification'], status: 202 },
+    handler: async ({ params, locale, user }) => ({
+      status: 202,
+      data: await executeAction('user.resendVerification', { username: params.username, locale }, { user })
+    })
+  },
+  {
+    method: 'GET',
+    path: '/api/users/:username/sessions',
+    doc: { summary: '列出有效会话 (设备和最近活动时间)', actions: ['user.sessions'] },
+    handler: async ({ params, user }) => ({
+      data: await executeAction('user.sessions', { username: params.username }, { user }),
+      headers: { 'Cache-Control': 'no-store' }
+    })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/users/:username/sessions',
+    doc: { summary: '吊销所有会话 (退出所有设备)', actions: ['user.revokeAllSessions'] },
+    handler: async ({ params, user }) => ({ data: await executeAction('user.revokeAllSessions', { username: params.username }, { user }) })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/users/:username/sessions/:sessionId',
+    doc: { summary: '吊销一个会话', actions: ['user.revokeSession'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('user.revokeSession', { username: params.username, sessionId: params.sessionId }, { user });
+      return { status: 204 };
+    }
+  },
+  {
+    // 按名称直接调用注册表中的 action，请求体即参数对象，例如 POST /api/actions/comment.add
+    method: 'POST',
+    path: '/api/actions/:name',
+    doc: { hidden: true }, // 文档中按 action 逐个列出
+    handler: async ({ params, body, user }) => ({ data: await executeAction(params.name, body, { user }) })
+  },
+  {
+    method: 'GET',
+    path: '/api/health',
+    doc: { summary: '存活检查：版本和运行时间', actions: [], tag: 'operations', responseSchema: 'Liveness' },
+    handler: async () => ({ data: checkLiveness(), headers: { 'Cache-Control': 'no-store' } })
+  },
+  {
+    // 未就绪时返回 503，响应体在错误格式之外附带各项检查结果 data
+    method: 'GET',
+    path: '/api/health/ready',
+    doc: { summary: '就绪检查：配置、存储初始化和数据库读取，任一失败时返回 503', actions: [], tag: 'operations', responseSchema: 'Readiness' },
+    handler: async ({ locale }) => {
+      const data = await checkReadiness();
+      const headers = { 'Cache-Control': 'no-store' };
+      if (data.status === 'ready') return { data, headers };
+      return {
+        status: 503,
+        raw: true,
+        data: { success: false, code: 'NOT_READY', message: translate('NOT_READY', {}, locale), data },
+        headers
+      };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/openapi.json',
+    doc: { hidden: true },
+    handler: async () => ({ raw: true, data: buildOpenApiSpec({ routes: ROUTES }) })
+  },
+  {
+    // 请求体为 { operations: [{ type, action, params }] }，也可以直接是操作数组
+    method: 'POST',
+    path: '/api/batch',
+    doc: { summary: '批量执行多个 action', actions: [], requestSchema: 'BatchRequest', responseSchema: 'BatchResults' },
+    handler: async ({ body, locale, user }) => ({ data: await executeBatch(Array.isArray(body) ? body : body.operations, { locale, user }) })
+  },
+  {
+    method: 'POST',
+    path: '/api/sessions',
+    doc: { summary: '用户登录', actions: ['user.login'] },
+    handler: async ({ body }) => ({ data: await executeAction('user.login', body), headers: { 'Cache-Control': 'no-store' } })
+  },
+  {
+    method: 'POST',
+    path: '/api/sessions/refresh',
+    doc: { summary: '用刷新令牌换取新的访问令牌和刷新令牌', actions: ['user.refresh'] },
+    handler: async ({ body }) => ({ data: await executeAction('user.refresh', body), headers: { 'Cache-Control': 'no-store' } })
+  },
+  {
+    method: 'POST',
+    path: '/api/password-resets',
+    doc: { summary: '申请重置密码 (发送重置邮件)', actions: ['user.requestPasswordReset'], status: 202 },
+    handler: async ({ body, locale }) => ({ status: 202, data: await executeAction('user.requestPasswordReset', { locale, ...body }) })
+  },
+  {
+    method: 'POST',
+    path: '/api/password-resets/confirm',
+    doc: { summary: '用重置令牌设置新密码', actions: ['user.resetPassword'] },
+    handler: async ({ body }) => ({ data: await executeAction('user.resetPassword', body), headers: { 'Cache-Control': 'no-store' } })
+  },
+  {
+    method: 'POST',
+    path: '/api/email-verifications/confirm',
+    doc: { summary: '用验证令牌验证邮箱', actions: ['user.verifyEmail'] },
+    handler: async ({ body }) => ({ data: await executeAction('user.verifyEmail', body) })
+  },
+  {
+    method: 'DELETE',
+    path: '/api/sessions/:username',
+    doc: { summary: '用户登出 (吊销当前会话)', actions: ['user.logout'], status: 204 },
+    handler: async ({ params, user }) => {
+      await executeAction('user.logout', { username: params.username }, { user });
+      return { status: 204 };
+    }
+  }
+];
+
+// ====================================================================
+// 路由匹配
+// ====================================================================
+
+// '/api/posts/:postId/comments' -> /^\/api\/posts\/([^/]+)\/comments\/?$/，参数名按顺序记录
+function compilePath(path) {
+  const paramNames = [];
+  const source = path.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      paramNames.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}/?$`), paramNames };
+}
+
+const compiledRoutes = ROUTES.map(route => ({ ...route, ...compilePath(route.path) }));
+
+/**
+* 按请求方法和路径查找路由。
+* @param {string} method - HTTP 方法
+* @param {string} pathname - 请求路径 (不含查询参数)
+* @returns {{ route: object|null, params: object, allowedMethods: string[] }}
+*   - route 为 null 且 allowedMethods 非空时，表示路径存在但方法不被支持
+*/
+export function matchRoute(method, pathname) {
+  const allowedMethods = [];
+  for (const route of compiledRoutes) {
+    const match = route.regex.exec(pathname);
+    if (!match) continue;
+    allowedMethods.push(route.method);
+    if (route.method === method) {
+      const params = {};
+      route.paramNames.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(match[index + 1]);
+        } catch {
+          params[name] = match[index + 1]; // 非法的百分号编码原样保留，交给业务函数的参数校验处理
+        }
+      });
+      return { route, params, allowedMethods };
+    }
+  }
+  return { route: null, params: {}, allowedMethods };
+}
+
+/**
+* 处理 REST 请求。路径不属于任何资源路由时返回 false，由调用方继续按信封格式处理。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {object} [options]
+* @param {{ username: string }|null} [options.user] - 访问令牌对应的当前用户 (lib/auth.js 的 authenticate)
+* @returns {Promise<boolean>} - 请求是否已被处理
+*/
+export async function handleRestRequest(req, res, { user = null } = {}) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { route, params, allowedMethods } = matchRoute(req.method, url.pathname);
+  const locale = resolveLocale(req);
+  if (!route) {
+    if (allowedMethods.length === 0) return false;
+    const message = translate('METHOD_NOT_ALLOWED', { method: req.method }, locale);
+    sendJson(res, 405, { success: false, code: 'METHOD_NOT_ALLOWED', message }, { Allow: allowedMethods.join(', ') });
+    return true;
+  }
+
+  let body;
+  try {
+    body = req.method === 'GET' || req.method === 'HEAD' ? {} : await parseBody(req);
+  } catch (error) {
+    logger.error(`[REST] ${req.method} ${url.pathname} 请求体解析失败`, { error: error.message });
+    sendJson(res, 400, { success: false, code: 'INVALID_BODY', message: translate('INVALID_BODY', {}, locale) });
+    return true;
+  }
+
+  try {
+    const query = Object.fromEntries(url.searchParams.entries());
+    const { status = 200, data, headers, raw, cache } = await route.handler({ params, query, body: body || {}, locale, user });
+    if (cache && status === 200 && req.method === 'GET') {
+      sendCacheable(req, res, { data, headers, ...cache });
+    } else {
+      sendJson(res, status, raw ? data : { success: true, data }, headers);
+    }
+  } catch (error) {
+    const { status, payload, headers } = toErrorResponse(error, locale);
+    logger.error(`[REST] ${req.method} ${url.pathname} 处理失败`, { error: error.message, status, code: payload.code });
+    sendJson(res, status, payload, headers);
+  }
+  return true;
+}
@@ -0,0 +1,194 @@
+// lib/server.js - 独立运行的 HTTP 服务器 (不依赖 Vercel)
+// 用 node:http 包装 api/index.js 的处理函数。Vercel 会为请求/响应对象补充 req.query、req.body、
+// res.status()、res.json() 等辅助属性，这里的兼容层提供相同的功能，处理函数在两种环境下行为一致。
+// 请求体在交给处理函数之前读取完毕，超过 CONFIG.SERVER.BODY_LIMIT 时直接返回 413。
+import http from 'http';
+import { URL } from 'url';
+import { logger, sendJson, closeStorage, settleBackgroundTasks, withRequestContext, NotFoundError, PayloadTooLargeError, toErrorResponse, CONFIG } from './utils.js';
+import { resolveLocale } from './i18n.js';
+
+logger.info('✅ lib/server.js 加载成功');
+
+/**
+* 读取完整的请求体，超过 limit 字节时停止读取并抛出 PayloadTooLargeError。
+* @param {http.IncomingMessage} req - 请求对象
+* @param {number} limit - 最大字节数
+* @returns {Promise<Buffer>}
+*/
+export async function readBody(req, limit) {
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength > limit) throw new PayloadTooLargeError('PAYLOAD_TOO_LARGE', { limit });
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of req) {
+    received += chunk.length;
+    if (received > limit) throw new PayloadTooLargeError('PAYLOAD_TOO_LARGE', { limit });
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// 与 Vercel 一致：JSON 请求体解析为对象，URL-encoded 解析为键值对象，无法解析时保留原始文本，
+// 由 parseBody / JSON-RPC 等调用方决定如何处理 (例如返回 400 或 Parse error)
+function decodeBody(raw, contentType = '') {
+  const text = raw.toString('utf8');
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(text).entries());
+  }
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+* 为 node:http 的请求对象补充 Vercel 风格的 req.query 和 req.body。
+* @param {http.IncomingMessage} req - 请求对象
+* @param {object} [options]
+* @param {number} [options.bodyLimit] - 请求体最大字节数
+* @returns {Promise<http.IncomingMessage>}
+* @throws {PayloadTooLargeError} 如果请求体超过大小限制
+*/
+export async function adaptRequest(req, { bodyLimit = CONFIG.SERVER.BODY_LIMIT } = {}) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  req.query = Object.fromEntries(url.searchParams.entries());
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const raw = await readBody(req, bodyLimit);
+    // 没有请求体时保持 undefined，与 Vercel 相同
+    if (raw.length > 0) req.body = decodeBody(raw, req.headers['content-type']);
+  }
+  return req;
+}
+
+/**
+* 为 node:http 的响应对象补充 Vercel 风格的 res.status()、res.json() 和 res.send()。
+* @param {http.ServerResponse} res - 响应对象
+* @returns {http.ServerResponse}
+*/
+export function adaptResponse(res) {
+  res.status = code => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = payload => {
+    sendJson(res, res.statusCode, payload);
+    return res;
+  };
+  res.send = body => {
+    if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) return res.json(body);
+    if (!res.hasHeader('Content-Type')) res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+/**
+* 创建 HTTP 服务器。只有 /api 下的路径会交给 handler 处理 (与 vercel.json 的路由一致)，其他路径返回 404。
+* @param {Function} handler - (req, res) => Promise<void>，即 api/index.js 的默认导出
+* @param {object} [options]
+* @param {number} [options.bodyLimit] - 请求体最大字节数
+* @returns {http.Server}
+*/
+export function createServer(handler, { bodyLimit = CONFIG.SERVER.BODY_LIMIT } = {}) {
+  // 在读取请求体之前建立请求上下文，404/413 等在这里产生的日志也带有 requestId
+  return http.createServer((req, res) => withRequestContext(req, res, async () => {
+    adaptResponse(res);
+    try {
+      const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      if (pathname !== '/api' && !pathname.startsWith('/api/')) {
+        throw new NotFoundError('NOT_FOUND', { path: pathname });
+      }
+      await adaptRequest(req, { bodyLimit });
+      await handler(req, res);
+    } catch (error) {
+      const { status, payload, headers } = toErrorResponse(error, resolveLocale(req));
+      if (error instanceof PayloadTooLargeError) {
+        // 不再读取剩余的请求体，响应后关闭连接
+        logger.warn(`[Server] 请求体过大 (${req.method} ${req.url})`, { limit: bodyLimit });
+        sendJson(res, status, payload, { ...headers, Connection: 'close' });
+        return;
+      }
+      if (status >= 500) {
+        logger.error(`[Server] 请求处理失败 (${req.method} ${req.url})`, error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, payload, headers);
+      } else {
+        res.end();
+      }
+    }
+  }));
+}
+
+/**
+* 启动服务器并在收到 SIGINT/SIGTERM 时优雅退出：停止接收新连接，等待进行中的请求完成后关闭存储；
+* 超过 CONFIG.SERVER.SHUTDOWN_TIMEOUT_MS 仍未完成时强制关闭所有连接。
+* @param {Function} handler - 请求处理函数
+* @param {object} [options]
+* @param {number} [options.port] - 监听端口，0 表示随机端口
+* @param {string} [options.host] - 监听地址
+* @param {number} [options.bodyLimit] - 请求体最大字节数
+* @param {number} [options.shutdownTimeoutMs] - 优雅退出的最长等待时间
+* @returns {Promise<{ server: http.Server, shutdown: (signal?: string) => Promise<void> }>}
+*/
+export async function startServer(handler, {
+  port = CONFIG.SERVER.PORT,
+  host = CONFIG.SERVER.HOST,
+  bodyLimit = CONFIG.SERVER.BODY_LIMIT,
+  shutdownTimeoutMs = CONFIG.SERVER.SHUTDOWN_TIMEOUT_MS
+} = {}) {
+  const server = createServer(handler, { bodyLimit });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+  const address = server.address();
+  logger.info(`[Server] 服务已启动: http://${address.address}:${address.port}`);
+
+  let shuttingDown = null;
+  const shutdown = (signal = 'shutdown') => {
+    if (shuttingDown) return shuttingDown;
+    logger.info(`[Server] 收到 ${signal}，停止接收新请求并等待进行中的请求完成`);
+
+    shuttingDown = (async () => {
+      const forceTimer = setTimeout(() => {
+        logger.warn(`[Server] 等待超过 ${shutdownTimeoutMs}ms，强制关闭剩余连接`);
+        server.closeAllConnections();
+      }, shutdownTimeoutMs);
+      forceTimer.unref();
+
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeIdleConnections(); // keep-alive 的空闲连接不会自己断开
+      await closed;
+      clearTimeout(forceTimer);
+      await settleBackgroundTasks(); // 例如响应之后才发送的验证邮件、限流记录清理
+
+      try {
+        await closeStorage();
+      } catch (error) {
+        logger.error('[Server] 关闭存储失败', { error: error.message });
+      }
+      logger.info('[Server] 服务已停止');
+    })();
+    return shuttingDown;
+  };
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      shutdown(signal).then(() => process.exit(0), () => process.exit(1));
+    });
+  }
+
+  return { server, shutdown };
+}
@@ -0,0 +1,230 @@
+// lib/sessions.js - 登录会话与刷新令牌
+// 每次登录创建一个会话 sessions/{username}/{sessionId}，记录设备 (User-Agent)、创建时间、最近活动时间和过期时间。
+// 刷新令牌是不透明的随机字符串，存储中只保存其中随机部分的 SHA-256 哈希。每次刷新都换发新的刷新令牌 (轮换)，旧令牌随即失效；
+// 刚轮换掉的旧令牌 (会话的 previousTokenHash) 再次出现说明令牌可能被盗用 (重用检测)，此时吊销整个会话，令牌的持有者 (无论是用户还是攻击者) 都需要重新登录。
+// 其他不匹配的令牌只是无效令牌，会话保持不变：会话 ID 出现在访问令牌和会话列表中，不能让知道会话 ID 的人用随意的令牌注销他人。
+// 访问令牌 (lib/auth.js) 带有会话 ID (sid)，authenticate 每次都确认会话仍然存在，因此登出、吊销和修改密码立即生效。
+// 会话不在备份范围内 (lib/backup.js 的 BACKUP_COLLECTIONS)，删除 sessions 节点即让所有用户重新登录。
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import {
+  read, write, del, multiPathUpdate, transaction, logger, getRequestContext, validateInput, CONFIG,
+  UnauthorizedError, NotFoundError
+} from './utils.js';
+import { counter } from './metrics.js';
+
+logger.info('✅ lib/sessions.js 加载成功');
+
+export const SESSIONS_PATH = 'sessions';
+
+const sessionRefreshes = counter('session_refresh_total', 'Refresh token exchanges by outcome.', ['outcome']);
+
+const userSessionsPath = username => `${SESSIONS_PATH}/${username}`;
+const sessionPath = (username, sessionId) => `${SESSIONS_PATH}/${username}/${sessionId}`;
+
+const hashSecret = secret => createHash('sha256').update(secret).digest('base64url');
+
+function secretMatches(storedHash, secret) {
+  const expected = Buffer.from(storedHash || '');
+  const actual = Buffer.from(hashSecret(secret));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+const isSession = value => value !== null && typeof value === 'object' && typeof value.tokenHash === 'string';
+const isExpired = (session, now = Date.now()) => !(Date.parse(session.expiresAt) > now);
+
+// 会话 ID 由 createSession 用 randomUUID 生成
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// 刷新令牌为 {base64url(用户名)}.{sessionId}.{随机串}，用户名和会话 ID 用于定位会话，随机串用于校验
+function createRefreshToken(username, sessionId) {
+  const secret = randomBytes(32).toString('base64url');
+  return { token: `${Buffer.from(username).toString('base64url')}.${sessionId}.${secret}`, tokenHash: hashSecret(secret) };
+}
+
+function parseRefreshToken(token) {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+  if (segments.length !== 3 || segments.some(segment => !/^[\w-]+$/.test(segment))) return null;
+  const [encodedUsername, sessionId, secret] = segments;
+  const username = Buffer.from(encodedUsername, 'base64url').toString('utf8');
+  // 用户名和会话 ID 会拼接成存储路径，必须先校验格式，否则伪造的令牌 (例如用户名为 "alice/xxx") 可以指向任意节点
+  if (!validateInput(username, 'username') || !SESSION_ID_PATTERN.test(sessionId)) return null;
+  return { username, sessionId, secret };
+}
+
+// 对外展示的会话信息 (不含令牌哈希)
+const toSessionInfo = (sessionId, session) => ({
+  id: sessionId,
+  userAgent: session.userAgent || null,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt
+});
+
+/**
+* 为登录成功的用户创建会话，同时清理该用户已过期的会话；会话数超过 CONFIG.AUTH.MAX_SESSIONS 时移除最久未活动的会话。
+* @param {string} username - 用户名
+* @returns {Promise<{ sessionId: string, refreshToken: string, refreshTokenExpiresAt: string }>}
+* @throws {Error} 如果数据库操作失败
+*/
+export async function createSession(username) {
+  const now = Date.now();
+  const sessionId = randomUUID();
+  const { token, tokenHash } = createRefreshToken(username, sessionId);
+  const session = {
+    tokenHash,
+    userAgent: getRequestContext()?.userAgent || null,
+    createdAt: new Date(now).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + CONFIG.AUTH.REFRESH_TOKEN_TTL * 1000).toISOString()
+  };
+
+  const existing = Object.entries((await read(userSessionsPath(username))) || {}).filter(([, value]) => isSession(value));
+  const active = existing.filter(([, value]) => !isExpired(value, now))
+    .sort(([, a], [, b]) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+  const kept = new Set(active.slice(0, Math.max(0, CONFIG.AUTH.MAX_SESSIONS - 1)).map(([id]) => id));
+
+  const updates = { [sessionPath(username, sessionId)]: session };
+  for (const [id] of existing) {
+    if (!kept.has(id)) updates[sessionPath(username, id)] = null;
+  }
+  await multiPathUpdate(updates);
+
+  logger.info(`[Sessions] 创建会话 (username: ${username}, sessionId: ${sessionId}, removed: ${Object.keys(updates).length - 1})`);
+  return { sessionId, refreshToken: token, refreshTokenExpiresAt: session.expiresAt };
+}
+
+/**
+* 用刷新令牌换取新的刷新令牌 (轮换)，会话的有效期从现在起重新计算。
+* 令牌的随机部分与上一次轮换前的令牌匹配时视为旧令牌被重用，吊销整个会话；与两者都不匹配时只是无效令牌，会话不受影响。
+* @param {string} refreshToken - 刷新令牌
+* @returns {Promise<{ username: string, sessionId: string, refreshToken: string, refreshTokenExpiresAt: string }>}
+* @throws {UnauthorizedError} 如果令牌格式不正确或会话不存在 (INVALID_REFRESH_TOKEN)、会话已过期 (REFRESH_TOKEN_EXPIRED)
+*   或检测到令牌重用 (REFRESH_TOKEN_REUSED)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    sessionRefreshes.inc({ outcome: 'invalid' });
+    throw new UnauthorizedError('INVALID_REFRESH_TOKEN');
+  }
+  const { username, sessionId, secret } = parsed;
+  const next = createRefreshToken(username, sessionId);
+
+  // Firebase 可能先用本地缓存 (null) 调用更新函数，因此不能用 undefined 中止事务；
+  // 不是会话时原样写回，不改变任何数据；过期和重用时写入 null 即删除会话
+  let outcome;
+  let updated;
+  await transaction(sessionPath(username, sessionId), current => {
+    const now = Date.now();
+    if (!isSession(current)) {
+      outcome = 'invalid';
+      return current;
+    }
+    if (isExpired(current, now)) {
+      outcome = 'expired';
+      return null;
+    }
+    if (!secretMatches(current.tokenHash, secret)) {
+      if (current.previousTokenHash && secretMatches(current.previousTokenHash, secret)) {
+        outcome = 'reused';
+        return null;
+      }
+      outcome = 'invalid';
+      return current;
+    }
+    outcome = 'rotated';
+    updated = {
+      ...current,
+      tokenHash: next.tokenHash,
+      previousTokenHash: current.tokenHash,
+      lastSeenAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CONFIG.AUTH.REFRESH_TOKEN_TTL * 1000).toISOString()
+    };
+    return updated;
+  });
+
+  sessionRefreshes.inc({ outcome });
+  if (outcome === 'reused') {
+    logger.warn(`[Sessions] 检测到刷新令牌重用，已吊销会话 (username: ${username}, sessionId: ${sessionId})`);
+    throw new UnauthorizedError('REFRESH_TOKEN_REUSED');
+  }
+  if (outcome === 'expired') throw new UnauthorizedError('REFRESH_TOKEN_EXPIRED');
+  if (outcome !== 'rotated') throw new UnauthorizedError('INVALID_REFRESH_TOKEN');
+
+  logger.info(`[Sessions] 刷新令牌已轮换 (username: ${username}, sessionId: ${sessionId})`);
+  return { username, sessionId, refreshToken: next.token, refreshTokenExpiresAt: updated.expiresAt };
+}
+
+/**
+* 确认会话仍然有效，并按 CONFIG.AUTH.SESSION_TOUCH_INTERVAL 更新最近活动时间 (更新失败不影响请求)。
+* @param {string} username - 用户名
+* @param {string} sessionId - 会话 ID
+* @returns {Promise<boolean>} - 会话存在且未过期时为 true
+* @throws {Error} 如果读取会话失败
+*/
+export async function touchSession(username, sessionId) {
+  const path = sessionPath(username, sessionId);
+  const session = await read(path);
+  if (!isSession(session) || isExpired(session)) return false;
+
+  const now = Date.now();
+  if (now - Date.parse(session.lastSeenAt) >= CONFIG.AUTH.SESSION_TOUCH_INTERVAL * 1000) {
+    try {
+      await write(path, { lastSeenAt: new Date(now).toISOString() }, { method: 'update' });
+    } catch (error) {
+      logger.warn(`[Sessions] 更新会话活动时间失败 (username: ${username})`, error);
+    }
+  }
+  return true;
+}
+
+/**
+* 列出用户的有效会话，按最近活动时间倒序。
+* @param {object} data
+* @param {string} data.username - 用户名
+* @param {object} [context]
+* @param {{ sessionId?: string }|null} [context.user] - 当前用户，其所在的会话标记为 current
+* @returns {Promise<Array<{ id: string, userAgent: string|null, createdAt: string, lastSeenAt: string, expiresAt: string, current: boolean }>>}
+* @throws {Error} 如果数据库操作失败
+*/
+export async function listSessions({ username }, { user = null } = {}) {
+  const sessions = (await read(userSessionsPath(username))) || {};
+  const now = Date.now();
+  return Object.entries(sessions)
+    .filter(([, value]) => isSession(value) && !isExpired(value, now))
+    .map(([id, value]) => ({ ...toSessionInfo(id, value), current: id === user?.sessionId }))
+    .sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+}
+
+/**
+* 吊销用户的一个会话，该会话的刷新令牌和访问令牌立即失效。
+* @param {object} data
+* @param {string} data.username - 用户名
+* @param {string} data.sessionId - 会话 ID
+* @returns {Promise<{ revoked: number }>}
+* @throws {NotFoundError} 如果会话不存在 (SESSION_NOT_FOUND)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function revokeSession({ username, sessionId }) {
+  const path = sessionPath(username, sessionId);
+  if (!isSession(await read(path))) throw new NotFoundError('SESSION_NOT_FOUND');
+  await del(path);
+  logger.info(`[Sessions] 会话已吊销 (username: ${username}, sessionId: ${sessionId})`);
+  return { revoked: 1 };
+}
+
+/**
+* 吊销用户的所有会话 (包括当前会话)，用于"退出所有设备"、修改密码和删除用户。
+* @param {object} data
+* @param {string} data.username - 用户名
+* @returns {Promise<{ revoked: number }>} - revoked 为吊销的会话数
+* @throws {Error} 如果数据库操作失败
+*/
+export async function revokeAllSessions({ username }) {
+  const sessions = (await read(userSessionsPath(username))) || {};
+  const revoked = Object.values(sessions).filter(isSession).length;
+  await del(userSessionsPath(username));
+  logger.info(`[Sessions] 已吊销用户的所有会话 (username: ${username}, revoked: ${revoked})`);
+  return { revoked };
+}
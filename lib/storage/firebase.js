@@ -0,0 +1,81 @@
+// lib/storage/firebase.js - Firebase Realtime Database 存储适配器
+import { initializeApp, getApps } from 'firebase/app';
+import {
+  getDatabase, ref, get, set, update, remove, runTransaction, goOffline,
+  query, orderByChild, equalTo, limitToFirst, limitToLast
+} from 'firebase/database';
+import { applyQuery } from './tree.js';
+
+/**
+* 创建 Firebase Realtime Database 适配器。
+* 适配器接口与 lib/storage/local.js 保持一致：get / set / update / remove / transaction。
+* @param {object} options
+* @param {object} options.config - Firebase 应用配置 (来自 FIREBASE_* 环境变量)
+* @param {object} options.logger - lib/utils.js 中的 logger
+* @returns {object} - 存储适配器
+*/
+export function createFirebaseAdapter({ config, logger }) {
+  let db = null;
+
+  const adapter = {
+    name: 'firebase',
+
+    init() {
+      if (db) return;
+      const app = getApps()[0] || initializeApp(config);
+      db = getDatabase(app);
+      logger.info('[Storage] Firebase 适配器初始化成功');
+    },
+
+    async get(path) {
+      const snapshot = await get(ref(db, path));
+      return snapshot.val();
+    },
+
+    // Firebase 只支持按单个字段排序/过滤：第一个 where 条件在服务端执行，其余条件和排序在内存中补全。
+    // 生产环境需在数据库规则中为相应字段配置 .indexOn，否则 Firebase 会下载整个节点。
+    async query(path, options = {}) {
+      const { where = {}, orderBy, descending = false, limit } = options;
+      const conditions = Object.entries(where);
+      const constraints = [];
+      if (conditions.length > 0) {
+        const [field, value] = conditions[0];
+        constraints.push(orderByChild(field), equalTo(value ?? null));
+      } else if (orderBy) {
+        constraints.push(orderByChild(orderBy));
+        if (limit) constraints.push(descending ? limitToLast(limit) : limitToFirst(limit));
+      }
+
+      const snapshot = await get(query(ref(db, path), ...constraints));
+      const entries = [];
+      snapshot.forEach(child => {
+        entries.push({ key: child.key, value: child.val() });
+      });
+      return applyQuery(entries, options);
+    },
+
+    set(path, value) {
+      return set(ref(db, path), value);
+    },
+
+    // values 的键可以是包含 '/' 的相对路径，Firebase 会在一次原子操作中写入所有位置
+    update(path, values) {
+      return update(ref(db, path), values);
+    },
+
+    remove(path) {
+      return remove(ref(db, path));
+    },
+
+    // 返回 Firebase 原生的 TransactionResult ({ committed, snapshot })
+    transaction(path, updateFunction) {
+      return runTransaction(ref(db, path), updateFunction);
+    },
+
+    async close() {
+      if (db) goOffline(db);
+    }
+  };
+
+  return adapter;
+}
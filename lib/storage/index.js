@@ -0,0 +1,47 @@
+// lib/storage/index.js - 存储适配器注册表
+// 每个适配器都是一个工厂函数，返回实现以下接口的对象：
+//   name                              适配器名称
+//   init()                            初始化连接/加载数据 (幂等)
+//   get(path)                         读取路径上的值，不存在时返回 null
+//   query(path, options)              查询子节点 ({ where, orderBy, descending, limit })，返回 [{ key, value }]
+//   set(path, value)                  覆盖写入，value 为 null 时删除
+//   update(path, values)              合并写入，values 的键可以是相对路径，一次写入多个位置
+//   remove(path)                      删除路径
+//   transaction(path, updateFunction) 原子读-改-写，返回 { committed, snapshot }
+//   close()                           释放资源
+import { createFirebaseAdapter } from './firebase.js';
+import { createLocalAdapter } from './local.js';
+import { createSqliteAdapter } from './sqlite.js';
+
+const adapterFactories = {
+  firebase: createFirebaseAdapter,
+  local: createLocalAdapter,
+  sqlite: createSqliteAdapter
+};
+
+/**
+* 注册自定义存储适配器。
+* @param {string} name - 适配器名称，对应 STORAGE_DRIVER 环境变量
+* @param {Function} factory - 接收 options 并返回适配器对象的工厂函数
+*/
+export function registerStorageAdapter(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new TypeError(`Storage adapter factory for "${name}" must be a function.`);
+  }
+  adapterFactories[name] = factory;
+}
+
+/**
+* 按名称创建存储适配器。
+* @param {string} driver - 适配器名称 ('firebase' | 'local' | 'sqlite' | 已注册的自定义名称)
+* @param {object} options - 传给工厂函数的选项
+* @returns {object} - 存储适配器
+* @throws {Error} 如果适配器名称未知
+*/
+export function createStorageAdapter(driver, options) {
+  const factory = adapterFactories[driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver} (available: ${Object.keys(adapterFactories).join(', ')})`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,123 @@
+// lib/storage/local.js - 本地存储适配器 (内存 + 可选 JSON 文件持久化)
+// 数据以与 Firebase 相同的树形结构保存，路径语义、null 删除语义和事务语义都与 Firebase 保持一致，
+// 因此 lib/ 下的业务模块无需区分当前使用的是哪种存储。
+import fs from 'fs';
+import path from 'path';
+import {
+  splitPath, normalizeValue, getAtPath, setAtPath, clone, createSnapshot, applyQuery, childEntries
+} from './tree.js';
+
+/**
+* 创建本地存储适配器。
+* 所有写操作在进程内串行执行，事务函数在执行期间看到的数据不会被其他写操作修改，
+* 因此与 Firebase 事务一样，要么完整提交，要么 (返回 undefined 时) 完全放弃。
+* 注意：JSON 文件只适合单进程使用，多个进程共享同一个文件会互相覆盖。
+* @param {object} options
+* @param {string|null} [options.file] - JSON 持久化文件路径，为空时仅保存在内存中
+* @param {object} options.logger - lib/utils.js 中的 logger
+* @returns {object} - 存储适配器
+*/
+export function createLocalAdapter({ file = null, logger }) {
+  let root = null;
+  let initialized = false;
+  let queue = Promise.resolve();
+
+  // 串行执行队列：保证读-改-写过程不会与其他写操作交错
+  function exclusive(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function persist() {
+    if (!file) return;
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify(root ?? {}), 'utf8');
+    await fs.promises.rename(tmpFile, file); // rename 保证文件不会出现写了一半的状态
+  }
+
+  async function mutate(applyChange) {
+    const previous = root;
+    root = applyChange(clone(root));
+    try {
+      await persist();
+    } catch (error) {
+      root = previous; // 持久化失败时回滚内存中的修改
+      throw error;
+    }
+  }
+
+  const adapter = {
+    name: 'local',
+
+    init() {
+      if (initialized) return;
+      if (file) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        if (fs.existsSync(file)) {
+          const content = fs.readFileSync(file, 'utf8');
+          root = content.trim() ? normalizeValue(JSON.parse(content)) : null;
+        }
+        logger.info(`[Storage] 本地适配器初始化成功 (file: ${file})`);
+      } else {
+        logger.warn('[Storage] 本地适配器以纯内存模式运行，进程退出后数据将丢失');
+      }
+      initialized = true;
+    },
+
+    async get(dbPath) {
+      return clone(getAtPath(root, splitPath(dbPath)));
+    },
+
+    async query(dbPath, options) {
+      return clone(applyQuery(childEntries(getAtPath(root, splitPath(dbPath))), options));
+    },
+
+    set(dbPath, value) {
+      const normalized = normalizeValue(value);
+      return exclusive(() => mutate(tree => setAtPath(tree, splitPath(dbPath), normalized)));
+    },
+
+    // values 的键可以是包含 '/' 的相对路径，所有位置在一次写入中生效
+    update(dbPath, values) {
+      const base = splitPath(dbPath);
+      const changes = Object.entries(values || {}).map(([key, value]) => [
+        [...base, ...splitPath(key)],
+        normalizeValue(value)
+      ]);
+      return exclusive(() => mutate(tree => {
+        let next = tree;
+        for (const [segments, value] of changes) {
+          next = setAtPath(next, segments, value);
+        }
+        return next;
+      }));
+    },
+
+    remove(dbPath) {
+      return exclusive(() => mutate(tree => setAtPath(tree, splitPath(dbPath), null)));
+    },
+
+    // 与 Firebase 一致：updateFunction 返回 undefined 放弃事务，返回 null 删除节点
+    transaction(dbPath, updateFunction) {
+      const segments = splitPath(dbPath);
+      const key = segments.length > 0 ? segments[segments.length - 1] : null;
+      return exclusive(async () => {
+        const current = getAtPath(root, segments);
+        const next = updateFunction(clone(current));
+        if (next === undefined) {
+          return { committed: false, snapshot: createSnapshot(key, current) };
+        }
+        const normalized = normalizeValue(next);
+        await mutate(tree => setAtPath(tree, segments, normalized));
+        return { committed: true, snapshot: createSnapshot(key, normalized) };
+      });
+    },
+
+    async close() {
+      await queue;
+    }
+  };
+
+  return adapter;
+}
@@ -0,0 +1,505 @@
+// lib/storage/sqlite.js - SQLite 存储适配器 (关系型表结构)
+// 对外仍然呈现与 Firebase 相同的路径/树形数据模型，内部把已知的集合映射到关系表：
+//   users/{username}                 -> users
+//   articles/{postId}                -> articles
+//   comments/{postId}/{commentId}    -> comments (parent_id 外键指向同一文章下的父评论)
+//   articleLikes/{likeKey}           -> article_likes
+//   commentLikes/{postId}/{username}/{commentId} -> comment_likes (外键指向被点赞的评论)
+// 其他集合以 JSON 形式保存在 kv 表中 (按 {collection}/{key} 一行)。
+// 没有对应列的字段 (例如评论的 children 映射) 以 JSON 保存在每行的 extra 列中。
+import { createRequire } from 'module';
+import {
+  splitPath, normalizeValue, getAtPath, setAtPath, clone, createSnapshot, applyQuery, childEntries
+} from './tree.js';
+
+const require = createRequire(import.meta.url);
+
+// 外键均为 DEFERRABLE INITIALLY DEFERRED：同一事务内写入的顺序不受限制，提交时才检查引用完整性
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+  username    TEXT PRIMARY KEY,
+  email       TEXT,
+  password    TEXT,
+  role        TEXT,
+  is_active   INTEGER,
+  created_at  TEXT,
+  last_login  TEXT,
+  extra       TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users (email);
+
+CREATE TABLE IF NOT EXISTS articles (
+  post_id     TEXT PRIMARY KEY,
+  likes       INTEGER,
+  extra       TEXT
+);
+
+CREATE TABLE IF NOT EXISTS comments (
+  post_id     TEXT NOT NULL,
+  id          TEXT NOT NULL,
+  parent_id   TEXT,
+  name        TEXT,
+  email       TEXT,
+  content     TEXT,
+  floor       INTEGER,
+  likes       INTEGER,
+  total_likes INTEGER,
+  is_guest    INTEGER,
+  created_at  TEXT,
+  updated_at  TEXT,
+  extra       TEXT,
+  PRIMARY KEY (post_id, id),
+  FOREIGN KEY (post_id, parent_id) REFERENCES comments (post_id, id)
+    ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments (post_id, parent_id);
+CREATE INDEX IF NOT EXISTS idx_comments_floor ON comments (post_id, floor);
+
+-- 点赞记录的 username 不设外键：游客名和历史数据中的用户名不一定存在于 users 表
+CREATE TABLE IF NOT EXISTS article_likes (
+  like_key    TEXT PRIMARY KEY,
+  username    TEXT,
+  post_id     TEXT,
+  created_at  TEXT,
+  extra       TEXT,
+  FOREIGN KEY (post_id) REFERENCES articles (post_id)
+    ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+);
+CREATE INDEX IF NOT EXISTS idx_article_likes_user_post ON article_likes (username, post_id);
+CREATE INDEX IF NOT EXISTS idx_article_likes_post ON article_likes (post_id);
+
+CREATE TABLE IF NOT EXISTS comment_likes (
+  post_id     TEXT NOT NULL,
+  username    TEXT NOT NULL,
+  comment_id  TEXT NOT NULL,
+  created_at  TEXT,
+  extra       TEXT,
+  PRIMARY KEY (post_id, username, comment_id),
+  FOREIGN KEY (post_id, comment_id) REFERENCES comments (post_id, id)
+    ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+);
+CREATE INDEX IF NOT EXISTS idx_comment_likes_comment ON comment_likes (post_id, comment_id);
+
+CREATE TABLE IF NOT EXISTS kv (
+  collection  TEXT NOT NULL,
+  key         TEXT NOT NULL,
+  value       TEXT NOT NULL,
+  PRIMARY KEY (collection, key)
+);
+`;
+
+// 表结构版本 (记录在 PRAGMA user_version 中)，与 lib/migrations.js 管理的数据版本相互独立。
+// TABLE_UPGRADES[n] 把版本 n-1 的数据库文件升级到版本 n。
+const TABLE_SCHEMA_VERSION = 2;
+const TABLE_UPGRADES = {
+  // 2: comment_likes 改为与 commentLikes/{postId}/{username}/{commentId} 对应的复合主键
+  2: `
+DROP INDEX IF EXISTS idx_comment_likes_user_post;
+DROP INDEX IF EXISTS idx_comment_likes_comment;
+ALTER TABLE comment_likes RENAME TO comment_likes_v1;
+CREATE TABLE IF NOT EXISTS comment_likes (
+  post_id     TEXT NOT NULL,
+  username    TEXT NOT NULL,
+  comment_id  TEXT NOT NULL,
+  created_at  TEXT,
+  extra       TEXT,
+  PRIMARY KEY (post_id, username, comment_id),
+  FOREIGN KEY (post_id, comment_id) REFERENCES comments (post_id, id)
+    ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED
+);
+CREATE INDEX IF NOT EXISTS idx_comment_likes_comment ON comment_likes (post_id, comment_id);
+INSERT OR IGNORE INTO comment_likes (post_id, username, comment_id, created_at, extra)
+  SELECT post_id, username, comment_id, created_at, extra FROM comment_likes_v1
+  WHERE post_id IS NOT NULL AND username IS NOT NULL AND comment_id IS NOT NULL;
+DROP TABLE comment_likes_v1;
+`
+};
+
+// --- 字段编解码 ---
+const isScalar = value => typeof value === 'string' || typeof value === 'number';
+
+const CODECS = {
+  value: {
+    accepts: isScalar,
+    encode: value => value,
+    decode: value => value
+  },
+  boolean: {
+    accepts: value => typeof value === 'boolean' || typeof value === 'number',
+    encode: value => (typeof value === 'boolean' ? Number(value) : value),
+    decode: value => (typeof value === 'number' ? value !== 0 : value)
+  },
+  // 顶层评论的 parentId 为 '0'，在表中存为 NULL 以满足外键约束
+  parentId: {
+    accepts: value => typeof value === 'string',
+    encode: value => (value === '0' ? null : value),
+    decode: value => value ?? '0',
+    decodeNull: true
+  }
+};
+
+function defineCollection(name, { table, keys, fields = {} }) {
+  return {
+    name,
+    table,
+    keys, // [{ column, field? }]：路径中的键依次对应的列，field 表示该键同时作为记录字段返回
+    fields: Object.entries(fields).map(([field, spec]) => {
+      const [column, codec = 'value'] = Array.isArray(spec) ? spec : [spec];
+      return { field, column, codec: CODECS[codec] };
+    })
+  };
+}
+
+const COLLECTIONS = {
+  users: defineCollection('users', {
+    table: 'users',
+    keys: [{ column: 'username', field: 'username' }],
+    fields: {
+      email: 'email', password: 'password', role: 'role', isActive: ['is_active', 'boolean'],
+      createdAt: 'created_at', lastLogin: 'last_login'
+    }
+  }),
+  articles: defineCollection('articles', {
+    table: 'articles',
+    keys: [{ column: 'post_id' }],
+    fields: { likes: 'likes' }
+  }),
+  comments: defineCollection('comments', {
+    table: 'comments',
+    keys: [{ column: 'post_id', field: 'postId' }, { column: 'id', field: 'id' }],
+    fields: {
+      parentId: ['parent_id', 'parentId'], name: 'name', email: 'email', content: 'content',
+      floor: 'floor', likes: 'likes', totalLikes: 'total_likes', isGuest: ['is_guest', 'boolean'],
+      createdAt: 'created_at', updatedAt: 'updated_at'
+    }
+  }),
+  articleLikes: defineCollection('articleLikes', {
+    table: 'article_likes',
+    keys: [{ column: 'like_key' }],
+    fields: { username: 'username', postId: 'post_id', createdAt: 'created_at' }
+  }),
+  commentLikes: defineCollection('commentLikes', {
+    table: 'comment_likes',
+    keys: [
+      { column: 'post_id', field: 'postId' },
+      { column: 'username', field: 'username' },
+      { column: 'comment_id', field: 'commentId' }
+    ],
+    fields: { createdAt: 'created_at' }
+  })
+};
+
+// 未映射到关系表的集合：整条记录以 JSON 保存在 kv 表中
+function kvCollection(name) {
+  return { name, table: 'kv', keys: [{ column: 'key' }], fields: [], kv: true };
+}
+
+/**
+* 创建 SQLite 存储适配器 (依赖可选依赖 better-sqlite3)。
+* better-sqlite3 是同步 API，每个操作都在单个 SQLite 事务中完成，
+* 因此 update 的多路径写入和 transaction 的读-改-写都是原子的，并且可以跨进程使用同一个数据库文件。
+* @param {object} options
+* @param {string|null} [options.file] - 数据库文件路径，为空时使用内存数据库
+* @param {object} options.logger - lib/utils.js 中的 logger
+* @returns {object} - 存储适配器
+*/
+export function createSqliteAdapter({ file = null, logger }) {
+  let db = null;
+  const statements = new Map();
+
+  function prepare(sql) {
+    if (!statements.has(sql)) statements.set(sql, db.prepare(sql));
+    return statements.get(sql);
+  }
+
+  function collectionFor(name) {
+    return COLLECTIONS[name] || kvCollection(name);
+  }
+
+  // 返回 [WHERE 子句, 参数]，按路径中的键前缀过滤
+  function keyFilter(collection, keyValues) {
+    const clauses = collection.kv ? ['collection = ?'] : [];
+    const params = collection.kv ? [collection.name] : [];
+    keyValues.forEach((value, index) => {
+      clauses.push(`${collection.keys[index].column} = ?`);
+      params.push(value);
+    });
+    return [clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params];
+  }
+
+  function encodeRow(collection, value) {
+    if (collection.kv) return { value: JSON.stringify(value) };
+
+    const rest = { ...value };
+    for (const key of collection.keys) if (key.field) delete rest[key.field];
+
+    const columns = {};
+    for (const { field, column, codec } of collection.fields) {
+      columns[column] = null;
+      // 类型不符合列定义的值保留在 extra 中，保证读出的数据与写入时完全一致
+      if (field in rest && codec.accepts(rest[field])) {
+        columns[column] = codec.encode(rest[field]);
+        delete rest[field];
+      }
+    }
+    columns.extra = Object.keys(rest).length > 0 ? JSON.stringify(rest) : null;
+    return columns;
+  }
+
+  function decodeRow(collection, row) {
+    if (collection.kv) return JSON.parse(row.value);
+
+    const value = row.extra ? JSON.parse(row.extra) : {};
+    let hasContent = Object.keys(value).length > 0;
+    for (const { field, column, codec } of collection.fields) {
+      if (row[column] === null && !codec.decodeNull) continue;
+      value[field] = codec.decode(row[column]);
+      if (row[column] !== null) hasContent = true;
+    }
+    if (!hasContent) return null;
+    for (const key of collection.keys) if (key.field) value[key.field] = row[key.column];
+    return value;
+  }
+
+  function rowKeyValues(collection, row) {
+    return collection.keys.map(key => row[key.column]);
+  }
+
+  function loadRows(collection, keyValues) {
+    const [where, params] = keyFilter(collection, keyValues);
+    const order = collection.keys.map(key => key.column).join(', ');
+    const rows = prepare(`SELECT * FROM ${collection.table} ${where} ORDER BY ${order}`).all(...params)
+      .map(row => ({ keyValues: rowKeyValues(collection, row), value: decodeRow(collection, row) }));
+    return rows.filter(row => row.value !== null);
+  }
+
+  function loadRow(collection, keyValues) {
+    const [row] = loadRows(collection, keyValues);
+    return row ? row.value : null;
+  }
+
+  function saveRow(collection, keyValues, value) {
+    const [where, params] = keyFilter(collection, keyValues);
+    if (value === null) {
+      prepare(`DELETE FROM ${collection.table} ${where}`).run(...params);
+      return;
+    }
+
+    const keyColumns = [...(collection.kv ? ['collection'] : []), ...collection.keys.map(key => key.column)];
+    const columns = encodeRow(collection, value);
+    const allColumns = [...keyColumns, ...Object.keys(columns)];
+    const assignments = Object.keys(columns).map(column => `${column} = excluded.${column}`).join(', ');
+    prepare(
+      `INSERT INTO ${collection.table} (${allColumns.join(', ')}) VALUES (${allColumns.map(() => '?').join(', ')}) ` +
+      `ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${assignments}`
+    ).run(...params, ...Object.values(columns));
+  }
+
+  // 把子树拆分为 [相对键, 记录] 列表，depth 为子树根到记录所在层级的距离
+  function flattenRows(value, depth, prefix = []) {
+    if (depth === 0) return [[prefix, value]];
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Cannot store a non-object value above record level (path: ${prefix.join('/') || '/'})`);
+    }
+    return Object.entries(value).flatMap(([key, child]) => flattenRows(child, depth - 1, [...prefix, key]));
+  }
+
+  function listCollections() {
+    const kvNames = prepare('SELECT DISTINCT collection FROM kv ORDER BY collection').all().map(row => row.collection);
+    return [...Object.keys(COLLECTIONS), ...kvNames.filter(name => !COLLECTIONS[name])];
+  }
+
+  function getValue(segments) {
+    if (segments.length === 0) {
+      let tree = null;
+      for (const name of listCollections()) {
+        tree = setAtPath(tree, [name], getValue([name]));
+      }
+      return tree;
+    }
+
+    const collection = collectionFor(segments[0]);
+    const rest = segments.slice(1);
+    const depth = collection.keys.length;
+    if (rest.length >= depth) {
+      return getAtPath(loadRow(collection, rest.slice(0, depth)), rest.slice(depth));
+    }
+
+    let tree = null;
+    for (const row of loadRows(collection, rest)) {
+      tree = setAtPath(tree, row.keyValues.slice(rest.length), row.value);
+    }
+    return tree;
+  }
+
+  // value 必须已经过 normalizeValue 处理
+  function setValue(segments, value) {
+    if (segments.length === 0) {
+      for (const name of listCollections()) setValue([name], null);
+      for (const [name, child] of Object.entries(value || {})) setValue([name], child);
+      return;
+    }
+
+    const collection = collectionFor(segments[0]);
+    const rest = segments.slice(1);
+    const depth = collection.keys.length;
+    if (rest.length >= depth) {
+      const keyValues = rest.slice(0, depth);
+      const subPath = rest.slice(depth);
+      const current = subPath.length > 0 ? loadRow(collection, keyValues) : null;
+      saveRow(collection, keyValues, normalizeValue(setAtPath(current, subPath, value)));
+      return;
+    }
+
+    // 覆盖整个子树：删除新值中不存在的记录，其余记录逐条写入 (不先删后插，避免触发级联删除)
+    const rows = value === null ? [] : flattenRows(value, depth - rest.length);
+    const keep = new Set(rows.map(([keys]) => keys.join('/')));
+    for (const existing of loadRows(collection, rest)) {
+      const relativeKeys = existing.keyValues.slice(rest.length);
+      if (!keep.has(relativeKeys.join('/'))) saveRow(collection, existing.keyValues, null);
+    }
+    for (const [relativeKeys, rowValue] of rows) {
+      saveRow(collection, [...rest, ...relativeKeys], rowValue);
+    }
+  }
+
+  // 能直接映射为 SQL 的条件在数据库中执行 (走索引)，其余条件在内存中补全
+  function queryRows(collection, keyValues, { where = {}, orderBy, descending = false, limit } = {}) {
+    const [baseWhere, params] = keyFilter(collection, keyValues);
+    const clauses = baseWhere ? [baseWhere.replace(/^WHERE /, '')] : [];
+    const remaining = {};
+    const lastKey = collection.keys[collection.keys.length - 1];
+
+    for (const [field, expected] of Object.entries(where)) {
+      const spec = collection.fields.find(item => item.field === field);
+      const encoded = spec && (expected === null || spec.codec.accepts(expected)) ? spec.codec.encode(expected ?? null) : undefined;
+      if (encoded === undefined) {
+        remaining[field] = expected;
+      } else if (encoded === null) {
+        clauses.push(`${spec.column} IS NULL`);
+      } else {
+        clauses.push(`${spec.column} = ?`);
+        params.push(encoded);
+      }
+    }
+
+    const orderSpec = orderBy ? collection.fields.find(item => item.field === orderBy) : null;
+    const direction = descending ? 'DESC' : 'ASC';
+    const order = [orderSpec ? `${orderSpec.column} ${direction}` : null, `${lastKey.column} ${direction}`].filter(Boolean);
+    const canLimit = limit && Object.keys(remaining).length === 0 && (!orderBy || orderSpec);
+
+    const sql = `SELECT * FROM ${collection.table}` +
+      (clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '') +
+      ` ORDER BY ${order.join(', ')}` +
+      (canLimit ? ` LIMIT ${Number(limit)}` : '');
+    const rows = prepare(sql).all(...params)
+      .map(row => ({ keyValues: rowKeyValues(collection, row), value: decodeRow(collection, row) }));
+
+    const entries = rows
+      .filter(row => row.value !== null)
+      .map(row => ({ key: row.keyValues[row.keyValues.length - 1], value: row.value }));
+    return applyQuery(entries, { where: remaining, orderBy, descending, limit });
+  }
+
+  function upgradeTables() {
+    let version = db.pragma('user_version', { simple: true });
+    const hasTables = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'comments'").get();
+    if (version === 0 && hasTables) version = 1; // 第一版表结构没有记录 user_version
+    if (version === TABLE_SCHEMA_VERSION) return;
+
+    db.transaction(() => {
+      if (version === 0) {
+        db.exec(SCHEMA);
+      } else {
+        for (let next = version + 1; next <= TABLE_SCHEMA_VERSION; next++) db.exec(TABLE_UPGRADES[next]);
+      }
+      db.pragma(`user_version = ${TABLE_SCHEMA_VERSION}`);
+    }).immediate();
+    logger.info(`[Storage] SQLite 表结构已升级 (from: ${version}, to: ${TABLE_SCHEMA_VERSION})`);
+  }
+
+  const adapter = {
+    name: 'sqlite',
+
+    init() {
+      if (db) return;
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('SQLite storage requires the optional "better-sqlite3" dependency.');
+      }
+      db = new Database(file || ':memory:');
+      db.pragma('journal_mode = WAL');
+      db.pragma('busy_timeout = 5000');
+      db.pragma('foreign_keys = ON');
+      upgradeTables();
+      if (file) {
+        logger.info(`[Storage] SQLite 适配器初始化成功 (file: ${file})`);
+      } else {
+        logger.warn('[Storage] SQLite 适配器使用内存数据库，进程退出后数据将丢失');
+      }
+    },
+
+    async get(dbPath) {
+      return getValue(splitPath(dbPath));
+    },
+
+    async query(dbPath, options) {
+      const segments = splitPath(dbPath);
+      if (segments.length > 0) {
+        const collection = collectionFor(segments[0]);
+        const rest = segments.slice(1);
+        if (rest.length === collection.keys.length - 1) {
+          return queryRows(collection, rest, options);
+        }
+      }
+      return applyQuery(childEntries(getValue(segments)), options);
+    },
+
+    async set(dbPath, value) {
+      const normalized = normalizeValue(value);
+      db.transaction(() => setValue(splitPath(dbPath), normalized)).immediate();
+    },
+
+    // values 的键可以是包含 '/' 的相对路径，所有位置在同一个 SQLite 事务中写入
+    async update(dbPath, values) {
+      const base = splitPath(dbPath);
+      const changes = Object.entries(values || {}).map(([key, value]) => [
+        [...base, ...splitPath(key)],
+        normalizeValue(value)
+      ]);
+      db.transaction(() => {
+        for (const [segments, value] of changes) setValue(segments, value);
+      }).immediate();
+    },
+
+    async remove(dbPath) {
+      db.transaction(() => setValue(splitPath(dbPath), null)).immediate();
+    },
+
+    // 与 Firebase 一致：updateFunction 返回 undefined 放弃事务，返回 null 删除节点
+    async transaction(dbPath, updateFunction) {
+      const segments = splitPath(dbPath);
+      const key = segments.length > 0 ? segments[segments.length - 1] : null;
+      return db.transaction(() => {
+        const current = getValue(segments);
+        const next = updateFunction(clone(current));
+        if (next === undefined) {
+          return { committed: false, snapshot: createSnapshot(key, current) };
+        }
+        const normalized = normalizeValue(next);
+        setValue(segments, normalized);
+        return { committed: true, snapshot: createSnapshot(key, getValue(segments)) };
+      }).immediate();
+    },
+
+    async close() {
+      if (db) db.close();
+      db = null;
+      statements.clear();
+    }
+  };
+
+  return adapter;
+}
@@ -0,0 +1,174 @@
+// lib/storage/tree.js - 存储适配器共用的树形数据工具函数
+// 所有适配器都对外呈现与 Firebase Realtime Database 相同的路径/树形数据模型。
+
+/**
+* 将路径拆分为层级数组，忽略首尾及重复的 '/'。
+* @param {string} dbPath - 例如 'comments/post1/abc'
+* @returns {string[]}
+*/
+export function splitPath(dbPath) {
+  return String(dbPath || '').split('/').filter(Boolean);
+}
+
+/**
+* 按 Firebase 的规则规范化写入值：深拷贝，去除 null/undefined，空对象和空数组视为不存在。
+* @param {*} value
+* @returns {*} - 规范化后的值，不存在时返回 null
+*/
+export function normalizeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'function') throw new Error('Cannot store a function value.');
+  if (typeof value !== 'object') return value;
+
+  // 借助 JSON 处理 Date 等对象 (与 Firebase SDK 的序列化行为一致)
+  if (typeof value.toJSON === 'function') return normalizeValue(value.toJSON());
+
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeValue);
+    return items.some(item => item !== null) ? items : null;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const normalized = normalizeValue(child);
+    if (normalized !== null) result[key] = normalized;
+  }
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+/**
+* 读取树中某个路径的值。
+* @param {*} root - 树根
+* @param {string[]} segments - 路径层级
+* @returns {*} - 对应的值，不存在时返回 null
+*/
+export function getAtPath(root, segments) {
+  let node = root;
+  for (const segment of segments) {
+    if (node === null || typeof node !== 'object' || !(segment in node)) return null;
+    node = node[segment];
+  }
+  return node === undefined ? null : node;
+}
+
+/**
+* 在树中写入某个路径的值 (原地修改)，写入 null 表示删除，并清理因此变空的父节点。
+* @param {*} root - 树根
+* @param {string[]} segments - 路径层级
+* @param {*} value - 已规范化的值
+* @returns {*} - 新的树根 (整棵树为空时返回 null)
+*/
+export function setAtPath(root, segments, value) {
+  if (segments.length === 0) return value;
+
+  const top = root !== null && typeof root === 'object' ? root : {};
+  const ancestors = [];
+  let node = top;
+  for (const segment of segments.slice(0, -1)) {
+    if (node[segment] === null || typeof node[segment] !== 'object') {
+      if (value === null) return Object.keys(top).length > 0 ? top : null; // 删除不存在的路径，无需修改
+      node[segment] = {};
+    }
+    ancestors.push([node, segment]);
+    node = node[segment];
+  }
+
+  const last = segments[segments.length - 1];
+  if (value === null) {
+    delete node[last];
+  } else {
+    node[last] = value;
+  }
+
+  // 清理变空的父节点，Firebase 中不存在空节点
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const [parent, key] = ancestors[i];
+    if (Object.keys(parent[key]).length > 0) break;
+    delete parent[key];
+  }
+  return Object.keys(top).length > 0 ? top : null;
+}
+
+/**
+* 深拷贝存储中的值，避免调用方修改到存储内部的数据。
+* @param {*} value
+* @returns {*}
+*/
+export function clone(value) {
+  return value === null ? null : structuredClone(value);
+}
+
+/**
+* 构造与 Firebase DataSnapshot 兼容的最小快照对象 (用于事务返回值)。
+* @param {string|null} key - 节点键名
+* @param {*} value - 节点值
+* @returns {{ key: string|null, val: Function, exists: Function }}
+*/
+export function createSnapshot(key, value) {
+  return {
+    key,
+    val: () => clone(value),
+    exists: () => value !== null
+  };
+}
+
+// Firebase 的排序规则：null < false < true < 数字 < 字符串 < 对象
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+}
+
+/**
+* 按 Firebase 的排序规则比较两个值。
+* @param {*} a
+* @param {*} b
+* @returns {number}
+*/
+export function compareValues(a, b) {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (typeof a === 'number') return a - b;
+  if (typeof a === 'string') return a < b ? -1 : (a > b ? 1 : 0);
+  return 0;
+}
+
+/**
+* 在内存中对子节点列表执行查询 (过滤、排序、截取)。
+* 供不支持服务端查询的适配器使用，也用于补全 Firebase 只能按单个字段查询的限制。
+* @param {Array<{ key: string, value: * }>} entries - 子节点列表
+* @param {object} [options]
+* @param {object} [options.where] - 字段等值条件，例如 { parentId: '0' }；null 匹配缺失的字段
+* @param {string} [options.orderBy] - 排序字段，默认按键名排序
+* @param {boolean} [options.descending=false] - 是否降序
+* @param {number} [options.limit] - 最多返回的条数
+* @returns {Array<{ key: string, value: * }>}
+*/
+export function applyQuery(entries, { where = {}, orderBy, descending = false, limit } = {}) {
+  const conditions = Object.entries(where);
+  let result = entries.filter(({ value }) => conditions.every(([field, expected]) => {
+    const actual = value !== null && typeof value === 'object' ? value[field] : undefined;
+    return (actual ?? null) === (expected ?? null);
+  }));
+
+  result.sort((a, b) => {
+    const order = orderBy ? compareValues(a.value?.[orderBy], b.value?.[orderBy]) : 0;
+    return order !== 0 ? order : compareValues(a.key, b.key);
+  });
+  if (descending) result.reverse();
+  if (limit) result = result.slice(0, limit);
+  return result;
+}
+
+/**
+* 将对象的子节点转换为查询用的列表。
+* @param {*} node - 树节点
+* @returns {Array<{ key: string, value: * }>}
+*/
+export function childEntries(node) {
+  if (node === null || typeof node !== 'object') return [];
+  return Object.entries(node).map(([key, value]) => ({ key, value }));
+}
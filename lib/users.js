@@ -1,49 +1,72 @@
 // lib/users.js - 用户认证和管理 (修正版)
+// 参数格式 (必填、长度、格式) 由 lib/actions.js 中各 action 的 schema 统一校验，这里只处理业务规则
 import {
-  read, write, initFirebase, logger, validateInput, ValidationError, CONFIG
+  read, write, transaction, multiPathUpdate, runInBackground, logger, validateInput, CONFIG,
+  ApiError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError
 } from '../lib/utils.js';
 import bcrypt from 'bcryptjs'; // For password hashing
+import { issueAccessToken, assertAuthConfigured } from './auth.js';
+import { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } from './sessions.js';
+import { ROLES, DEFAULT_ROLE, isRole, normalizeRole, roleRank, can } from './permissions.js';
+import { sendVerificationEmail } from './emailverification.js';
+import { PASSWORD_RESETS_PATH } from './passwordreset.js';
 
 // Logger initialization consistency
 logger.info('✅ lib/users.js 加载成功');
 
-// Initialize Firebase database instance on module load
-initFirebase();
-
 const USERS_PATH = 'users'; // Base path for user data in Firebase
 
+// 用户名索引 usernames/{小写的用户名} -> 用户名：用户名不区分大小写地唯一 (注册了 bob 之后不能再注册 Bob)，
+// 游客评论的署名也按它判断是否冒用已注册的用户名 (lib/comments.js)。已有用户的索引由数据迁移 (版本 6) 补齐。
+export const USERNAMES_PATH = 'usernames';
+export const usernameKey = username => String(username).toLowerCase();
+
+// 验证邮件在响应之后发送 (runInBackground，Vercel 上由 waitUntil 保证发送完成)，注册和修改邮箱不等待邮件服务。
+// 发送失败 (邮件服务不可用等) 不影响注册和修改邮箱，用户可以稍后通过 user.resendVerification 重新发送
+function sendVerificationEmailInBackground(username, email, locale) {
+  runInBackground('verification-email', async () => {
+    try {
+      await sendVerificationEmail(username, email, locale);
+    } catch (error) {
+      logger.error(`[UsersLib] 发送验证邮件失败 (username: ${username})，可稍后重新发送:`, error);
+    }
+  });
+}
+
+// 返回给客户端的用户资料：去掉密码哈希，emailVerified 总是布尔值 (该字段出现之前注册的账号视为未验证)
+function toProfile(user) {
+  const { password: storedPasswordHash, ...userWithoutHash } = user;
+  return { ...userWithoutHash, emailVerified: !!user.emailVerified };
+}
+
+// 其他用户和匿名访问者看到的公开资料，不包含邮箱、角色和封禁等状态
+const toPublicProfile = (username, user) => ({ username, createdAt: user.createdAt || null });
+
 /**
 * 注册新用户。
 * @param {object} userData - 包含 username, email, password 的用户数据
 * @param {string} userData.username - 用户名
 * @param {string} userData.email - 邮箱
 * @param {string} userData.password - 密码
-* @returns {Promise<object>} - 注册成功的用户数据 (不含密码哈希)
-* @throws {ValidationError} 如果输入无效或用户已存在
+* @param {string} [userData.locale] - 验证邮件的语言
+* @returns {Promise<object>} - 注册成功的用户数据 (不含密码哈希)；邮箱处于未验证状态，验证邮件已发往该邮箱
+* @throws {ConflictError} 如果用户名已存在 (USERNAME_TAKEN，不区分大小写)
 * @throws {Error} 如果数据库操作失败
 */
-export async function registerUser({ username, email, password }) {
-  // --- 1. Input Validation ---
-  // FIX: 根据用户要求，注册时不再对用户名和密码进行严格的格式检查。
-  // 仅检查是否为空。
-  if (!username) throw new ValidationError('用户名不能为空');
-  if (!email || !validateInput(email, 'email')) throw new ValidationError('邮箱格式不正确'); // 邮箱格式仍需验证
-  if (!password) throw new ValidationError('密码不能为空');
-  // 移除了对 validateInput(username, 'username') 和 validateInput(password, 'password') 的严格调用
-
+export async function registerUser({ username, email, password, locale }) {
   const userPath = `${USERS_PATH}/${username}`;
   try {
-    // --- 2. Check if User Already Exists ---
+    // --- 1. Check if User Already Exists ---
     const existingUser = await read(userPath);
     if (existingUser) {
       logger.warn(`[UsersLib] registerUser: 用户名已存在 (username: ${username})`);
-      throw new ValidationError('用户名已存在');
+      throw new ConflictError('USERNAME_TAKEN');
     }
 
-    // --- 3. Hash Password ---
+    // --- 2. Hash Password ---
     const hashedPassword = await bcrypt.hash(password, 10); // Salt rounds: 10
 
-    // --- 4. Store User Data ---
+    // --- 3. Store User Data ---
     const newUser = {
       username: username,
       email: email,
@@ -52,91 +75,118 @@ export async function registerUser({ username, email, password }) {
       createdAt: new Date().toISOString(),
       lastLogin: null,
       isActive: true, // Default to active
-      role: 'user' // Default role
+      role: DEFAULT_ROLE, // 角色与权限见 lib/permissions.js
+      emailVerified: false // 打开验证邮件中的链接后为 true (lib/emailverification.js)
     };
-    await write(userPath, newUser, { method: 'set' });
+    // 先在事务中占用不区分大小写的用户名，再创建用户：两个并发注册同一用户名 (或只有大小写不同) 时只有一个能成功，另一个得到 409
+    const claim = await transaction(`${USERNAMES_PATH}/${usernameKey(username)}`, current => (current ? undefined : username));
+    if (!claim.committed) {
+      logger.warn(`[UsersLib] registerUser: 用户名已被占用 (不区分大小写，username: ${username})`);
+      throw new ConflictError('USERNAME_TAKEN');
+    }
+    const result = await transaction(userPath, current => (current ? undefined : newUser));
+    if (!result.committed) {
+      logger.warn(`[UsersLib] registerUser: 用户名已存在 (username: ${username})`);
+      throw new ConflictError('USERNAME_TAKEN');
+    }
 
     logger.info(`[UsersLib] registerUser: 用户注册成功 (username: ${username})`);
-    // FIX: 返回用户数据时，从 'password' 字段中解构出哈希值
-    const { password: storedPasswordHash, ...userWithoutHash } = newUser; // <--- 关键修改点
-    return userWithoutHash;
+    sendVerificationEmailInBackground(username, email, locale);
+    return toProfile(newUser);
 
   } catch (error) {
     logger.error(`[UsersLib] registerUser: 注册用户失败 (username: ${username}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to register user.');
   }
 }
 
+// 会话的令牌：访问令牌 accessToken、tokenType、expiresIn、expiresAt (lib/auth.js)，
+// 以及刷新令牌 refreshToken、refreshTokenExpiresAt 和会话 ID sessionId (lib/sessions.js)
+function issueTokens(username, { sessionId, refreshToken, refreshTokenExpiresAt }) {
+  return { ...issueAccessToken({ username, sessionId }), refreshToken, refreshTokenExpiresAt, sessionId };
+}
+
 /**
 * 用户登录。
 * @param {object} credentials - 包含 username, password 的凭据
 * @param {string} credentials.username - 用户名
 * @param {string} credentials.password - 密码
-* @returns {Promise<object>} - 登录成功的用户数据 (不含密码哈希)
-* @throws {ValidationError} 如果输入无效或凭据不正确
+* @returns {Promise<object>} - 登录成功的用户数据 (不含密码哈希)，附带新会话的令牌 (见 issueTokens)
+* @throws {UnauthorizedError} 如果用户名或密码不正确 (INVALID_CREDENTIALS)
+* @throws {ForbiddenError} 如果用户已被封禁 (USER_BANNED)
+* @throws {UnavailableError} 如果生产环境没有设置 AUTH_SECRET (AUTH_NOT_CONFIGURED)
 * @throws {Error} 如果数据库操作失败
 */
 export async function loginUser({ username, password }) {
-  // --- 1. Input Validation ---
-  // 登录时已放宽验证，仅检查非空，保持不变
-  if (!username) throw new ValidationError('用户名不能为空');
-  if (!password) throw new ValidationError('密码不能为空');
-
   const userPath = `${USERS_PATH}/${username}`;
   try {
-    // --- 2. Retrieve User Data ---
+    // 无法签发令牌时不检查密码、不创建会话
+    assertAuthConfigured();
+
+    // --- 1. Retrieve User Data ---
     const user = await read(userPath);
     // FIX: 检查 user.password 字段是否存在，而不是 user.passwordHash
     if (!user || !user.password) { // <--- 关键修改点
       logger.warn(`[UsersLib] loginUser: 用户不存在或密码哈希缺失 (username: ${username})`);
-      throw new ValidationError('用户名或密码不正确');
+      throw new UnauthorizedError('INVALID_CREDENTIALS');
     }
 
-  // --- 临时调试日志 START ---
-  logger.debug(`[UsersLib] Debugging login for user: ${username}`);
-  logger.debug(`[UsersLib] Input password (plain): ${password}`); // 注意：生产环境绝不能打印明文密码！
-  // FIX: 调试日志中也使用 user.password
-  logger.debug(`[UsersLib] Stored password hash: ${user.password}`); // <--- 关键修改点
-  // --- 临时调试日志 END ---
-
-    // --- 3. Compare Passwords ---
+    // --- 2. Compare Passwords ---
     // FIX: 使用 user.password 进行比对
     const isPasswordValid = await bcrypt.compare(password, user.password); // <--- 关键修改点
     if (!isPasswordValid) {
       logger.warn(`[UsersLib] loginUser: 密码不匹配 (username: ${username})`);
-      throw new ValidationError('用户名或密码不正确');
+      throw new UnauthorizedError('INVALID_CREDENTIALS');
+    }
+    // 密码正确后才说明账号已被封禁，避免他人借此探测封禁状态
+    if (user.banned) {
+      logger.warn(`[UsersLib] loginUser: 用户已被封禁 (username: ${username})`);
+      throw new ForbiddenError('USER_BANNED');
     }
 
-    // --- 4. Update Last Login Timestamp ---
+    // --- 3. Update Last Login Timestamp ---
     await write(userPath, { lastLogin: new Date().toISOString() }, { method: 'update' });
 
     logger.info(`[UsersLib] loginUser: 用户登录成功 (username: ${username})`);
-    // FIX: 返回用户数据时，从 'password' 字段中解构出哈希值
-    const { password: storedPasswordHash, ...userWithoutHash } = user; // <--- 关键修改点
-    return userWithoutHash;
+    return { ...toProfile(user), ...issueTokens(username, await createSession(username)) };
 
   } catch (error) {
     logger.error(`[UsersLib] loginUser: 用户登录失败 (username: ${username}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to login user.');
   }
 }
 
 /**
-* 用户登出。
-* 实际上，后端不需要做太多，主要是前端清除会话。
-* 但为了完整性，可以记录登出时间或清除会话令牌（如果使用）。
+* 用刷新令牌换取新的访问令牌和刷新令牌 (旧的刷新令牌随即失效)。
+* @param {object} data
+* @param {string} data.refreshToken - 登录或上次刷新时得到的刷新令牌
+* @returns {Promise<object>} - 新的令牌 (见 issueTokens)
+* @throws {UnauthorizedError} 如果刷新令牌无效 (INVALID_REFRESH_TOKEN)、已过期 (REFRESH_TOKEN_EXPIRED) 或被重用 (REFRESH_TOKEN_REUSED，会话已吊销)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function refreshSession({ refreshToken }) {
+  try {
+    const session = await rotateRefreshToken(refreshToken);
+    return issueTokens(session.username, session);
+  } catch (error) {
+    logger.error('[UsersLib] refreshSession: 刷新令牌失败:', error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to refresh session.');
+  }
+}
+
+/**
+* 用户登出：吊销当前会话，会话的访问令牌和刷新令牌立即失效。
 * @param {object} data - 包含 username 的对象
 * @param {string} data.username - 用户名
+* @param {object} [context]
+* @param {{ sessionId: string }|null} [context.user] - 当前用户 (访问令牌所属的会话)
 * @returns {Promise<object>} - 登出成功消息
-* @throws {ValidationError} 如果输入无效
 * @throws {Error} 如果数据库操作失败
 */
-export async function logoutUser({ username }) {
-  // --- 1. Input Validation ---
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('用户名无效');
-
+export async function logoutUser({ username }, { user = null } = {}) {
   const userPath = `${USERS_PATH}/${username}`;
   try {
     const userExists = await read(userPath);
@@ -144,40 +194,40 @@ export async function logoutUser({ username }) {
       logger.warn(`[UsersLib] logoutUser: 尝试登出的用户不存在 (username: ${username})`);
       return { success: true, message: 'User not found, but logout considered successful.' };
     }
+    if (user?.sessionId) await revokeSession({ username, sessionId: user.sessionId });
 
     logger.info(`[UsersLib] logoutUser: 用户登出成功 (username: ${username})`);
     return { success: true, message: 'User logged out successfully.' };
   } catch (error) {
     logger.error(`[UsersLib] logoutUser: 登出操作失败 (username: ${username}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to logout user.');
   }
 }
 
 /**
-* 获取用户个人资料。
+* 获取用户个人资料。本人和拥有 user.viewPrivate 权限的用户得到完整资料，其他人只得到公开资料 (username、createdAt)。
 * @param {object} data - 包含 username 的对象
 * @param {string} data.username - 用户名
+* @param {object} [context]
+* @param {{ username: string, role: string }|null} [context.user] - 当前用户，匿名请求为 null
 * @returns {Promise<object>} - 用户个人资料 (不含密码哈希)
-* @throws {ValidationError} 如果输入无效或用户不存在
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
 * @throws {Error} 如果数据库操作失败
 */
-export async function getUserProfile({ username }) {
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('用户名无效');
-
+export async function getUserProfile({ username }, { user: viewer = null } = {}) {
   const userPath = `${USERS_PATH}/${username}`;
   try {
     const user = await read(userPath);
     if (!user) {
       logger.warn(`[UsersLib] getUserProfile: 用户不存在 (username: ${username})`);
-      throw new ValidationError('用户不存在');
+      throw new NotFoundError('USER_NOT_FOUND');
     }
-    // FIX: 从 'password' 字段中解构出哈希值
-    const { password: storedPasswordHash, ...userWithoutHash } = user; // <--- 关键修改点
-    return userWithoutHash;
+    const isSelf = !!viewer && viewer.username === username;
+    return isSelf || can(viewer, 'user.viewPrivate') ? toProfile(user) : toPublicProfile(username, user);
   } catch (error) {
     logger.error(`[UsersLib] getUserProfile: 获取用户资料失败 (username: ${username}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to get user profile.');
   }
 }
@@ -187,31 +237,38 @@ export async function getUserProfile({ username }) {
 * @param {object} data - 包含 username 和要更新的字段的对象
 * @param {string} data.username - 用户名
 * @param {object} data.updates - 要更新的字段 (例如 { email: 'new@example.com' })
-* @returns {Promise<object>} - 更新后的用户资料 (不含密码哈希)
-* @throws {ValidationError} 如果输入无效、用户不存在或无权限
+* @param {string} [data.locale] - 验证邮件的语言
+* @returns {Promise<object>} - 更新后的用户资料 (不含密码哈希)；修改了密码时用户的所有会话都会被吊销，
+*   修改了邮箱时新邮箱处于未验证状态，验证邮件已发往新邮箱
+* @throws {ValidationError} 如果没有可更新的字段 (NO_UPDATES) 或新值无效 (INVALID_EMAIL、INVALID_PASSWORD)
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
 * @throws {Error} 如果数据库操作失败
 */
-export async function updateUser({ username, updates }) {
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('用户名无效');
-  if (!updates || typeof updates !== 'object' || Object.keys(updates).length === 0) throw new ValidationError('没有提供有效的更新数据');
+export async function updateUser({ username, updates, locale }) {
+  if (Object.keys(updates).length === 0) throw new ValidationError('NO_UPDATES');
 
   const userPath = `${USERS_PATH}/${username}`;
   try {
     const existingUser = await read(userPath);
     if (!existingUser) {
       logger.warn(`[UsersLib] updateUser: 用户不存在 (username: ${username})`);
-      throw new ValidationError('用户不存在');
+      throw new NotFoundError('USER_NOT_FOUND');
     }
 
     const allowedUpdates = {};
     // Only allow updating specific fields and validate them
     if (updates.email !== undefined) {
-      if (!validateInput(updates.email, 'email')) throw new ValidationError('新邮箱格式不正确');
+      if (!validateInput(updates.email, 'email')) throw new ValidationError('INVALID_EMAIL');
       allowedUpdates.email = updates.email;
+      // 换成其他邮箱后需要重新验证，之前发出的验证链接随即失效 (令牌中的邮箱与新邮箱不一致)
+      if (updates.email !== existingUser.email) {
+        allowedUpdates.emailVerified = false;
+        allowedUpdates.emailVerifiedAt = null;
+      }
     }
     if (updates.password !== undefined) {
       // FIX: 根据用户要求，更新密码时不再进行严格的格式检查，仅检查非空
-      if (!updates.password) throw new ValidationError('新密码不能为空'); // <--- 关键修改点
+      if (!updates.password) throw new ValidationError('INVALID_PASSWORD'); // <--- 关键修改点
       // 移除了对 validateInput(updates.password, 'password') 的严格调用
       // FIX: 将新密码哈希后存储到 'password' 字段
       allowedUpdates.password = await bcrypt.hash(updates.password, 10); // <--- 关键修改点
@@ -219,20 +276,20 @@ export async function updateUser({ username, updates }) {
     // Add other updatable fields as needed (e.g., role, if admin is performing)
 
     if (Object.keys(allowedUpdates).length === 0) {
-      throw new ValidationError('没有提供可更新的有效字段');
+      throw new ValidationError('NO_UPDATES');
     }
 
     await write(userPath, allowedUpdates, { method: 'update' });
+    // 修改密码后吊销所有会话 (包括当前会话)，所有设备都需要用新密码重新登录
+    if (allowedUpdates.password) await revokeAllSessions({ username });
+    if (allowedUpdates.emailVerified === false) sendVerificationEmailInBackground(username, allowedUpdates.email, locale);
 
     logger.info(`[UsersLib] updateUser: 用户资料更新成功 (username: ${username})`);
-    const updatedUser = await read(userPath);
-    // FIX: 返回更新后的用户数据时，从 'password' 字段中解构出哈希值
-    const { password: storedPasswordHash, ...userWithoutHash } = updatedUser; // <--- 关键修改点
-    return userWithoutHash;
+    return toProfile(await read(userPath));
 
   } catch (error) {
     logger.error(`[UsersLib] updateUser: 更新用户资料失败 (username: ${username}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to update user profile.');
   }
 }
@@ -242,28 +299,136 @@ export async function updateUser({ username, updates }) {
 * @param {object} data - 包含 username 的对象
 * @param {string} data.username - 待删除用户名
 * @returns {Promise<object>} - 删除结果
-* @throws {ValidationError} 如果输入无效、用户不存在或无权限
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
 * @throws {Error} 如果数据库操作失败
 */
 export async function deleteUser({ username }) {
-  if (!username || !validateInput(username, 'username')) throw new ValidationError('用户名无效');
-
   const userPath = `${USERS_PATH}/${username}`;
   try {
     const existingUser = await read(userPath);
     if (!existingUser) {
       logger.warn(`[UsersLib] deleteUser: 尝试删除的用户不存在 (username: ${username})`);
-      throw new ValidationError('用户不存在');
+      throw new NotFoundError('USER_NOT_FOUND');
     }
 
-    await del(userPath);
+    // 用户记录、指向它的用户名索引和未使用的密码重置记录一起删除：用户名可以重新注册，
+    // 之前发出的重置链接也不能用来接管同名的新账号
+    const indexPath = `${USERNAMES_PATH}/${usernameKey(username)}`;
+    const updates = { [userPath]: null, [`${PASSWORD_RESETS_PATH}/${username}`]: null };
+    if (await read(indexPath) === username) updates[indexPath] = null;
+    await multiPathUpdate(updates);
+    await revokeAllSessions({ username });
 
     logger.info(`[UsersLib] deleteUser: 用户删除成功 (username: ${username})`);
     return { success: true, message: `User ${username} deleted.` };
 
   } catch (error) {
     logger.error(`[UsersLib] deleteUser: 删除用户失败 (username: ${username}):`, error);
-    if (error instanceof ValidationError) throw error;
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to delete user.');
   }
 }
+
+// 读取角色管理/封禁操作的目标用户
+async function readTargetUser(target, operation) {
+  const user = await read(`${USERS_PATH}/${target}`);
+  if (!user) {
+    logger.warn(`[UsersLib] ${operation}: 用户不存在 (username: ${target})`);
+    throw new NotFoundError('USER_NOT_FOUND');
+  }
+  return user;
+}
+
+/**
+* 设置用户的角色。角色立即生效 (每次认证都会读取当前角色)。
+* 通过 user.setRole 调用时需要 user.manage 权限 (见 lib/actions.js)；管理员不能修改自己的角色，避免误操作后没有管理员。
+* @param {object} data
+* @param {string} data.target - 目标用户名
+* @param {string} data.role - 新角色，ROLES 之一
+* @param {object} [context]
+* @param {{ username: string }|null} [context.user] - 当前用户；命令行脚本调用时为 null
+* @returns {Promise<{ username: string, role: string, previousRole: string }>}
+* @throws {ValidationError} 如果角色不存在 (INVALID_ROLE)
+* @throws {ForbiddenError} 如果修改的是自己的角色 (ROLE_CHANGE_SELF)
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function setUserRole({ target, role }, { user = null } = {}) {
+  if (!isRole(role)) throw new ValidationError('INVALID_ROLE', { roles: ROLES.join(', ') });
+  if (user && user.username === target) throw new ForbiddenError('ROLE_CHANGE_SELF');
+
+  try {
+    const existingUser = await readTargetUser(target, 'setUserRole');
+    const previousRole = normalizeRole(existingUser.role);
+    await write(`${USERS_PATH}/${target}`, { role }, { method: 'update' });
+
+    logger.info(`[UsersLib] setUserRole: 角色已更新 (username: ${target}, ${previousRole} -> ${role}, by: ${user?.username || 'cli'})`);
+    return { username: target, role, previousRole };
+  } catch (error) {
+    logger.error(`[UsersLib] setUserRole: 更新角色失败 (username: ${target}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to set user role.');
+  }
+}
+
+/**
+* 封禁用户：禁止登录，并吊销其所有会话 (已签发的访问令牌立即失效)。
+* 只能封禁角色排名低于自己的用户，例如版主不能封禁其他版主或管理员。
+* @param {object} data
+* @param {string} data.target - 目标用户名
+* @param {string} [data.reason] - 封禁原因
+* @param {object} [context]
+* @param {{ username: string, role: string }|null} [context.user] - 当前用户
+* @returns {Promise<{ username: string, banned: object }>}
+* @throws {ForbiddenError} 如果目标用户的角色不低于当前用户 (ROLE_RANK_REQUIRED)
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function banUser({ target, reason }, { user = null } = {}) {
+  try {
+    const existingUser = await readTargetUser(target, 'banUser');
+    if (user && roleRank(existingUser.role) >= roleRank(user.role)) {
+      logger.warn(`[UsersLib] banUser: 不能封禁角色不低于自己的用户 (username: ${target}, by: ${user.username})`);
+      throw new ForbiddenError('ROLE_RANK_REQUIRED');
+    }
+
+    const banned = { at: new Date().toISOString(), by: user?.username || null, reason: reason || null };
+    await write(`${USERS_PATH}/${target}`, { banned }, { method: 'update' });
+    await revokeAllSessions({ username: target });
+
+    logger.info(`[UsersLib] banUser: 用户已被封禁 (username: ${target}, by: ${banned.by || 'cli'})`);
+    return { username: target, banned };
+  } catch (error) {
+    logger.error(`[UsersLib] banUser: 封禁用户失败 (username: ${target}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to ban user.');
+  }
+}
+
+/**
+* 解除封禁。与封禁相同，只能处理角色排名低于自己的用户。
+* @param {object} data
+* @param {string} data.target - 目标用户名
+* @param {object} [context]
+* @param {{ username: string, role: string }|null} [context.user] - 当前用户
+* @returns {Promise<{ username: string, banned: null }>}
+* @throws {ForbiddenError} 如果目标用户的角色不低于当前用户 (ROLE_RANK_REQUIRED)
+* @throws {NotFoundError} 如果用户不存在 (USER_NOT_FOUND)
+* @throws {Error} 如果数据库操作失败
+*/
+export async function unbanUser({ target }, { user = null } = {}) {
+  try {
+    const existingUser = await readTargetUser(target, 'unbanUser');
+    if (user && roleRank(existingUser.role) >= roleRank(user.role)) {
+      throw new ForbiddenError('ROLE_RANK_REQUIRED');
+    }
+
+    await write(`${USERS_PATH}/${target}`, { banned: null }, { method: 'update' });
+    logger.info(`[UsersLib] unbanUser: 已解除封禁 (username: ${target}, by: ${user?.username || 'cli'})`);
+    return { username: target, banned: null };
+  } catch (error) {
+    logger.error(`[UsersLib] unbanUser: 解除封禁失败 (username: ${target}):`, error);
+    if (error instanceof ApiError) throw error;
+    throw new Error('Failed to unban user.');
+  }
+}
@@ -1,9 +1,28 @@
 // lib/utils.js - 核心工具函数 (修正版)
-import { initializeApp } from 'firebase/app';
-import { getDatabase, ref, get, set, update, remove, runTransaction } from 'firebase/database';
 import { URL } from 'url'; // For parsing URLs in parseBody
+import { tmpdir } from 'os'; // 默认的邮件发件箱目录
+import { randomInt, randomUUID } from 'crypto'; // For push ID generation / request IDs
+import { AsyncLocalStorage } from 'async_hooks'; // 请求上下文 (日志 requestId)
+import { waitUntil } from '@vercel/functions'; // Vercel 上让函数在响应之后继续运行，直到后台任务结束
+import { createStorageAdapter } from './storage/index.js';
+import { ApiError, UnavailableError, ForbiddenError, toErrorResponse } from './errors.js';
+import { resolveLocale } from './i18n.js';
+import { counter, histogram } from './metrics.js';
+
+// 错误类型定义在 lib/errors.js，这里重新导出，业务模块可以继续从 utils.js 导入
+export {
+  ApiError, ValidationError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError,
+  PayloadTooLargeError, RateLimitedError, UnavailableError, toErrorResponse
+} from './errors.js';
 
 // ==================== 全局配置 ====================
+// '30/60' -> { limit: 30, windowSeconds: 60 }，格式不正确时使用默认值
+function parseRateLimit(value, fallback) {
+  const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value || '');
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) return fallback;
+  return { limit: Number(match[1]), windowSeconds: Number(match[2]) };
+}
+
 // NOTE: Firebase 配置应从环境变量中获取，以确保安全和灵活性
 const FIREBASE_CONFIG = {
   apiKey: process.env.FIREBASE_API_KEY,
@@ -17,13 +36,107 @@ const FIREBASE_CONFIG = {
 };
 
 const CONFIG = {
-  MAX_RETRIES: 3, // API 调用最大重试次数
+  STORAGE: { // 存储后端配置
+      // 'firebase' | 'local' | 'sqlite'，未指定时：配置了 FIREBASE_DATABASE_URL 则使用 Firebase，否则使用本地存储
+      DRIVER: process.env.STORAGE_DRIVER || (process.env.FIREBASE_DATABASE_URL ? 'firebase' : 'local'),
+      FILE: process.env.STORAGE_FILE || null // local 的 JSON 持久化文件或 sqlite 的数据库文件，为空时仅保存在内存中
+  },
+  CACHE: { // 读缓存配置 (lib/cache.js)
+      DRIVER: process.env.CACHE_DRIVER || 'memory', // 'memory' | 'none' | registerCacheStore 注册的名称
+      TTL_MS: Number(process.env.CACHE_TTL_MS) || 60000, // 缓存过期时间 (毫秒)，写操作会主动失效相关缓存
+      MAX_ENTRIES: Number(process.env.CACHE_MAX_ENTRIES) || 1000 // memory 存储的最大缓存键数量 (LRU 淘汰)
+  },
+  BATCH: { // 批量请求配置 (lib/batch.js)
+      MAX_OPERATIONS: Number(process.env.BATCH_MAX_OPERATIONS) || 20 // 单次批量请求最多包含的操作数
+  },
+  HTTP_CACHE: { // 只读接口的 Cache-Control (lib/httpcache.js)，单位为秒
+      MAX_AGE: Number(process.env.HTTP_CACHE_MAX_AGE) || 0, // 浏览器缓存时间，0 表示每次都用 ETag 重新验证
+      S_MAXAGE: Number(process.env.HTTP_CACHE_S_MAXAGE ?? 10), // CDN 缓存时间，设为 0 时不在 CDN 缓存
+      STALE_WHILE_REVALIDATE: Number(process.env.HTTP_CACHE_STALE_WHILE_REVALIDATE ?? 30) // CDN 过期后可先返回旧数据的时间
+  },
+  LOG: { // 日志配置
+      LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase() // 最低输出级别：'debug' | 'info' | 'warn' | 'error' | 'silent'
+  },
+  METRICS: { // Prometheus 指标 (lib/metrics.js，GET /api/metrics)
+      TOKEN: process.env.METRICS_TOKEN || null // 设置后抓取时需要 Authorization: Bearer <token>
+  },
+  HEALTH: { // 就绪检查 (lib/health.js，GET /api/health/ready)
+      PROBE_PATH: process.env.HEALTH_PROBE_PATH || 'articles/__health__', // 探测时读取的路径，不需要存在，但存储规则必须允许读取
+      PROBE_TIMEOUT_MS: Number(process.env.HEALTH_PROBE_TIMEOUT_MS) || 2000 // 探测超时，超时视为未就绪
+  },
+  SERVER: { // 独立运行的 HTTP 服务器配置 (server.js，部署在 Vercel 时不使用)
+      PORT: Number(process.env.PORT) || 3000,
+      HOST: process.env.HOST || '0.0.0.0',
+      BODY_LIMIT: Number(process.env.BODY_LIMIT) || 1024 * 1024, // 请求体最大字节数，超过返回 413
+      SHUTDOWN_TIMEOUT_MS: Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000 // 优雅退出时等待进行中请求的最长时间
+  },
+  AUTH: { // 访问令牌配置 (lib/auth.js)
+      SECRET: process.env.AUTH_SECRET || null, // HMAC 签名密钥，所有实例必须相同；未设置时使用进程内的临时密钥 (仅限非生产环境)
+      // NODE_ENV=production 时必须设置 AUTH_SECRET：缺少时不签发也不接受任何令牌 (503 AUTH_NOT_CONFIGURED)，就绪检查失败
+      REQUIRE_SECRET: process.env.NODE_ENV === 'production',
+      ACCESS_TOKEN_TTL: Number(process.env.ACCESS_TOKEN_TTL) || 900, // 访问令牌有效期 (秒)，过期后用刷新令牌换取新的
+      REFRESH_TOKEN_TTL: Number(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 3600, // 刷新令牌 (会话) 有效期 (秒)，每次刷新重新计算
+      MAX_SESSIONS: Number(process.env.AUTH_MAX_SESSIONS) || 10, // 每个用户同时保留的会话数，超出时移除最久未活动的会话
+      SESSION_TOUCH_INTERVAL: 300, // 会话最近活动时间 (lastSeenAt) 的最小更新间隔 (秒)，避免每个请求都写入存储
+      PASSWORD_RESET_TTL: Number(process.env.PASSWORD_RESET_TTL) || 3600, // 密码重置令牌的有效期 (秒)，令牌只能使用一次
+      PASSWORD_RESET_INTERVAL: 60, // 同一用户两次发送密码重置邮件的最小间隔 (秒)，间隔内的请求不再发送邮件
+      // 申请密码重置的最短响应时间 (毫秒)：邮件发送完成后补足到这个时间再响应，响应时间不会暴露邮箱是否注册；应大于发送邮件的耗时
+      PASSWORD_RESET_MIN_RESPONSE_MS: Number(process.env.PASSWORD_RESET_MIN_RESPONSE_MS) || 2000,
+      // 密码重置邮件中的链接，{token} 替换为重置令牌，例如 https://blog.example.com/reset-password?token={token}；
+      // 未设置时邮件中只包含令牌本身
+      PASSWORD_RESET_URL: process.env.PASSWORD_RESET_URL || null,
+      EMAIL_VERIFICATION_TTL: Number(process.env.EMAIL_VERIFICATION_TTL) || 24 * 3600, // 邮箱验证链接的有效期 (秒)
+      EMAIL_VERIFICATION_INTERVAL: 60, // 重新发送验证邮件的最小间隔 (秒)
+      // 验证邮件中的链接，{token} 替换为验证令牌，例如 https://blog.example.com/verify-email?token={token}；未设置时邮件中只包含令牌
+      EMAIL_VERIFICATION_URL: process.env.EMAIL_VERIFICATION_URL || null,
+      // 邮箱未验证的登录用户发表评论时的处理：'allow' 直接发表 | 'moderate' 进入待审核状态 | 'reject' 拒绝 (403 EMAIL_NOT_VERIFIED)；
+      // 拥有 comment.bypassModeration 权限的角色 (trusted 及以上) 不受限制
+      UNVERIFIED_COMMENTS: ['allow', 'moderate', 'reject'].includes(process.env.UNVERIFIED_COMMENTS) ? process.env.UNVERIFIED_COMMENTS : 'moderate',
+      ISSUER: 'kenhunshuchong' // 令牌的 iss 声明
+  },
+  MAIL: { // 邮件发送配置 (lib/mailer.js)
+      // 'smtp' | 'outbox' | registerMailTransport 注册的名称，未指定时：配置了 SMTP_HOST 则使用 SMTP，否则写入本地发件箱目录
+      DRIVER: process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? 'smtp' : 'outbox'),
+      FROM: process.env.MAIL_FROM || 'no-reply@localhost', // 发件人，可以带显示名称，例如 "啃魂的寒舍 <no-reply@example.com>"
+      SITE_NAME: process.env.MAIL_SITE_NAME || '啃魂的寒舍', // 邮件模板中的站点名称
+      OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || `${tmpdir()}/kenhunshuchong-outbox`, // outbox 的目录，每封邮件一个 JSON 文件
+      SMTP: {
+          HOST: process.env.SMTP_HOST || null,
+          PORT: Number(process.env.SMTP_PORT) || 587,
+          SECURE: process.env.SMTP_SECURE === 'true', // true 时直接建立 TLS 连接 (通常为 465 端口)，否则在服务器支持时使用 STARTTLS
+          USER: process.env.SMTP_USER || null,
+          PASS: process.env.SMTP_PASS || null,
+          TIMEOUT_MS: Number(process.env.SMTP_TIMEOUT_MS) || 10000 // 连接和每条命令的超时
+      }
+  },
+  CORS: { // 跨域配置 (setCORS / handlePreflight)
+      // 允许的来源，逗号分隔：完整来源 (https://example.com)、通配子域名 (https://*.example.com) 或 * (任意来源，不能携带凭据)
+      ORIGINS: (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean),
+      CREDENTIALS: process.env.CORS_CREDENTIALS === 'true', // 是否允许携带 Cookie 等凭据 (只对明确列出的来源生效)
+      MAX_AGE: Number(process.env.CORS_MAX_AGE) || 86400 // 预检结果的缓存时间 (秒)
+  },
+  RATE_LIMIT: { // 限流配置 (lib/ratelimit.js)，按 action 的 rateLimit 类别分别计数
+      ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+      // 每个类别为 { limit, windowSeconds }：允许突发 limit 次，之后按 limit/windowSeconds 的速度恢复；
+      // 环境变量格式为 "次数/秒数"，例如 RATE_LIMIT_WRITE=30/60
+      CLASSES: {
+          read: parseRateLimit(process.env.RATE_LIMIT_READ, { limit: 300, windowSeconds: 60 }),
+          write: parseRateLimit(process.env.RATE_LIMIT_WRITE, { limit: 30, windowSeconds: 60 }),
+          auth: parseRateLimit(process.env.RATE_LIMIT_AUTH, { limit: 10, windowSeconds: 300 })
+      },
+      TIMEOUT: Number(process.env.RATE_LIMIT_TIMEOUT_MS) || 2000 // 读写限流计数的超时，超时或存储出错时放行请求
+  },
+  // 是否信任 X-Forwarded-For / X-Real-IP 作为客户端 IP：部署在 Vercel 或反向代理之后时必须开启，
+  // 直接对外提供服务时必须关闭，否则客户端可以伪造 IP 绕过限流
+  TRUST_PROXY: process.env.TRUST_PROXY ? process.env.TRUST_PROXY === 'true' : !!process.env.VERCEL,
+  MAX_RETRIES: 3, // 数据库读操作失败后的最大重试次数 (写操作默认不重试)
   RETRY_INTERVAL_BASE: 1000, // 基础重试间隔（毫秒）
   TIMEOUT: 8000, // 数据库操作超时时间（毫秒）
-  ADMIN_USERNAME: "yolialisproxy", // 管理员用户名，用于后端权限判断
   COMMENT_VALIDATION: { // 评论验证配置 (与前端保持一致)
       name: { min: 1, max: 50 },
-      username: { min: 1, max: 50 },
+      // 用户名是存储路径的一段 (users/{username}、sessions/{username} ...)，不能包含 / 和 Firebase 键名不允许的字符
+      username: { min: 1, max: 50, regex: /^[^/.#$[\]]+$/ },
+      newUsername: { min: 3, max: 32, regex: /^[A-Za-z0-9_-]+$/ }, // 注册新用户时的用户名
       email: { regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
       comment: { min: 1, max: 500 },
       password: { min: 8, max: 100, requireLower: true, requireUpper: true, requireDigit: true },
@@ -32,65 +145,256 @@ const CONFIG = {
 };
 
 // --- Logger ---
-const levels = { DEBUG: 'DEBUG', INFO: 'INFO', WARN: 'WARN', ERROR: 'ERROR', SUCCESS: 'SUCCESS' };
-const colors = { DEBUG: 'color: gray;', INFO: 'color: blue;', WARN: 'color: orange;', ERROR: 'color: red; font-weight: bold;', SUCCESS: 'color: green; font-weight: bold;' };
-const prefix = '[Utils]';
+// 每条日志是一行 JSON：{ time, level, module, requestId, msg, context?, error? }
+// module 取自消息开头的 [Tag] (例如 [CommentsLib])，requestId 来自 withRequestContext 建立的请求上下文，
+// 同一请求经过的所有模块 (包括存储和缓存) 输出的日志都带有相同的 requestId。
+// context 中键名看起来像密码、邮箱、令牌、Cookie 的字段一律替换为 [REDACTED]，调用方不需要自己过滤。
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const SENSITIVE_KEY = /pass(word|wd)|secret|token|authorization|cookie|e-?mail|api[-_]?key/i;
+const REDACTED = '[REDACTED]';
+const minLogLevel = LOG_LEVELS[CONFIG.LOG.LEVEL] ?? LOG_LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function serializeError(error) {
+    const serialized = { name: error.name, message: error.message };
+    if (error.code !== undefined) serialized.code = error.code;
+    if (error.status !== undefined) serialized.status = error.status;
+    if (error.stack) serialized.stack = error.stack;
+    return serialized;
+}
+
+/**
+* 递归替换敏感字段，同时把 Error 转换为普通对象 (JSON.stringify 会把 Error 输出为 {})。
+* @param {any} value - 日志上下文
+* @param {WeakSet<object>} [ancestors] - 当前路径上的对象，用于检测循环引用
+* @returns {any}
+*/
+export function redact(value, ancestors = new WeakSet()) {
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'bigint') return String(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (typeof value.toJSON === 'function') return redact(value.toJSON(), ancestors); // Date 等
+    if (ancestors.has(value)) return '[Circular]';
+
+    ancestors.add(value);
+    let result;
+    if (Array.isArray(value)) {
+        result = value.map(item => redact(item, ancestors));
+    } else {
+        result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, ancestors);
+        }
+    }
+    ancestors.delete(value);
+    return result;
+}
+
+/**
+* 客户端 IP。CONFIG.TRUST_PROXY 开启时取 X-Forwarded-For 的第一个地址 (或 X-Real-IP)，否则取 TCP 连接的对端地址。
+* @param {object} req - Node.js/Vercel 请求对象
+* @returns {string|null}
+*/
+export function getClientIp(req) {
+    if (CONFIG.TRUST_PROXY) {
+        const forwarded = req.headers?.['x-forwarded-for'];
+        if (typeof forwarded === 'string' && forwarded.trim()) return forwarded.split(',')[0].trim();
+        const realIp = req.headers?.['x-real-ip'];
+        if (typeof realIp === 'string' && realIp.trim()) return realIp.trim();
+    }
+    return req.socket?.remoteAddress || null;
+}
+
+/**
+* 在请求上下文中执行 fn，期间输出的日志都带有该请求的 requestId，请求级的功能 (例如限流、登录会话) 可以通过 getRequestContext 取得客户端 IP、User-Agent 和响应对象。
+* 请求头 X-Request-Id 合法时沿用 (便于与网关/前端的日志关联)，否则生成新的 UUID，并通过响应头 X-Request-Id 返回。
+* 已经处于请求上下文中时 (例如独立服务器已建立上下文后再调用 api/index.js) 直接复用。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {Function} fn - 处理函数
+* @returns {Promise<any>}
+*/
+export function withRequestContext(req, res, fn) {
+    if (requestContext.getStore()) return fn();
+    const incoming = req.headers?.['x-request-id'];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    if (!res.headersSent) res.setHeader('X-Request-Id', requestId);
+    const userAgent = typeof req.headers?.['user-agent'] === 'string' ? req.headers['user-agent'].slice(0, 256) : null;
+    return requestContext.run({ requestId, clientIp: getClientIp(req), userAgent, res }, fn);
+}
+
+/**
+* 当前请求的上下文，不在请求上下文中时 (模块加载、脚本等) 为 undefined。
+* @returns {{ requestId: string, clientIp: string|null, userAgent: string|null, res: object }|undefined}
+*/
+export function getRequestContext() {
+    return requestContext.getStore();
+}
+
+/**
+* 当前请求的 requestId，不在请求上下文中时为 undefined。
+* @returns {string|undefined}
+*/
+export function getRequestId() {
+    return requestContext.getStore()?.requestId;
+}
 
 export const logger = {
-    log: (level, message, context) => {
-        const timestamp = new Date().toLocaleString();
-        const levelPrefix = `[${level}]`.padEnd(10);
-        let output = `${timestamp} ${levelPrefix}${message}`;
-        if (context) {
-            try {
-                output += ` ${JSON.stringify(context)}`;
-            } catch (e) {
-                output += ` [Context Stringification Error: ${e.message}]`;
+    /**
+    * @param {'debug'|'info'|'warn'|'error'|'success'} level - 日志级别，success 按 info 输出
+    * @param {string} message - 日志消息，可以用 [Tag] 开头标明模块
+    * @param {...any} details - 上下文对象 (合并到 context)、Error (输出到 error) 或其他值 (输出到 context.args)
+    */
+    log: (level, message, ...details) => {
+        let name = String(level).toLowerCase();
+        if (name === 'success') name = 'info';
+        if ((LOG_LEVELS[name] ?? LOG_LEVELS.info) < minLogLevel) return;
+
+        const entry = { time: new Date().toISOString(), level: name };
+        let msg = String(message);
+        const tag = /^\s*\[([^\]]+)\]\s*/.exec(msg);
+        if (tag) {
+            entry.module = tag[1];
+            msg = msg.slice(tag[0].length);
+        }
+        const requestId = getRequestId();
+        if (requestId) entry.requestId = requestId;
+        entry.msg = msg;
+
+        const context = {};
+        for (const detail of details) {
+            if (detail === undefined) continue;
+            if (detail instanceof Error && !entry.error) {
+                entry.error = serializeError(detail);
+            } else if (detail !== null && typeof detail === 'object' && !Array.isArray(detail) && !(detail instanceof Error)) {
+                Object.assign(context, detail);
+            } else {
+                (context.args ||= []).push(detail);
             }
         }
-        // In Node.js environment, console.log doesn't support CSS colors directly.
-        // We'll just output the plain text.
-        console.log(output);
+        if (Object.keys(context).length > 0) entry.context = redact(context);
+
+        let line;
+        try {
+            line = JSON.stringify(entry);
+        } catch (e) {
+            line = JSON.stringify({ ...entry, context: undefined, contextError: e.message });
+        }
+        // warn/error 输出到 stderr，便于与普通日志分开收集
+        if (LOG_LEVELS[name] >= LOG_LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
     },
-    debug: (message, context) => logger.log(levels.DEBUG, message, context),
-    info: (message, context) => logger.log(levels.INFO, message, context),
-    warn: (message, context) => logger.log(levels.WARN, message, context),
-    error: (message, context) => logger.log(levels.ERROR, message, context),
-    success: (message, context) => logger.log(levels.SUCCESS, message, context),
+    debug: (message, ...details) => logger.log('debug', message, ...details),
+    info: (message, ...details) => logger.log('info', message, ...details),
+    warn: (message, ...details) => logger.log('warn', message, ...details),
+    error: (message, ...details) => logger.log('error', message, ...details),
+    success: (message, ...details) => logger.log('success', message, ...details),
 };
 logger.info('✅ lib/utils.js 加载成功');
 
-// --- Firebase Initialization ---
-let app;
-let db;
+// --- Storage Initialization ---
+let storage;
 
-export function initFirebase() {
-  if (!app) {
+/**
+* 按 CONFIG.STORAGE 初始化存储适配器 (幂等)。
+* @returns {object} - 当前使用的存储适配器
+* @throws {Error} 如果初始化失败
+*/
+export function initStorage() {
+  if (!storage) {
+    const driver = CONFIG.STORAGE.DRIVER;
     try {
-      app = initializeApp(FIREBASE_CONFIG);
-      db = getDatabase(app);
-      logger.info('Firebase 应用初始化成功');
+      const adapter = createStorageAdapter(driver, {
+        config: FIREBASE_CONFIG,
+        file: CONFIG.STORAGE.FILE,
+        logger
+      });
+      adapter.init();
+      storage = adapter;
+      logger.info(`存储初始化成功 (driver: ${driver})`);
     } catch (error) {
-      logger.error('Firebase 应用初始化失败', error);
-      throw new Error('Firebase initialization failed.');
+      logger.error(`存储初始化失败 (driver: ${driver})`, { error: error.message });
+      throw new UnavailableError('STORAGE_UNAVAILABLE');
     }
   }
-  return db;
+  return storage;
 }
 
-// --- Custom Error Class for Validation ---
-export class ValidationError extends Error {
-  constructor(message, status = 400) {
-    super(message);
-    this.name = 'ValidationError';
-    this.status = status;
+// 兼容旧代码：initFirebase 现在按配置初始化任意存储适配器
+export const initFirebase = initStorage;
+
+// 连接 Firebase Realtime Database 必需的环境变量，其余 FIREBASE_* 只有其他 Firebase 服务才会用到
+const REQUIRED_FIREBASE_ENV = ['FIREBASE_API_KEY', 'FIREBASE_DATABASE_URL', 'FIREBASE_PROJECT_ID'];
+
+/**
+* 检查 CONFIG.STORAGE 对应的配置是否完整，用于就绪检查 (lib/health.js)。
+* @returns {{ driver: string, missing: string[], warnings: string[] }} - missing 为缺少的必需环境变量，
+*   warnings 为不影响运行但需要注意的问题 (例如 STORAGE_IN_MEMORY：数据只保存在内存中)
+*/
+export function checkStorageConfig() {
+  const driver = CONFIG.STORAGE.DRIVER;
+  const missing = [];
+  const warnings = [];
+  if (driver === 'firebase') {
+    missing.push(...REQUIRED_FIREBASE_ENV.filter(name => !process.env[name]));
+  } else if ((driver === 'local' || driver === 'sqlite') && !CONFIG.STORAGE.FILE) {
+    warnings.push('STORAGE_IN_MEMORY');
   }
+  return { driver, missing, warnings };
+}
+
+/**
+* 关闭存储适配器 (未初始化时什么也不做)，之后再调用 initStorage 会重新初始化。
+* @returns {Promise<void>}
+*/
+export async function closeStorage() {
+  if (!storage) return;
+  const adapter = storage;
+  storage = undefined;
+  await adapter.close();
+  logger.info(`存储已关闭 (driver: ${adapter.name})`);
+}
+
+// --- Background Tasks ---
+// 在响应之后继续执行的任务 (例如注册时的验证邮件)。
+// Vercel 在响应发出后会冻结函数实例，所以任务同时交给 waitUntil，平台会等它结束 (不在 Vercel 上时 waitUntil 什么也不做)；
+// 自托管时优雅退出 (lib/server.js) 先等待这些任务完成再关闭存储。
+const backgroundTasks = new Set();
+
+/**
+* 在后台执行任务，不等待其完成。任务的异常只记录日志。
+* @param {string} label - 任务名称，用于日志
+* @param {() => Promise<void>} task - 任务函数
+* @returns {Promise<void>} - 任务结束时 resolve (不会 reject)，调用方通常不需要等待
+*/
+export function runInBackground(label, task) {
+  const promise = Promise.resolve()
+    .then(task)
+    .catch(error => logger.error(`[Background] 后台任务失败 (task: ${label})`, error))
+    .finally(() => backgroundTasks.delete(promise));
+  backgroundTasks.add(promise);
+  waitUntil(promise);
+  return promise;
+}
+
+/**
+* 等待所有进行中的后台任务结束。
+* @returns {Promise<void>}
+*/
+export async function settleBackgroundTasks() {
+  while (backgroundTasks.size > 0) await Promise.all([...backgroundTasks]);
 }
 
 // --- Input Validation (Backend) ---
+// 日志只记录字段类型和失败原因，不记录值本身 (可能是邮箱、密码等敏感信息)
 export function validateInput(value, type) {
     if (typeof value !== 'string') {
-        logger.warn(`[Backend Validation] Value is not a string for type: ${type}`, { value });
+        logger.warn(`[Backend Validation] Value is not a string for type: ${type}`, { valueType: typeof value });
         return false;
     }
 
@@ -100,22 +404,22 @@ export function validateInput(value, type) {
         return false;
     }
 
-    let isValid = true;
+    let reason = null;
 
-    if (config.min && value.length < config.min) isValid = false;
-    if (config.max && value.length > config.max) isValid = false;
-    if (config.regex && !config.regex.test(value)) isValid = false;
+    if (config.min && value.length < config.min) reason = 'too short';
+    else if (config.max && value.length > config.max) reason = 'too long';
+    else if (config.regex && !config.regex.test(value)) reason = 'format';
 
-    if (type === 'password') {
-        if (config.requireLower && !/[a-z]/.test(value)) isValid = false;
-        if (config.requireUpper && !/[A-Z]/.test(value)) isValid = false;
-        if (config.requireDigit && !/\d/.test(value)) isValid = false;
+    if (!reason && type === 'password') {
+        if (config.requireLower && !/[a-z]/.test(value)) reason = 'missing lowercase letter';
+        else if (config.requireUpper && !/[A-Z]/.test(value)) reason = 'missing uppercase letter';
+        else if (config.requireDigit && !/\d/.test(value)) reason = 'missing digit';
     }
 
-    if (!isValid) {
-        logger.debug(`[Backend Validation] Validation failed for type: ${type}, value: ${value}`);
+    if (reason) {
+        logger.debug(`[Backend Validation] Validation failed for type: ${type} (reason: ${reason})`);
     }
-    return isValid;
+    return !reason;
 }
 
 // --- Input Sanitization (Backend) ---
@@ -126,70 +430,136 @@ export function sanitizeInput(input) {
   return input.trim();
 }
 
+// --- Push ID Generation ---
+// 与 Firebase 推送 ID 相同的格式：8 位时间戳 + 12 位随机字符，共 20 位，按生成时间排序。
+// 同一毫秒内生成的 ID 在上一个随机部分的基础上递增，保证进程内严格有序且不重复。
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+let lastPushTime = 0;
+const lastRandomChars = [];
+
+/**
+* 生成 Firebase 风格的推送 ID (仅包含 CONFIG.COMMENT_VALIDATION.id 允许的字符)。
+* @returns {string} - 20 位推送 ID
+*/
+export function generatePushId() {
+  let now = Date.now();
+  const duplicateTime = now === lastPushTime;
+  lastPushTime = now;
+
+  const timestampChars = new Array(8);
+  for (let i = 7; i >= 0; i--) {
+    timestampChars[i] = PUSH_CHARS.charAt(now % 64);
+    now = Math.floor(now / 64);
+  }
+
+  if (!duplicateTime) {
+    for (let i = 0; i < 12; i++) lastRandomChars[i] = randomInt(64);
+  } else {
+    let i = 11;
+    for (; i >= 0 && lastRandomChars[i] === 63; i--) lastRandomChars[i] = 0;
+    lastRandomChars[i]++;
+  }
+
+  return timestampChars.join('') + lastRandomChars.map(index => PUSH_CHARS.charAt(index)).join('');
+}
+
 // --- Database Operations with Retry Logic ---
-async function executeDbOperation(operation, path, options = {}) {
-  const maxRetries = options.maxRetries || CONFIG.MAX_RETRIES;
+// operation 接收 (storage, data)，storage 为当前存储适配器
+// 数据库操作指标：operation 为 read/query/write/update/transaction 等操作类型
+const dbOperationDuration = histogram('db_operation_duration_seconds', 'Duration of database operations including retries.', ['operation', 'outcome']);
+const dbOperationRetries = counter('db_operation_retries_total', 'Database operation attempts that failed and were retried.', ['operation']);
+const dbOperationTimeouts = counter('db_operation_timeouts_total', 'Database operation attempts that exceeded CONFIG.TIMEOUT.', ['operation']);
+
+// 默认只重试读操作。写操作超时后可能已经生效，重试会把它执行两次：事务和多路径写入会重复计数或删除，
+// 刷新令牌轮换 (lib/sessions.js) 的重试会被当作令牌重用而吊销会话。确认幂等的写入可以通过 options.maxRetries 显式开启重试。
+const RETRYABLE_OPERATIONS = new Set(['read', 'query']);
+
+async function executeDbOperation(name, operation, path, options = {}) {
+  const maxRetries = options.maxRetries ?? (RETRYABLE_OPERATIONS.has(name) ? CONFIG.MAX_RETRIES : 0);
   const retryIntervalBase = options.retryIntervalBase || CONFIG.RETRY_INTERVAL_BASE;
   const timeout = options.timeout || CONFIG.TIMEOUT;
+  const endTimer = dbOperationDuration.startTimer({ operation: name });
 
   for (let i = 0; i <= maxRetries; i++) {
+    let timer;
     try {
-      const dbRef = ref(db, path);
       const result = await Promise.race([
-        operation(dbRef, options.data),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Database operation timed out')), timeout))
+        operation(initStorage(), options.data),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new UnavailableError('STORAGE_TIMEOUT')), timeout);
+        })
       ]);
+      endTimer({ outcome: 'success' });
       return result;
     } catch (error) {
       logger.error(`[DB] 操作失败 (路径: ${path}, 尝试 ${i + 1}/${maxRetries + 1}):`, error);
+      if (error instanceof UnavailableError && error.code === 'STORAGE_TIMEOUT') dbOperationTimeouts.inc({ operation: name });
       if (i < maxRetries) {
+        dbOperationRetries.inc({ operation: name });
         const delay = retryIntervalBase * Math.pow(2, i);
         logger.warn(`[DB] 重试中，等待 ${delay}ms...`);
         await new Promise(resolve => setTimeout(resolve, delay));
       } else {
+        endTimer({ outcome: 'error' });
         throw error; // Re-throw after all retries
       }
+    } finally {
+      clearTimeout(timer);
     }
   }
 }
 
 export async function read(path, options = {}) {
-  return executeDbOperation(async (dbRef) => {
-    const snapshot = await get(dbRef);
-    return snapshot.val();
-  }, path, options);
+  return executeDbOperation('read', (store) => store.get(path), path, options);
+}
+
+/**
+* 查询 path 下的子节点。支持的存储会在服务端 (索引) 执行过滤和排序。
+* @param {string} path - 父节点路径，例如 'commentLikes'
+* @param {object} [options] - { where, orderBy, descending, limit }，以及重试/超时选项
+* @returns {Promise<Array<{ key: string, value: * }>>} - 按顺序排列的子节点
+*/
+export async function query(path, options = {}) {
+  const { where, orderBy, descending, limit } = options;
+  return executeDbOperation('query', (store) => store.query(path, { where, orderBy, descending, limit }), path, options);
 }
 
 export async function write(path, data, options = {}) {
   const method = options.method || 'set'; // 'set', 'update', 'push'
-  return executeDbOperation(async (dbRef) => {
+  // push 的键在重试之外生成，超时重试时不会写出两个不同的子节点
+  const pushKey = method === 'push' ? generatePushId() : null;
+  return executeDbOperation(method, async (store) => {
     if (method === 'set') {
-      return set(dbRef, data);
+      return store.set(path, data);
     } else if (method === 'update') {
-      return update(dbRef, data);
+      return store.update(path, data);
     } else if (method === 'push') {
-      // For push, data is usually null or the initial value for the new child
-      return set(dbRef, data); // Firebase push returns a new ref, then you set data on it.
-                               // Here, we simulate push by getting a new ref key and setting data.
-      // A more direct push:
-      // const newRef = push(dbRef);
-      // await set(newRef, data);
-      // return newRef;
+      // 与 Firebase push 一致：在 path 下以新生成的推送 ID 创建子节点，返回新键
+      const childPath = `${path}/${pushKey}`;
+      await store.set(childPath, data);
+      return { key: pushKey, path: childPath };
     }
     throw new Error(`Unsupported write method: ${method}`);
   }, path, options);
 }
 
+/**
+* 原子多路径写入：updates 的键为完整路径，值为 null 表示删除。
+* 所有位置要么全部写入，要么全部不写入，用于需要同时修改多个节点的操作 (例如评论和父评论的 children)。
+* @param {object} updates - 例如 { 'comments/p1/c1': {...}, 'comments/p1/c0/children/c1': true }
+* @param {object} [options] - 重试/超时选项
+* @returns {Promise<void>}
+*/
+export async function multiPathUpdate(updates, options = {}) {
+  return executeDbOperation('multiPathUpdate', (store) => store.update('', updates), '/', options);
+}
+
 export async function del(path, options = {}) {
-  return executeDbOperation(async (dbRef) => {
-    return remove(dbRef);
-  }, path, options);
+  return executeDbOperation('remove', (store) => store.remove(path), path, options);
 }
 
 export async function transaction(path, updateFunction, options = {}) {
-  return executeDbOperation(async (dbRef) => {
-    return runTransaction(dbRef, updateFunction);
-  }, path, options);
+  return executeDbOperation('transaction', (store) => store.transaction(path, updateFunction), path, options);
 }
 
 // --- Request Body Parser for Vercel ---
@@ -214,10 +584,18 @@ export async function parseBody(req) {
   // 2. 对于 POST/PUT/DELETE 等请求，请求体可能已被 Vercel 预解析，或需要从流中读取。
   // 优先检查 Vercel 是否已预解析请求体 (通常是 Content-Type: application/json)。
   // 确保 req.body 存在且是一个非空对象，以避免返回空对象。
-  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) && Object.keys(req.body).length > 0) {
     logger.debug('[Utils] parseBody: Vercel 预解析的请求体已找到并使用。', req.body);
     return req.body;
   }
+  // 未能预解析的请求体 (字符串或 Buffer) 按原始文本解析
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+    return parseRawBody(req.body.toString());
+  }
+  // 请求流已被读取 (例如 server.js 的兼容层预读了请求体)，不能再监听 data/end 事件
+  if (req.readableEnded) {
+    return {};
+  }
 
   // 如果 req.body 未被预解析为有效对象，则从请求流中读取。
   return new Promise((resolve, reject) => {
@@ -226,27 +604,10 @@ export async function parseBody(req) {
       body += chunk.toString(); // 将 Buffer 转换为字符串
     });
     req.on('end', () => {
-      if (!body) {
-        logger.warn('[Utils] parseBody: 请求流结束，但未接收到任何请求体数据。');
-        return resolve({}); // 没有请求体数据，返回空对象
-      }
       try {
-        const parsed = JSON.parse(body);
-        logger.debug('[Utils] parseBody: 从请求流中成功解析 JSON 请求体。', parsed);
-        resolve(parsed);
+        resolve(parseRawBody(body));
       } catch (e) {
-        try {
-          const urlParams = new URLSearchParams(body);
-          const parsed = {};
-          for (const [key, value] of urlParams.entries()) {
-            parsed[key] = value;
-          }
-          logger.debug('[Utils] parseBody: 从请求流中成功解析 URL-encoded 请求体。', parsed);
-          resolve(parsed);
-        } catch (e2) {
-          logger.error('[Utils] parseBody: 无法从请求流中解析请求体 (非 JSON 也非 URL-encoded)。', { error1: e.message, error2: e2.message, rawBody: body });
-          reject(new Error('Failed to parse request body from stream.'));
-        }
+        reject(e);
       }
     });
     req.on('error', err => {
@@ -256,15 +617,153 @@ export async function parseBody(req) {
   });
 }
 
-// --- CORS Headers Setter ---
-export function setCORS(res) {
-  res.setHeader('Access-Control-Allow-Origin', '*'); // Allow all origins for development
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-  res.setHeader('Access-Control-Max-Age', '86400'); // Cache preflight for 24 hours
+// 解析原始请求体：先尝试 JSON，再尝试 URL-encoded
+function parseRawBody(body) {
+  if (!body) {
+    logger.warn('[Utils] parseBody: 请求流结束，但未接收到任何请求体数据。');
+    return {}; // 没有请求体数据，返回空对象
+  }
+  try {
+    const parsed = JSON.parse(body);
+    logger.debug('[Utils] parseBody: 从请求流中成功解析 JSON 请求体。', parsed);
+    return parsed;
+  } catch (e) {
+    try {
+      const urlParams = new URLSearchParams(body);
+      const parsed = {};
+      for (const [key, value] of urlParams.entries()) {
+        parsed[key] = value;
+      }
+      logger.debug('[Utils] parseBody: 从请求流中成功解析 URL-encoded 请求体。', parsed);
+      return parsed;
+    } catch (e2) {
+      logger.error('[Utils] parseBody: 无法从请求流中解析请求体 (非 JSON 也非 URL-encoded)。', { error1: e.message, error2: e2.message, rawBody: body });
+      throw new Error('Failed to parse request body from stream.');
+    }
+  }
+}
+
+// --- CORS ---
+// 来源在 CONFIG.CORS.ORIGINS 中明确列出 (包括通配子域名) 时回显该来源并设置 Vary: Origin，可以携带凭据；
+// 只通过 * 匹配的来源返回 Access-Control-Allow-Origin: *，不允许携带凭据 (否则任何网站都能以用户身份调用接口)。
+const CORS_ALLOW_HEADERS = 'Content-Type, Authorization, If-None-Match, If-Modified-Since, X-Request-Id';
+// 前端可以读取验证器自行发起条件请求、反馈问题时附上 requestId，以及根据限流头控制请求频率
+const CORS_EXPOSE_HEADERS = 'ETag, Last-Modified, X-Request-Id, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset';
+
+const allowAnyOrigin = CONFIG.CORS.ORIGINS.includes('*');
+
+// 'https://example.com' 精确匹配，'https://*.example.com' 匹配任意层级的子域名 (不含 example.com 本身)
+function compileOriginPattern(pattern) {
+  const normalized = pattern.replace(/\/+$/, '').toLowerCase();
+  if (!normalized.includes('*')) return origin => origin === normalized;
+  const source = normalized.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*');
+  const regex = new RegExp(`^${source}$`);
+  return origin => regex.test(origin);
+}
+
+const corsOriginMatchers = CONFIG.CORS.ORIGINS.filter(pattern => pattern !== '*').map(compileOriginPattern);
+
+if (CONFIG.CORS.CREDENTIALS && corsOriginMatchers.length === 0) {
+  logger.warn('[CORS] CORS_CREDENTIALS 已开启但 CORS_ORIGINS 没有明确列出来源，凭据不会对任何来源生效');
+}
+
+const isListedOrigin = origin => typeof origin === 'string' && corsOriginMatchers.some(match => match(origin.toLowerCase()));
+
+/**
+* 判断来源是否允许跨域访问。
+* @param {string} origin - 请求头 Origin
+* @returns {boolean}
+*/
+export function isOriginAllowed(origin) {
+  if (typeof origin !== 'string' || !origin) return false;
+  return allowAnyOrigin || isListedOrigin(origin);
+}
+
+function appendVary(res, field) {
+  const current = res.getHeader('Vary');
+  if (!current) {
+    res.setHeader('Vary', field);
+    return;
+  }
+  const fields = String(current).split(',').map(value => value.trim().toLowerCase());
+  if (!fields.includes('*') && !fields.includes(field.toLowerCase())) res.setHeader('Vary', `${current}, ${field}`);
+}
+
+/**
+* 按 CONFIG.CORS 设置跨域响应头。来源不被允许时不设置 Access-Control-Allow-Origin，由浏览器拦截响应。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @returns {object} - res
+*/
+export function setCORS(req, res) {
+  const origin = req.headers.origin;
+  // 明确列出了来源时，响应内容随 Origin 变化，CDN 和浏览器缓存需要按 Origin 区分
+  if (corsOriginMatchers.length > 0) appendVary(res, 'Origin');
+  if (!isOriginAllowed(origin)) return res;
+
+  if (isListedOrigin(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    if (CONFIG.CORS.CREDENTIALS) res.setHeader('Access-Control-Allow-Credentials', 'true');
+  } else {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+  res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSE_HEADERS);
   return res;
 }
 
+/**
+* 响应 OPTIONS 请求 (调用前应已调用 setCORS)。CORS 预检的来源不被允许或请求的方法不被该路径支持时返回 403，
+* 否则返回 204 和该路径允许的方法；不是预检的 OPTIONS 请求只返回 Allow 头。
+* @param {object} req - Node.js/Vercel 请求对象
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {string[]} allowedMethods - 该路径支持的 HTTP 方法
+*/
+export function handlePreflight(req, res, allowedMethods) {
+  const methods = [...new Set([...allowedMethods, 'OPTIONS'])];
+  const origin = req.headers.origin;
+  const requestedMethod = req.headers['access-control-request-method'];
+  if (!origin || !requestedMethod) {
+    sendJson(res, 204, undefined, { Allow: methods.join(', ') });
+    return;
+  }
+
+  let error = null;
+  if (!isOriginAllowed(origin)) {
+    error = new ForbiddenError('CORS_ORIGIN_NOT_ALLOWED', { origin });
+  } else if (!methods.includes(String(requestedMethod).toUpperCase())) {
+    error = new ForbiddenError('CORS_METHOD_NOT_ALLOWED', { method: requestedMethod });
+  }
+  if (error) {
+    logger.warn(`[CORS] 拒绝预检请求 (${requestedMethod} ${req.url})`, { origin, code: error.code });
+    const { status, payload } = toErrorResponse(error, resolveLocale(req));
+    sendJson(res, status, payload);
+    return;
+  }
+
+  sendJson(res, 204, undefined, {
+    'Access-Control-Allow-Methods': methods.join(', '),
+    'Access-Control-Allow-Headers': CORS_ALLOW_HEADERS,
+    'Access-Control-Max-Age': String(CONFIG.CORS.MAX_AGE)
+  });
+}
+
+/**
+* 发送 JSON 响应。status 为 204 时不发送响应体。
+* @param {object} res - Node.js/Vercel 响应对象
+* @param {number} status - HTTP 状态码
+* @param {object} [payload] - 响应体
+* @param {object} [headers] - 额外的响应头
+*/
+export function sendJson(res, status, payload, headers = {}) {
+  if (status === 204) {
+    res.writeHead(204, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
 /**
 * 递归计算评论及其所有子评论的总点赞数。
 * @param {string} postId - 文章ID
@@ -306,6 +805,7 @@ export async function computeTotalLikes(postId, commentId) {
 
   } catch (error) {
     logger.error(`[Utils] computeTotalLikes: 计算评论总赞数失败 (postId: ${postId}, commentId: ${commentId}):`, error);
+    if (error instanceof ApiError) throw error;
     throw new Error('Failed to compute total likes for comment tree.');
   }
 }
@@ -0,0 +1,25 @@
+// scripts/backup.js - 导出全量备份
+// 用法: npm run backup -- [--format ndjson|json] [--out <file>]
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { createBackupStream } from '../lib/backup.js';
+import { initStorage } from '../lib/utils.js';
+
+const args = process.argv.slice(2);
+const optionValue = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : fallback;
+};
+
+const format = optionValue('--format', 'ndjson');
+const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+const outFile = optionValue('--out', `backup-${timestamp}.${format === 'json' ? 'json' : 'ndjson'}`);
+
+try {
+  await pipeline(createBackupStream({ format }), fs.createWriteStream(outFile));
+  console.log(`备份已写入 ${outFile}`);
+} catch (error) {
+  console.error(`备份失败: ${error.message}`);
+  process.exitCode = 1;
+}
+await initStorage().close();
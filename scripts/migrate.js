@@ -0,0 +1,35 @@
+// scripts/migrate.js - 数据迁移命令行入口
+// 用法: npm run migrate -- [--dry-run] [--to <version>]
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION } from '../lib/migrations.js';
+import { initStorage } from '../lib/utils.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const toIndex = args.indexOf('--to');
+const targetVersion = toIndex >= 0 ? Number(args[toIndex + 1]) : LATEST_SCHEMA_VERSION;
+
+try {
+  const currentVersion = await getSchemaVersion();
+  console.log(`当前数据版本: ${currentVersion}，目标版本: ${targetVersion}${dryRun ? ' (dry-run)' : ''}`);
+
+  const report = await runMigrations({ dryRun, targetVersion });
+  if (report.migrations.length === 0) {
+    console.log('没有需要执行的迁移。');
+  }
+  for (const migration of report.migrations) {
+    console.log(`\n#${migration.version} ${migration.name} - ${migration.description}`);
+    console.log(`  ${migration.changeCount} 项修改`);
+    for (const change of migration.changes) {
+      console.log(`  ${change.action.padEnd(6)} ${change.path}${change.description ? `  (${change.description})` : ''}`);
+    }
+    for (const note of migration.notes) {
+      console.log(`  note   ${note}`);
+    }
+  }
+  console.log(`\n${dryRun ? '预计' : '已'}升级到版本 ${report.toVersion}`);
+  await initStorage().close();
+} catch (error) {
+  console.error(`迁移失败: ${error.message}`);
+  process.exitCode = 1;
+  await initStorage().close();
+}
@@ -0,0 +1,30 @@
+// scripts/restore.js - 从备份恢复到空的存储
+// 用法: npm run restore -- <file> [--dry-run] [--ignore-integrity]
+import fs from 'fs';
+import { restoreBackup } from '../lib/backup.js';
+import { initStorage } from '../lib/utils.js';
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const ignoreIntegrityErrors = args.includes('--ignore-integrity');
+
+if (!file) {
+  console.error('用法: npm run restore -- <file> [--dry-run] [--ignore-integrity]');
+  process.exit(1);
+}
+
+try {
+  const report = await restoreBackup(fs.readFileSync(file, 'utf8'), { dryRun, ignoreIntegrityErrors });
+  for (const [collection, count] of Object.entries(report.counts)) {
+    console.log(`  ${collection.padEnd(14)} ${count}`);
+  }
+  for (const message of [...report.integrityErrors, ...report.warnings]) {
+    console.log(`  warn  ${message}`);
+  }
+  console.log(report.restored ? '恢复完成。' : '校验通过 (dry-run，未写入数据)。');
+} catch (error) {
+  console.error(`恢复失败: ${error.message}`);
+  process.exitCode = 1;
+}
+await initStorage().close();
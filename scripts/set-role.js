@@ -0,0 +1,21 @@
+// scripts/set-role.js - 设置用户角色 (例如为新部署指定第一个管理员)
+// 用法: npm run set-role -- <username> <role>，role 为 guest、user、trusted、moderator、admin 之一
+import { setUserRole } from '../lib/users.js';
+import { ROLES } from '../lib/permissions.js';
+import { initStorage } from '../lib/utils.js';
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !role) {
+  console.error(`用法: npm run set-role -- <username> <role>  (role: ${ROLES.join(' | ')})`);
+  process.exitCode = 1;
+} else {
+  try {
+    const result = await setUserRole({ target: username, role });
+    console.log(`用户 ${result.username} 的角色: ${result.previousRole} -> ${result.role}`);
+  } catch (error) {
+    console.error(`设置角色失败: ${error.message}`);
+    process.exitCode = 1;
+  }
+  await initStorage().close();
+}
@@ -0,0 +1,10 @@
+// server.js - 独立运行入口 (自托管或本地开发)，部署在 Vercel 时不使用
+// 用法：PORT=3000 npm start
+import handler from './api/index.js';
+import { logger } from './lib/utils.js';
+import { startServer } from './lib/server.js';
+
+startServer(handler).catch(error => {
+  logger.error('[Server] 启动失败', { error: error.message });
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+// test/authconfig.test.js - 生产环境没有设置 AUTH_SECRET 时不使用临时密钥：拒绝签发令牌，就绪检查失败
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// CONFIG 在 lib/utils.js 加载时读取，必须在导入 helpers.js (以及 lib/ 下的模块) 之前设置
+process.env.NODE_ENV = 'production';
+process.env.AUTH_SECRET = '';
+const { rejectsWith, PASSWORD } = await import('./helpers.js');
+const { executeAction } = await import('../lib/actions.js');
+const { checkReadiness } = await import('../lib/health.js');
+const { read } = await import('../lib/utils.js');
+const { SESSIONS_PATH } = await import('../lib/sessions.js');
+
+test('就绪检查失败', async () => {
+  assert.deepEqual(await checkReadiness(), { status: 'not_ready' });
+});
+
+test('登录返回 503 AUTH_NOT_CONFIGURED，不创建会话', async () => {
+  await executeAction('user.register', { username: 'olga', email: 'olga@example.test', password: PASSWORD });
+
+  await rejectsWith(executeAction('user.login', { username: 'olga', password: PASSWORD }), 503, 'AUTH_NOT_CONFIGURED');
+  assert.equal(await read(`${SESSIONS_PATH}/olga`), null);
+});
@@ -0,0 +1,62 @@
+// test/comments.test.js - 评论归属：编辑/删除自己的评论只看 authorUsername，不看署名
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAndLogin, rejectsWith } from './helpers.js';
+import { executeAction } from '../lib/actions.js';
+import { read, write } from '../lib/utils.js';
+import { getUserAccess } from '../lib/permissions.js';
+
+const postId = 'ownership-post';
+
+const alice = await registerAndLogin('alice');
+const bob = await registerAndLogin('bob');
+
+test('登录用户的评论由访问令牌确定作者，请求中的 name、email 和 isGuest 无效', async () => {
+  const comment = await executeAction('comment.add', {
+    postId, name: 'bob', email: 'bob@example.test', content: 'hello', isGuest: true
+  }, { user: alice.user });
+
+  assert.equal(comment.name, 'alice');
+  assert.equal(comment.email, 'alice@example.test');
+  assert.equal(comment.isGuest, false);
+  assert.equal(comment.authorUsername, 'alice');
+});
+
+test('作者可以编辑和删除自己的评论，其他用户不能', async () => {
+  const comment = await executeAction('comment.add', { postId, name: 'alice', email: 'alice@example.test', content: 'mine' }, { user: alice.user });
+
+  await rejectsWith(executeAction('comment.update', { postId, commentId: comment.id, content: 'hijacked' }, { user: bob.user }), 403, 'COMMENT_EDIT_FORBIDDEN');
+  await rejectsWith(executeAction('comment.delete', { postId, commentId: comment.id }, { user: bob.user }), 403, 'COMMENT_DELETE_FORBIDDEN');
+
+  const updated = await executeAction('comment.update', { postId, commentId: comment.id, content: 'edited' }, { user: alice.user });
+  assert.equal(updated.content, 'edited');
+  await executeAction('comment.delete', { postId, commentId: comment.id }, { user: alice.user });
+  assert.equal(await read(`comments/${postId}/${comment.id}`), null);
+});
+
+test('游客评论不属于任何用户，之后注册同名账号也不能编辑', async () => {
+  const comment = await executeAction('comment.add', { postId, name: 'carol', email: 'guest@example.test', content: 'guest' });
+  assert.equal(comment.isGuest, true);
+  assert.equal(comment.authorUsername, null);
+
+  const carol = await registerAndLogin('carol');
+  await rejectsWith(executeAction('comment.update', { postId, commentId: comment.id, content: 'claimed' }, { user: carol.user }), 403, 'COMMENT_EDIT_FORBIDDEN');
+});
+
+test('删除自己的评论时，子树中有其他人的回复需要 comment.deleteAny 权限', async () => {
+  const parent = await executeAction('comment.add', { postId, name: 'alice', email: 'alice@example.test', content: 'parent' }, { user: alice.user });
+  await executeAction('comment.add', { postId, name: 'bob', email: 'bob@example.test', content: 'reply', parentId: parent.id }, { user: bob.user });
+
+  await rejectsWith(executeAction('comment.delete', { postId, commentId: parent.id }, { user: alice.user }), 403, 'COMMENT_DELETE_FORBIDDEN');
+  assert.ok(await read(`comments/${postId}/${parent.id}`));
+
+  await write('users/alice', { role: 'admin' }, { method: 'update' });
+  const admin = { ...alice.user, ...(await getUserAccess('alice')) };
+  await executeAction('comment.delete', { postId, commentId: parent.id }, { user: admin });
+  assert.equal(await read(`comments/${postId}/${parent.id}`), null);
+});
+
+test('游客不能用已注册的用户名署名，不区分大小写', async () => {
+  await rejectsWith(executeAction('comment.add', { postId, name: 'bob', email: 'guest@example.test', content: 'i am bob' }), 409, 'NAME_RESERVED');
+  await rejectsWith(executeAction('comment.add', { postId, name: 'Bob', email: 'guest@example.test', content: 'i am Bob' }), 409, 'NAME_RESERVED');
+});
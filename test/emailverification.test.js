@@ -0,0 +1,72 @@
+// test/emailverification.test.js - 注册和修改邮箱后发送验证链接，未验证的账号发表的评论需要审核
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAndLogin, outboxFor, rejectsWith, PASSWORD } from './helpers.js';
+import { executeAction } from '../lib/actions.js';
+import { read, settleBackgroundTasks } from '../lib/utils.js';
+
+// 发往该邮箱的最后一个验证链接中的令牌
+async function lastVerificationToken(email) {
+  await settleBackgroundTasks();
+  const mails = outboxFor(email).filter(mail => mail.text.includes('example.test/verify?token='));
+  return /[?&]token=([\w.-]+)/.exec(mails.at(-1)?.text || '')?.[1];
+}
+
+test('注册后邮箱未验证，用邮件中的令牌验证', async () => {
+  await registerAndLogin('kate', { emailVerified: false });
+  assert.equal(await read('users/kate/emailVerified'), false);
+
+  const token = await lastVerificationToken('kate@example.test');
+  assert.ok(token);
+  const result = await executeAction('user.verifyEmail', { token });
+  assert.deepEqual(result, { username: 'kate', email: 'kate@example.test', emailVerified: true });
+  assert.equal(await read('users/kate/emailVerified'), true);
+
+  // 重复验证同一个邮箱得到相同的结果
+  assert.deepEqual(await executeAction('user.verifyEmail', { token }), result);
+});
+
+test('注册不等待验证邮件，部署在 Vercel 上时邮件任务交给 waitUntil', async () => {
+  const pending = [];
+  const contextKey = Symbol.for('@vercel/request-context');
+  globalThis[contextKey] = { get: () => ({ waitUntil: promise => pending.push(promise) }) };
+  try {
+    await executeAction('user.register', { username: 'nora', email: 'nora@example.test', password: PASSWORD });
+  } finally {
+    delete globalThis[contextKey];
+  }
+
+  assert.equal(pending.length, 1);
+  await Promise.all(pending);
+  assert.ok(await lastVerificationToken('nora@example.test'));
+});
+
+test('修改邮箱后需要重新验证，之前的验证链接失效', async () => {
+  const { user } = await registerAndLogin('leo', { emailVerified: false });
+  const oldToken = await lastVerificationToken('leo@example.test');
+
+  const profile = await executeAction('user.update', { updates: { email: 'leo2@example.test' } }, { user });
+  assert.equal(profile.emailVerified, false);
+  await rejectsWith(executeAction('user.verifyEmail', { token: oldToken }), 400, 'INVALID_VERIFICATION_TOKEN');
+
+  const newToken = await lastVerificationToken('leo2@example.test');
+  assert.equal((await executeAction('user.verifyEmail', { token: newToken })).email, 'leo2@example.test');
+});
+
+test('无效的令牌被拒绝', async () => {
+  await rejectsWith(executeAction('user.verifyEmail', { token: 'garbage' }), 400, 'INVALID_VERIFICATION_TOKEN');
+});
+
+test('重新发送验证邮件受发送间隔限制，已验证的邮箱不能重新发送', async () => {
+  const { user } = await registerAndLogin('mia', { emailVerified: false });
+  await rejectsWith(executeAction('user.resendVerification', {}, { user }), 429, 'RATE_LIMITED');
+
+  const verified = await registerAndLogin('nina');
+  await rejectsWith(executeAction('user.resendVerification', {}, { user: verified.user }), 409, 'EMAIL_ALREADY_VERIFIED');
+});
+
+test('邮箱未验证的用户发表的评论需要审核', async () => {
+  const { user } = await registerAndLogin('oscar', { emailVerified: false });
+  const comment = await executeAction('comment.add', { postId: 'verification-post', name: 'oscar', email: 'oscar@example.test', content: 'hi' }, { user });
+  assert.equal(comment.status, 'pending');
+});
@@ -0,0 +1,78 @@
+// test/helpers.js - 测试共用的环境和工具
+// 必须在导入 lib/ 下的任何模块之前导入：CONFIG 在 lib/utils.js 加载时读取环境变量。
+// 每个测试文件在独立的进程中运行 (node --test)，存储使用本地适配器的纯内存模式，邮件写入临时的发件箱目录。
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import assert from 'node:assert/strict';
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kenhunshuchong-test-outbox-'));
+
+Object.assign(process.env, {
+  STORAGE_DRIVER: 'local',
+  MAIL_DRIVER: 'outbox',
+  MAIL_OUTBOX_DIR: outboxDir,
+  AUTH_SECRET: process.env.AUTH_SECRET ?? 'test-secret-0123456789abcdefghijklmnopqrstuvwxyz', // 设为空字符串可以模拟未配置密钥
+  PASSWORD_RESET_URL: 'https://example.test/reset?token={token}',
+  EMAIL_VERIFICATION_URL: 'https://example.test/verify?token={token}',
+  PASSWORD_RESET_MIN_RESPONSE_MS: '200',
+  LOG_LEVEL: process.env.LOG_LEVEL || 'silent'
+});
+delete process.env.STORAGE_FILE;
+delete process.env.FIREBASE_DATABASE_URL;
+
+process.on('exit', () => fs.rmSync(outboxDir, { recursive: true, force: true }));
+
+const { executeAction } = await import('../lib/actions.js');
+const { authenticate } = await import('../lib/auth.js');
+const { write, settleBackgroundTasks } = await import('../lib/utils.js');
+
+export const PASSWORD = 'Passw0rd!';
+
+/**
+* 注册用户 (邮箱默认已验证) 并登录。
+* @param {string} username - 用户名
+* @param {object} [options]
+* @param {boolean} [options.emailVerified=true] - 是否把邮箱标记为已验证
+* @param {string} [options.email] - 注册邮箱，默认 {username}@example.test
+* @returns {Promise<{ user: object, tokens: object }>} - user 为访问令牌认证后的当前用户 (与 api/index.js 传给 executeAction 的相同)
+*/
+export async function registerAndLogin(username, { emailVerified = true, email = `${username}@example.test` } = {}) {
+  await executeAction('user.register', { username, email, password: PASSWORD });
+  if (emailVerified) await write(`users/${username}`, { emailVerified: true }, { method: 'update' });
+  await settleBackgroundTasks(); // 验证邮件在响应之后发送，等它写入发件箱，之后读取发件箱的测试不会读到写了一半的邮件
+  return login(username);
+}
+
+/**
+* 登录并用得到的访问令牌认证。
+* @param {string} username - 用户名
+* @param {string} [password] - 密码，默认 PASSWORD
+* @returns {Promise<{ user: object, tokens: object }>}
+*/
+export async function login(username, password = PASSWORD) {
+  const tokens = await executeAction('user.login', { username, password });
+  const user = await authenticate({ headers: { authorization: `Bearer ${tokens.accessToken}` } });
+  return { user, tokens };
+}
+
+/**
+* 断言 promise 以指定状态码和错误码的 ApiError 失败。
+* @param {Promise<any>} promise
+* @param {number} status - HTTP 状态码
+* @param {string} code - 错误码
+* @returns {Promise<void>}
+*/
+export const rejectsWith = (promise, status, code) => assert.rejects(promise, error => error.status === status && error.code === code);
+
+/**
+* 发件箱中发往该邮箱的邮件，按发送顺序排列。
+* @param {string} to - 收件人邮箱
+* @returns {object[]} - { messageId, from, to, subject, text, createdAt }
+*/
+export function outboxFor(to) {
+  if (!fs.existsSync(outboxDir)) return [];
+  return fs.readdirSync(outboxDir).sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')))
+    .filter(mail => mail.to === to);
+}
@@ -0,0 +1,93 @@
+// test/migrations.test.js - 从旧版数据 (版本 0) 升级到最新版本
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { runMigrations, getSchemaVersion, LATEST_SCHEMA_VERSION, MIGRATIONS } from '../lib/migrations.js';
+import { read, write } from '../lib/utils.js';
+
+const LEGACY_DATA = {
+  users: {
+    yolialisproxy: { username: 'yolialisproxy', passwordHash: 'hash-admin' },
+    olduser: { username: 'olduser', passwordHash: 'hash-old', role: 'superuser' },
+    newuser: { username: 'newuser', password: 'hash-new', role: 'moderator' },
+    NewUser: { username: 'NewUser', password: 'hash-new2' }
+  },
+  comments: {
+    post1: {
+      metadata: { floorCounter: { counter: 2 } },
+      c1: { id: 'c1', parentId: '0', createdAt: '2024-01-01T00:00:00.000Z' },
+      c2: { id: 'c2', parentId: '0', createdAt: '2024-01-02T00:00:00.000Z' },
+      c3: { id: 'c3', parentId: 'c1', createdAt: '2024-01-03T00:00:00.000Z' }
+    }
+  },
+  commentLikes: {
+    olduser_post1_c1: { username: 'olduser', postId: 'post1', commentId: 'c1', createdAt: '2024-01-04T00:00:00.000Z' },
+    olduser_post1_gone: { username: 'olduser', postId: 'post1', commentId: 'gone', createdAt: '2024-01-05T00:00:00.000Z' }
+  }
+};
+
+await write('', LEGACY_DATA, { method: 'update' });
+
+test('dry-run 列出每个迁移的修改，不写入数据', async () => {
+  const report = await runMigrations({ dryRun: true });
+
+  assert.equal(report.fromVersion, 0);
+  assert.equal(report.toVersion, LATEST_SCHEMA_VERSION);
+  assert.deepEqual(report.migrations.map(migration => migration.version), MIGRATIONS.map(migration => migration.version));
+  assert.ok(report.migrations.every(migration => migration.changeCount === migration.changes.length));
+  assert.equal(await getSchemaVersion(), 0);
+  assert.equal(await read('users/olduser/passwordHash'), 'hash-old');
+  assert.ok(await read('comments/post1/metadata'));
+});
+
+test('升级到指定版本后停止', async () => {
+  const report = await runMigrations({ targetVersion: 1 });
+
+  assert.equal(report.toVersion, 1);
+  assert.equal(await getSchemaVersion(), 1);
+  assert.equal(await read('users/olduser/password'), 'hash-old');
+  assert.equal(await read('users/olduser/passwordHash'), null);
+  assert.equal(await read('users/newuser/password'), 'hash-new');
+});
+
+test('升级到最新版本：删除楼层计数器、补齐楼层号、迁移点赞记录、设置角色', async () => {
+  const report = await runMigrations();
+
+  assert.equal(report.fromVersion, 1);
+  assert.equal(report.toVersion, LATEST_SCHEMA_VERSION);
+  assert.equal(await getSchemaVersion(), LATEST_SCHEMA_VERSION);
+
+  assert.equal(await read('comments/post1/metadata'), null);
+  assert.equal(await read('comments/post1/c1/floor'), 1);
+  assert.equal(await read('comments/post1/c2/floor'), 2);
+  assert.equal(await read('comments/post1/c3/floor'), null); // 回复没有楼层号
+
+  assert.equal(await read('commentLikes/olduser_post1_c1'), null);
+  assert.equal(await read('commentLikes/olduser_post1_gone'), null);
+  assert.equal((await read('commentLikes/post1/olduser/c1')).createdAt, '2024-01-04T00:00:00.000Z');
+  assert.equal(await read('commentLikes/post1/olduser/gone'), null);
+
+  assert.equal(await read('users/yolialisproxy/role'), 'admin');
+  assert.equal(await read('users/olduser/role'), 'user');
+  assert.equal(await read('users/newuser/role'), 'moderator');
+
+  assert.equal(await read('usernames/olduser'), 'olduser');
+  assert.equal(await read('usernames/newuser'), 'NewUser'); // 只有大小写不同时按排序保留第一个，并在报告中说明
+  const index = report.migrations.find(migration => migration.name === 'index-usernames');
+  assert.equal(index.notes.length, 1);
+
+  const likes = report.migrations.find(migration => migration.name === 'nest-comment-likes');
+  assert.equal(likes.notes.length, 1); // 评论已不存在的点赞记录
+});
+
+test('已经是最新版本时不做任何修改', async () => {
+  const report = await runMigrations();
+
+  assert.equal(report.fromVersion, LATEST_SCHEMA_VERSION);
+  assert.equal(report.toVersion, LATEST_SCHEMA_VERSION);
+  assert.deepEqual(report.migrations, []);
+});
+
+test('无效的目标版本被拒绝', async () => {
+  await assert.rejects(runMigrations({ targetVersion: LATEST_SCHEMA_VERSION + 1 }), /Invalid target schema version/);
+});
@@ -0,0 +1,103 @@
+// test/passwordreset.test.js - 密码重置：申请 -> 邮件中的令牌 -> 设置新密码 -> 会话全部吊销
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAndLogin, login, outboxFor, rejectsWith, PASSWORD } from './helpers.js';
+import { executeAction } from '../lib/actions.js';
+import { PASSWORD_RESETS_PATH } from '../lib/passwordreset.js';
+import { touchSession } from '../lib/sessions.js';
+import { read, write } from '../lib/utils.js';
+
+const NEW_PASSWORD = 'N3wPassw0rd!';
+
+// 申请重置 (邮件发出后才响应)，返回邮件中的令牌
+async function requestResetToken(email) {
+  const before = outboxFor(email).length;
+  const response = await executeAction('user.requestPasswordReset', { email });
+  const mails = outboxFor(email);
+  assert.equal(mails.length, before + 1, '应该发出一封重置邮件');
+  return { response, token: /[?&]token=([\w.-]+)/.exec(mails.at(-1).text)?.[1] };
+}
+
+test('用邮件中的令牌重置密码后，旧密码失效，所有会话被吊销', async () => {
+  const { tokens } = await registerAndLogin('erin');
+  const { response, token } = await requestResetToken('erin@example.test');
+  assert.equal(response.success, true);
+  assert.ok(token);
+
+  const result = await executeAction('user.resetPassword', { token, password: NEW_PASSWORD });
+  assert.deepEqual(result, { success: true, username: 'erin' });
+
+  assert.equal(await touchSession('erin', tokens.sessionId), false);
+  await rejectsWith(executeAction('user.refresh', { refreshToken: tokens.refreshToken }), 401, 'INVALID_REFRESH_TOKEN');
+  await rejectsWith(login('erin', PASSWORD), 401, 'INVALID_CREDENTIALS');
+  assert.ok((await login('erin', NEW_PASSWORD)).user);
+});
+
+test('令牌只能使用一次', async () => {
+  await registerAndLogin('frank');
+  const { token } = await requestResetToken('frank@example.test');
+  await executeAction('user.resetPassword', { token, password: NEW_PASSWORD });
+
+  await rejectsWith(executeAction('user.resetPassword', { token, password: 'An0therPassw0rd!' }), 400, 'INVALID_RESET_TOKEN');
+});
+
+test('过期的令牌被拒绝', async () => {
+  await registerAndLogin('grace');
+  const { token } = await requestResetToken('grace@example.test');
+  await write(`${PASSWORD_RESETS_PATH}/grace`, { expiresAt: new Date(Date.now() - 1000).toISOString() }, { method: 'update' });
+
+  await rejectsWith(executeAction('user.resetPassword', { token, password: NEW_PASSWORD }), 400, 'RESET_TOKEN_EXPIRED');
+  assert.ok((await login('grace', PASSWORD)).user);
+});
+
+test('伪造的令牌被拒绝，也不影响用户真正收到的令牌', async () => {
+  await registerAndLogin('heidi');
+  const { token } = await requestResetToken('heidi@example.test');
+  const forged = `${token.split('.')[0]}.${'A'.repeat(43)}`;
+
+  await rejectsWith(executeAction('user.resetPassword', { token: forged, password: NEW_PASSWORD }), 400, 'INVALID_RESET_TOKEN');
+  await rejectsWith(executeAction('user.resetPassword', { token: 'garbage', password: NEW_PASSWORD }), 400, 'INVALID_RESET_TOKEN');
+  await executeAction('user.resetPassword', { token, password: NEW_PASSWORD });
+});
+
+test('未注册的邮箱得到相同的响应，不发送邮件', async () => {
+  await registerAndLogin('ivan');
+  const { response: registered } = await requestResetToken('ivan@example.test');
+
+  const startedAt = Date.now();
+  const unknown = await executeAction('user.requestPasswordReset', { email: 'nobody@example.test' });
+  assert.ok(Date.now() - startedAt >= 190, '响应时间应补足到 PASSWORD_RESET_MIN_RESPONSE_MS');
+  assert.deepEqual(unknown, registered);
+  assert.equal(outboxFor('nobody@example.test').length, 0);
+});
+
+test('发送间隔内的重复申请得到相同的响应，不再发送邮件', async () => {
+  await registerAndLogin('judy');
+  const { response: first } = await requestResetToken('judy@example.test');
+
+  const second = await executeAction('user.requestPasswordReset', { email: 'judy@example.test' });
+  assert.deepEqual(second, first);
+  assert.equal(outboxFor('judy@example.test').filter(mail => mail.text.includes('example.test/reset?token=')).length, 1);
+});
+
+test('令牌中的用户名不能指向重置记录以外的节点', async () => {
+  await registerAndLogin('kim');
+  const { token } = await requestResetToken('kim@example.test');
+  const record = await read(`${PASSWORD_RESETS_PATH}/kim`);
+  const crafted = `${Buffer.from('kim/tokenHash').toString('base64url')}.${token.split('.')[1]}`;
+
+  await rejectsWith(executeAction('user.resetPassword', { token: crafted, password: NEW_PASSWORD }), 400, 'INVALID_RESET_TOKEN');
+  assert.deepEqual(await read(`${PASSWORD_RESETS_PATH}/kim`), record);
+  await executeAction('user.resetPassword', { token, password: NEW_PASSWORD });
+});
+
+test('删除用户时一起删除重置记录，之前的令牌不能用于同名的新账号', async () => {
+  const { user } = await registerAndLogin('liam');
+  const { token } = await requestResetToken('liam@example.test');
+  await executeAction('user.delete', {}, { user });
+  assert.equal(await read(`${PASSWORD_RESETS_PATH}/liam`), null);
+
+  await registerAndLogin('liam');
+  await rejectsWith(executeAction('user.resetPassword', { token, password: NEW_PASSWORD }), 400, 'INVALID_RESET_TOKEN');
+  assert.ok((await login('liam', PASSWORD)).user);
+});
@@ -0,0 +1,86 @@
+// test/ratelimit.test.js - 超过限流额度时返回 429，并带有 Retry-After 和 X-RateLimit-* 头
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 额度在 lib/utils.js 加载时读取，必须在导入 lib/ 下的模块之前设置
+process.env.RATE_LIMIT_AUTH = '2/60';
+process.env.RATE_LIMIT_READ = '3/60';
+process.env.TRUST_PROXY = 'true'; // 用 X-Forwarded-For 模拟不同的客户端
+const { registerAndLogin, PASSWORD } = await import('./helpers.js');
+const { default: handler } = await import('../api/index.js');
+const { createServer } = await import('../lib/server.js');
+const { read } = await import('../lib/utils.js');
+const { RATE_LIMIT_PATH } = await import('../lib/ratelimit.js');
+
+const server = createServer(handler);
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+after(() => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+}));
+
+const login = (username, password, clientIp) => fetch(`${baseUrl}/api/sessions`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', ...(clientIp && { 'X-Forwarded-For': clientIp }) },
+  body: JSON.stringify({ username, password })
+});
+
+await registerAndLogin('mallory'); // 不经过 HTTP，不计入额度
+await registerAndLogin('victor');
+
+test('auth 类别超过额度后返回 429 RATE_LIMITED', async () => {
+  for (let i = 0; i < 2; i++) {
+    const response = await login('mallory', 'wrong-password');
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('x-ratelimit-limit'), '2');
+    assert.equal(response.headers.get('x-ratelimit-remaining'), String(1 - i));
+  }
+
+  const response = await login('mallory', 'wrong-password');
+  assert.equal(response.status, 429);
+  const body = await response.json();
+  assert.equal(body.success, false);
+  assert.equal(body.code, 'RATE_LIMITED');
+  assert.equal(response.headers.get('x-ratelimit-remaining'), '0');
+  const retryAfter = Number(response.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 30, `Retry-After: ${retryAfter}`);
+});
+
+test('超过额度后正确的密码同样被拒绝，计数保存在存储中', async () => {
+  const response = await login('mallory', PASSWORD);
+  assert.equal(response.status, 429);
+  assert.ok(await read(`${RATE_LIMIT_PATH}/auth`));
+});
+
+test('read 类别超过额度后返回 429，计数不写入存储', async () => {
+  for (let i = 0; i < 3; i++) {
+    const response = await fetch(`${baseUrl}/api/posts/rate-limit-post/comments`);
+    assert.equal(response.status, 200);
+  }
+
+  const response = await fetch(`${baseUrl}/api/posts/rate-limit-post/comments`);
+  assert.equal(response.status, 429);
+  assert.equal((await response.json()).code, 'RATE_LIMITED');
+  assert.ok(Number(response.headers.get('retry-after')) >= 1);
+  assert.equal(await read(`${RATE_LIMIT_PATH}/read`), null);
+});
+
+test('重新计算总赞数的 action 需要 moderator 权限，匿名请求不会触发递归写入', async () => {
+  const response = await fetch(`${baseUrl}/api/actions/comment.computeTotalLikes`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ postId: 'rate-limit-post', commentId: 'c1' })
+  });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, 'AUTH_REQUIRED');
+});
+
+test('其他客户端的失败登录不会耗尽目标账号在另一个 IP 上的额度', async () => {
+  for (let i = 0; i < 2; i++) assert.equal((await login('victor', 'wrong-password', '203.0.113.1')).status, 401);
+  assert.equal((await login('victor', 'wrong-password', '203.0.113.1')).status, 429);
+
+  const response = await login('victor', PASSWORD, '198.51.100.7');
+  assert.equal(response.status, 200);
+});
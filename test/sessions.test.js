@@ -0,0 +1,74 @@
+// test/sessions.test.js - 刷新令牌的轮换和重用检测
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAndLogin, login, rejectsWith } from './helpers.js';
+import { executeAction } from '../lib/actions.js';
+import { touchSession, SESSIONS_PATH } from '../lib/sessions.js';
+import { authenticate } from '../lib/auth.js';
+import { write } from '../lib/utils.js';
+
+await registerAndLogin('dave');
+
+test('刷新令牌轮换后旧令牌失效，新令牌可以继续使用', async () => {
+  const { tokens } = await login('dave');
+
+  const first = await executeAction('user.refresh', { refreshToken: tokens.refreshToken });
+  assert.equal(first.sessionId, tokens.sessionId);
+  assert.notEqual(first.refreshToken, tokens.refreshToken);
+  assert.ok(first.accessToken);
+
+  const second = await executeAction('user.refresh', { refreshToken: first.refreshToken });
+  assert.equal(second.sessionId, tokens.sessionId);
+  assert.ok(await touchSession('dave', tokens.sessionId));
+});
+
+test('重用已轮换的刷新令牌时吊销整个会话', async () => {
+  const { tokens } = await login('dave');
+  const rotated = await executeAction('user.refresh', { refreshToken: tokens.refreshToken });
+
+  await rejectsWith(executeAction('user.refresh', { refreshToken: tokens.refreshToken }), 401, 'REFRESH_TOKEN_REUSED');
+
+  // 会话已删除：轮换得到的新令牌和会话的访问令牌一并失效
+  assert.equal(await touchSession('dave', tokens.sessionId), false);
+  await rejectsWith(executeAction('user.refresh', { refreshToken: rotated.refreshToken }), 401, 'INVALID_REFRESH_TOKEN');
+  await rejectsWith(authenticate({ headers: { authorization: `Bearer ${rotated.accessToken}` } }), 401, 'SESSION_REVOKED');
+});
+
+test('重用只吊销对应的会话，同一用户的其他会话不受影响', async () => {
+  const stolen = await login('dave');
+  const other = await login('dave');
+  await executeAction('user.refresh', { refreshToken: stolen.tokens.refreshToken });
+  await rejectsWith(executeAction('user.refresh', { refreshToken: stolen.tokens.refreshToken }), 401, 'REFRESH_TOKEN_REUSED');
+
+  assert.ok(await touchSession('dave', other.tokens.sessionId));
+});
+
+test('过期的会话不能刷新', async () => {
+  const { tokens } = await login('dave');
+  await write(`${SESSIONS_PATH}/dave/${tokens.sessionId}`, { expiresAt: new Date(Date.now() - 1000).toISOString() }, { method: 'update' });
+
+  await rejectsWith(executeAction('user.refresh', { refreshToken: tokens.refreshToken }), 401, 'REFRESH_TOKEN_EXPIRED');
+});
+
+test('格式不正确的刷新令牌被拒绝', async () => {
+  await rejectsWith(executeAction('user.refresh', { refreshToken: 'not-a-token' }), 401, 'INVALID_REFRESH_TOKEN');
+});
+
+test('令牌中的用户名和会话 ID 不能指向会话以外的节点', async () => {
+  const { tokens } = await login('dave');
+  const [, sessionId, secret] = tokens.refreshToken.split('.');
+  const crafted = `${Buffer.from(`dave/${sessionId}/tokenHash`).toString('base64url')}.${sessionId}.${secret}`;
+
+  await rejectsWith(executeAction('user.refresh', { refreshToken: crafted }), 401, 'INVALID_REFRESH_TOKEN');
+  await rejectsWith(executeAction('user.refresh', { refreshToken: `${tokens.refreshToken.split('.')[0]}.not-a-session.${secret}` }), 401, 'INVALID_REFRESH_TOKEN');
+  assert.ok(await touchSession('dave', tokens.sessionId));
+});
+
+test('知道会话 ID 但令牌不匹配时只返回无效令牌，不吊销会话', async () => {
+  const { tokens } = await login('dave');
+  const [encodedUsername, sessionId] = tokens.refreshToken.split('.');
+
+  await rejectsWith(executeAction('user.refresh', { refreshToken: `${encodedUsername}.${sessionId}.${'A'.repeat(43)}` }), 401, 'INVALID_REFRESH_TOKEN');
+  assert.ok(await touchSession('dave', sessionId));
+  assert.ok(await executeAction('user.refresh', { refreshToken: tokens.refreshToken }));
+});
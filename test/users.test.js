@@ -0,0 +1,41 @@
+// test/users.test.js - 用户资料：本人和 moderator 以上看到完整资料，其他人只看到公开资料
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerAndLogin, rejectsWith, PASSWORD } from './helpers.js';
+import { executeAction } from '../lib/actions.js';
+import { write } from '../lib/utils.js';
+import { getUserAccess } from '../lib/permissions.js';
+
+const paul = await registerAndLogin('paul');
+const quinn = await registerAndLogin('quinn');
+
+test('匿名访问和其他用户只能看到公开资料', async () => {
+  for (const user of [null, quinn.user]) {
+    const profile = await executeAction('user.profile', { username: 'paul' }, { user });
+    assert.deepEqual(Object.keys(profile).sort(), ['createdAt', 'username']);
+    assert.equal(profile.username, 'paul');
+  }
+});
+
+test('本人看到完整资料，不包含密码哈希', async () => {
+  const profile = await executeAction('user.profile', { username: 'paul' }, { user: paul.user });
+  assert.equal(profile.email, 'paul@example.test');
+  assert.equal(profile.role, 'user');
+  assert.equal(profile.emailVerified, true);
+  assert.equal(profile.password, undefined);
+});
+
+test('moderator 可以看到其他用户的完整资料', async () => {
+  await write('users/quinn', { role: 'moderator' }, { method: 'update' });
+  const moderator = { ...quinn.user, ...(await getUserAccess('quinn')) };
+  const profile = await executeAction('user.profile', { username: 'paul' }, { user: moderator });
+  assert.equal(profile.email, 'paul@example.test');
+});
+
+test('用户名不区分大小写地唯一，删除用户后可以重新注册', async () => {
+  await rejectsWith(executeAction('user.register', { username: 'Paul', email: 'other@example.test', password: PASSWORD }), 409, 'USERNAME_TAKEN');
+
+  const rita = await registerAndLogin('Rita');
+  await executeAction('user.delete', {}, { user: rita.user });
+  await registerAndLogin('rita');
+});